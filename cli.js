@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+const { resolve } = require("path");
+const jwt = require("jsonwebtoken");
+
+const { loadConfig } = require("./helpers/config.js");
+const Connector = require("./helpers/connector.js");
+const endpoints = require("./helpers/endpoints.js");
+const File = require("./helpers/file.js");
+const server = require("./helpers/server.js");
+const Webhooks = require("./helpers/webhooks.js");
+
+const usage = `Usage: nadeko-connector <command> [options]
+
+Commands:
+  token [--endpoints a,b] [--guilds a,b] [--users a,b] [--max-currency n] [--read-only] [--expires seconds] [--sub subject] [--payload json]
+                                  Issue a token signed with the bot's password.
+  verify <token>                  Decode a token and verify it against the bot's password.
+  endpoints                       List enabled, disabled and unsupported endpoints.
+  call <endpoint> [args...] [--params json] [--sub subject]
+                                  Call a Connector method directly against the database.
+                                  Arguments are taken in the order the method takes them, or by name with --params json.
+                                  Writes are audited with the subject cli, or the one given with --sub.
+
+Options:
+  --bot <name|port>               Bot from the config to use. Required if the config has more than one bot.
+  --config <path>                 Path to the config file. Defaults to NADEKOCONNECTOR_CONFIG or config.json next to this script.
+  --help                          Show this message.`;
+
+/**
+ * Split command line arguments into positional arguments and options.
+ * @param {[String]} args Command line arguments.
+ * @returns {Object} Positional arguments and options by name.
+ */
+const parseArgs = args => {
+	const positional = [], options = {};
+	for (let i = 0; i < args.length; i++) {
+		const match = /^--([a-z-]+)(?:=(.*))?$/.exec(args[i]);
+		if (!match) {
+			positional.push(args[i]);
+			continue;
+		}
+		const [, name, value] = match;
+		if (value !== undefined) options[name] = value;
+		else if (["read-only", "help"].includes(name)) options[name] = true;
+		else if (i + 1 < args.length) options[name] = args[++i];
+		else throw new Error(`Missing value for --${name}.`);
+	}
+	return { positional, options };
+};
+
+/**
+ * Get the settings of a bot from the config.
+ * @param {Object} options Command line options.
+ * @returns {server} Server for the bot, which is never initialized.
+ */
+const getBot = options => {
+	const config = loadConfig(resolve(options.config || process.env.NADEKOCONNECTOR_CONFIG || `${__dirname}/config.json`));
+	const bots = config.bots.map(bot => new server(bot, config.port !== undefined));
+	if (options.bot === undefined) {
+		if (bots.length > 1)
+			throw new Error(`Config contains several bots. Specify one with --bot: ${bots.map(bot => bot.name).join(", ")}.`);
+		return bots[0];
+	}
+	const bot = bots.find(bot => bot.name === options.bot || String(bot.port) === options.bot);
+	if (!bot) throw new Error(`Bot ${options.bot} not found in config.`);
+	return bot;
+};
+
+/**
+ * Create a connector for a bot without starting its server.
+ * Events of write calls are queued for the bot's webhooks, to be delivered by its server.
+ * @param {server} bot The bot.
+ * @returns {Connector} The initialized connector.
+ */
+const getConnector = bot => {
+	const connector = new Connector(bot.databasePath, bot.credentialsPath, bot.disabledEndpoints, bot.readOnly, bot.dataPath, bot.configPath, bot.sql, bot.browsableTables);
+	connector.initialize();
+	const webhooks = new Webhooks(connector.store, bot.webhookTargets, bot.password);
+	webhooks.stop();
+	webhooks.listen(connector);
+	return connector;
+};
+
+/**
+ * Convert a command line argument to the type of an endpoint parameter.
+ * @param {Object} param Schema of the parameter.
+ * @param {String} value The argument.
+ * @returns {*} The converted argument.
+ */
+const convertArg = (param, value) => {
+	if (param.type === "string") return value;
+	if (param.type === "integer" && /^-?\d+$/.test(value)) return Number(value);
+	try {
+		return JSON.parse(value);
+	}
+	catch (error) {
+		return value;
+	}
+};
+
+const commands = {
+	token(options) {
+		const bot = getBot(options);
+		const payload = options.payload ? JSON.parse(options.payload) : {};
+		const scope = {};
+		for (const property of ["endpoints", "guilds", "users"])
+			if (options[property]) scope[property] = options[property].split(",").map(item => item.trim()).filter(Boolean);
+		if (options["max-currency"] !== undefined) scope.maxCurrency = Number(options["max-currency"]);
+		if (options["read-only"]) scope.readOnly = true;
+		if (Object.keys(scope).length) payload.scope = { ...payload.scope, ...scope };
+		bot.validateScope(payload.scope);
+		const signOptions = { expiresIn: Number(options.expires || 3600) };
+		if (options.sub) signOptions.subject = options.sub;
+		console.log(jwt.sign(payload, bot.password, signOptions));
+	},
+
+	verify(options, token) {
+		if (!token) throw new Error("Specify a token to verify.");
+		const bot = getBot(options);
+		const decoded = jwt.decode(token, { complete: true });
+		if (!decoded) throw new Error("Token could not be decoded.");
+		let valid = true, reason = null;
+		try {
+			bot.parseToken(token);
+		}
+		catch (error) {
+			valid = false;
+			reason = error.message;
+		}
+		console.log(JSON.stringify({ valid, reason, header: decoded.header, payload: File.json.parse(Buffer.from(token.split(".")[1], "base64").toString()) }, null, 2));
+		if (!valid) process.exitCode = 1;
+	},
+
+	endpoints(options) {
+		const connector = getConnector(getBot(options));
+		console.log(`Enabled:\n${connector.endpoints.map(endpoint => `  ${endpoint}`).join("\n")}`);
+		console.log(`Disabled:\n${connector.disabledEndpoints.map(endpoint => `  ${endpoint}`).join("\n") || "  none"}`);
+		console.log(`Unsupported by NadekoBot schema version ${connector.schema.version}:\n${Object.entries(connector.unsupportedEndpoints).map(([endpoint, reason]) => `  ${endpoint}: ${reason}`).join("\n") || "  none"}`);
+	},
+
+	call(options, name, ...args) {
+		const endpoint = Object.keys(endpoints).find(endpoint => endpoint.toLowerCase() === String(name).toLowerCase());
+		if (!endpoint) throw new Error(`Unknown endpoint ${name}. Use the endpoints command to list them.`);
+		const params = options.params ? JSON.parse(options.params) : {};
+		Object.entries(endpoints[endpoint].params).forEach(([name, param], index) => {
+			if (args[index] !== undefined) params[name] = convertArg(param, args[index]);
+		});
+		const connector = getConnector(getBot(options));
+		const claims = { sub: options.sub || "cli" };
+		const result = endpoints[endpoint].write
+			? connector.audit(endpoint, params, claims, () => connector.call(endpoint, params))
+			: connector.call(endpoint, params);
+		console.log(JSON.stringify(result, null, 2));
+	}
+};
+
+const run = () => {
+	const { positional: [command, ...args], options } = parseArgs(process.argv.slice(2));
+	if (!command || options.help) return console.log(usage);
+	if (!commands[command]) throw new Error(`Unknown command ${command}.\n\n${usage}`);
+	commands[command](options, ...args);
+};
+
+try {
+	run();
+}
+catch (error) {
+	console.error(error.code && typeof error.code === "string" ? `${error.code}: ${error.message}` : error.message);
+	process.exitCode = 1;
+}
\ No newline at end of file
@@ -0,0 +1,718 @@
+// Generated from the endpoint schemas by helpers/typings.js. Run npm run typings after changing them.
+
+declare class Client {
+	constructor(options: Client.Options);
+	url: string;
+	password: string;
+	expiresIn: number;
+	subject?: string;
+	scope?: Client.Scope;
+	timeout: number;
+
+	static forBots(bots: Array<Client.Options & { name: string }>): Record<string, Client>;
+	static readonly endpoints: Client.Endpoint[];
+
+	sign(endpoint: Client.Endpoint, params: Record<string, unknown>, jti?: string): string;
+	call<E extends Client.Endpoint>(endpoint: E, params?: Client.Endpoints[E]["params"], options?: { jti?: string }): Promise<Client.Endpoints[E]["result"]>;
+	request(path: string, token: string): Promise<unknown>;
+	getError(response: { statusCode?: number; headers: Record<string, string | string[] | undefined> }, body: unknown): Client.errors.ConnectorError;
+
+	/** Gets info about the bot. */
+	getBotInfo(): Promise<Client.BotInfo>;
+	/** Gets the tables present in the database. */
+	getTables(): Promise<{ tables: string[] }>;
+	/** Gets the columns of the specified table with their types, nullability and primary keys, and its relations to other tables. */
+	getFields(table: string): Promise<Client.TableFields>;
+	/** Gets a page of rows of an allowed table, filtered and sorted by its columns. */
+	getRows(table: string, filters?: { column: string; op: "eq" | "lt" | "gt" | "like" | "in"; value: unknown }[], orderBy?: string, descending?: boolean, startPosition?: number, items?: number): Promise<Client.Rows>;
+	/** Execute an SQL statement. Queries return their rows, while statements returning no rows are executed in run mode if writes are allowed. */
+	execSql(command: string, params?: Record<string, unknown>, mode?: "query" | "run"): Promise<Client.SqlRows | Client.SqlChanges>;
+	/** Execute several endpoints inside a single transaction. If any call fails, all of them are rolled back. */
+	batch(calls: { endpoint: string; params: Record<string, unknown> }[]): Promise<Client.BatchResult[]>;
+	/** Get the currency of a Discord user. */
+	getCurrency(userId: string): Promise<Client.Balance>;
+	/** Set the currency of a Discord user. Use addCurrency instead for normal transactions. */
+	setCurrency(userId: string, currency: number): Promise<Client.Balance>;
+	/** Add currency to a user, taking it from the bot. */
+	addCurrency(userId: string, currency: number, reason: string): Promise<Client.Balance>;
+	/** Subtract currency from a user, giving it to the bot. */
+	subtractCurrency(userId: string, currency: number, reason: string): Promise<Client.Balance>;
+	/** Transfer currency directly from one user to another. */
+	transferCurrency(fromUserId: string, toUserId: string, amount: number, reason: string): Promise<Client.Transfer>;
+	/** Create a transaction for a Discord user. */
+	createTransaction(userId: string, currency: number, reason: string): Promise<Client.CreatedTransaction>;
+	/** Get transactions of a Discord user. */
+	getTransactions(userId: string, startPosition?: number, items?: number): Promise<Client.Transaction[]>;
+	/** Get ranking of a Discord user in a specific guild. */
+	getGuildRank(userId: string, guildId: string): Promise<Client.Rank>;
+	/** Get the guild XP of a Discord user. */
+	getGuildXp(userId: string, guildId: string): Promise<Client.GuildXp>;
+	/** Set the guild XP of a Discord user. */
+	setGuildXp(userId: string, guildId: string, xp: number, awardedXp: number): Promise<Client.GuildXp>;
+	/** Add guild XP to a Discord user. */
+	addGuildXp(userId: string, guildId: string, xp: number): Promise<Client.GuildXp>;
+	/** Subtract guild XP from a Discord user. */
+	subtractGuildXp(userId: string, guildId: string, xp: number): Promise<Client.GuildXp>;
+	/** Award guild XP to a Discord user, subtracting it if negative. */
+	awardGuildXp(userId: string, guildId: string, xp: number): Promise<Client.GuildXp>;
+	/** Get XP leaderboard of a Discord guild. */
+	getGuildXpLeaderboard(guildId: string, startPosition?: number, items?: number): Promise<Client.GuildXpLeaderboardEntry[]>;
+	/** Get XP role rewards of a Discord guild. */
+	getGuildXpRoleRewards(guildId: string, startPosition?: number, items?: number): Promise<Client.DatedXpRoleReward[]>;
+	/** Get XP currency rewards of a Discord guild. */
+	getGuildXpCurrencyRewards(guildId: string, startPosition?: number, items?: number): Promise<Client.DatedXpCurrencyReward[]>;
+	/** Set the XP role reward of a Discord guild at a level, replacing the reward at that level. */
+	setGuildXpRoleReward(guildId: string, level: number, roleId: string): Promise<Client.XpRoleReward>;
+	/** Remove the XP role reward of a Discord guild at a level. */
+	removeGuildXpRoleReward(guildId: string, level: number): Promise<Client.XpRoleReward>;
+	/** Set the XP currency reward of a Discord guild at a level, replacing the reward at that level. */
+	setGuildXpCurrencyReward(guildId: string, level: number, amount: number): Promise<Client.XpCurrencyReward>;
+	/** Remove the XP currency reward of a Discord guild at a level. */
+	removeGuildXpCurrencyReward(guildId: string, level: number): Promise<Client.XpCurrencyReward>;
+	/** Get the XP settings of a Discord guild, with its excluded channels and roles. */
+	getGuildXpSettings(guildId: string): Promise<Client.XpSettings>;
+	/** Change whether a Discord guild is excluded from XP, or its level up message. */
+	setGuildXpSettings(guildId: string, serverExcluded?: boolean, notifyMessage?: string): Promise<Client.XpSettings>;
+	/** Exclude a channel or role of a Discord guild from gaining XP. Users cannot be excluded. */
+	addGuildXpExclusion(guildId: string, type: "channel" | "role", id: string): Promise<Client.XpExclusion>;
+	/** Stop excluding a channel or role of a Discord guild from gaining XP. */
+	removeGuildXpExclusion(guildId: string, type: "channel" | "role", id: string): Promise<Client.XpExclusion>;
+	/** Get global ranking of a Discord user. */
+	getGlobalRank(userId: string): Promise<Client.Rank>;
+	/** Get the global XP of a Discord user. */
+	getGlobalXp(userId: string): Promise<Client.GlobalXp>;
+	/** Get the global XP leaderboard. */
+	getGlobalXpLeaderboard(startPosition?: number, items?: number): Promise<Client.GlobalXpLeaderboardEntry[]>;
+	/** Get club leaderboard. */
+	getClubLeaderboard(startPosition?: number, items?: number): Promise<Client.Club[]>;
+	/** Get club information by name. */
+	getClubInfo(name: string): Promise<Client.Club>;
+	/** Get club information by club member. */
+	getClubInfoByUser(userId: string): Promise<Client.Club>;
+	/** Get club members by name. */
+	getClubMembers(name: string, startPosition?: number, items?: number): Promise<Client.ClubMember[]>;
+	/** Get the waifu info of a Discord user, with their price, claimer, affinity, claimed waifus and received gifts. */
+	getWaifuInfo(userId: string): Promise<Client.WaifuInfo>;
+	/** Get the waifu leaderboard, by price. */
+	getWaifuLeaderboard(startPosition?: number, items?: number): Promise<Client.WaifuLeaderboardEntry[]>;
+	/** Get the gifts a Discord user received as a waifu. */
+	getWaifuItems(userId: string): Promise<Client.WaifuItem[]>;
+	/** Get the claim and affinity changes of a Discord user, newest first. */
+	getWaifuHistory(userId: string, startPosition?: number, items?: number): Promise<Client.WaifuUpdate[]>;
+	/** Set the waifu price of a Discord user. */
+	setWaifuPrice(userId: string, price: number): Promise<Client.WaifuPrice>;
+	/** Buy a gift for a waifu on behalf of a Discord user, giving its price to the bot and changing the waifu's price. */
+	giftWaifuItem(userId: string, waifuId: string, item: string): Promise<Client.WaifuGift>;
+	/** Get the entries of the currency shop of a Discord guild, by index. */
+	getShopEntries(guildId: string, startPosition?: number, items?: number): Promise<Client.ShopEntry[]>;
+	/** Get an entry of the currency shop of a Discord guild, with the items left in its list. */
+	getShopEntry(guildId: string, index: number): Promise<Client.ShopEntryWithItems>;
+	/** Add a role or list entry to the currency shop of a Discord guild. */
+	addShopEntry(guildId: string, userId: string, type: "role" | "list", price: number, name: string, roleId?: string): Promise<Client.ShopEntry>;
+	/** Change the price or name of an entry of the currency shop of a Discord guild. */
+	editShopEntry(guildId: string, index: number, price?: number, name?: string): Promise<Client.ShopEntry>;
+	/** Remove an entry and the items in its list from the currency shop of a Discord guild. */
+	removeShopEntry(guildId: string, index: number): Promise<Client.ShopEntry>;
+	/** Add an item to the list of a shop entry of a Discord guild. */
+	addShopEntryItem(guildId: string, index: number, text: string): Promise<Client.ShopEntryItem>;
+	/** Remove an item from the list of a shop entry of a Discord guild. */
+	removeShopEntryItem(guildId: string, index: number, itemId: number): Promise<Client.ShopEntryItem>;
+	/** Buy an entry of the currency shop of a Discord guild on behalf of a user, handing out an item of a list or recording the grant of a role. */
+	buyShopEntry(guildId: string, index: number, userId: string): Promise<Client.ShopPurchase>;
+	/** Get the quotes of a Discord guild, by keyword. */
+	getQuotes(guildId: string, keyword?: string, startPosition?: number, items?: number): Promise<Client.Quote[]>;
+	/** Search the quotes of a Discord guild for a text. */
+	searchQuotes(guildId: string, text: string, keyword?: string, startPosition?: number, items?: number): Promise<Client.Quote[]>;
+	/** Add a quote to a Discord guild. */
+	addQuote(guildId: string, userId: string, keyword: string, text: string, authorName?: string): Promise<Client.Quote>;
+	/** Delete a quote of a Discord guild. */
+	deleteQuote(guildId: string, id: number): Promise<Client.Quote>;
+	/** Get the custom reactions of a Discord guild, or the global ones, by trigger. */
+	getCustomReactions(guildId?: string, startPosition?: number, items?: number): Promise<Client.CustomReaction[]>;
+	/** Add a custom reaction to a Discord guild, or a global one. */
+	addCustomReaction(guildId: string | undefined, trigger: string, response: string): Promise<Client.CustomReaction>;
+	/** Change the response or options of a custom reaction of a Discord guild, or of a global one. */
+	editCustomReaction(guildId: string | undefined, id: number, response?: string, autoDeleteTrigger?: boolean, dmResponse?: boolean, containsAnywhere?: boolean, allowTarget?: boolean): Promise<Client.CustomReaction>;
+	/** Delete a custom reaction of a Discord guild, or a global one. */
+	deleteCustomReaction(guildId: string | undefined, id: number): Promise<Client.CustomReaction>;
+	/** Get entries from the audit log of mutating calls, newest first. */
+	getAuditLog(filter?: Record<string, unknown>, startPosition?: number, items?: number): Promise<Client.AuditEntry[]>;
+}
+
+declare namespace Client {
+	interface Options {
+		url: string;
+		password: string;
+		expiresIn?: number;
+		subject?: string;
+		scope?: Scope;
+		timeout?: number;
+	}
+
+	interface Scope {
+		endpoints?: Endpoint[];
+		guilds?: string[];
+		users?: string[];
+		maxCurrency?: number;
+		readOnly?: boolean;
+	}
+
+	type Endpoint = keyof Endpoints;
+
+	interface Endpoints {
+		getBotInfo: {
+			params: {};
+			result: Client.BotInfo;
+		};
+		getTables: {
+			params: {};
+			result: { tables: string[] };
+		};
+		getFields: {
+			params: { table: string };
+			result: Client.TableFields;
+		};
+		getRows: {
+			params: { table: string; filters?: { column: string; op: "eq" | "lt" | "gt" | "like" | "in"; value: unknown }[]; orderBy?: string; descending?: boolean; startPosition?: number; items?: number };
+			result: Client.Rows;
+		};
+		execSql: {
+			params: { command: string; params?: Record<string, unknown>; mode?: "query" | "run" };
+			result: Client.SqlRows | Client.SqlChanges;
+		};
+		batch: {
+			params: { calls: { endpoint: string; params: Record<string, unknown> }[] };
+			result: Client.BatchResult[];
+		};
+		getCurrency: {
+			params: { userId: string };
+			result: Client.Balance;
+		};
+		setCurrency: {
+			params: { userId: string; currency: number };
+			result: Client.Balance;
+		};
+		addCurrency: {
+			params: { userId: string; currency: number; reason: string };
+			result: Client.Balance;
+		};
+		subtractCurrency: {
+			params: { userId: string; currency: number; reason: string };
+			result: Client.Balance;
+		};
+		transferCurrency: {
+			params: { fromUserId: string; toUserId: string; amount: number; reason: string };
+			result: Client.Transfer;
+		};
+		createTransaction: {
+			params: { userId: string; currency: number; reason: string };
+			result: Client.CreatedTransaction;
+		};
+		getTransactions: {
+			params: { userId: string; startPosition?: number; items?: number };
+			result: Client.Transaction[];
+		};
+		getGuildRank: {
+			params: { userId: string; guildId: string };
+			result: Client.Rank;
+		};
+		getGuildXp: {
+			params: { userId: string; guildId: string };
+			result: Client.GuildXp;
+		};
+		setGuildXp: {
+			params: { userId: string; guildId: string; xp: number; awardedXp: number };
+			result: Client.GuildXp;
+		};
+		addGuildXp: {
+			params: { userId: string; guildId: string; xp: number };
+			result: Client.GuildXp;
+		};
+		subtractGuildXp: {
+			params: { userId: string; guildId: string; xp: number };
+			result: Client.GuildXp;
+		};
+		awardGuildXp: {
+			params: { userId: string; guildId: string; xp: number };
+			result: Client.GuildXp;
+		};
+		getGuildXpLeaderboard: {
+			params: { guildId: string; startPosition?: number; items?: number };
+			result: Client.GuildXpLeaderboardEntry[];
+		};
+		getGuildXpRoleRewards: {
+			params: { guildId: string; startPosition?: number; items?: number };
+			result: Client.DatedXpRoleReward[];
+		};
+		getGuildXpCurrencyRewards: {
+			params: { guildId: string; startPosition?: number; items?: number };
+			result: Client.DatedXpCurrencyReward[];
+		};
+		setGuildXpRoleReward: {
+			params: { guildId: string; level: number; roleId: string };
+			result: Client.XpRoleReward;
+		};
+		removeGuildXpRoleReward: {
+			params: { guildId: string; level: number };
+			result: Client.XpRoleReward;
+		};
+		setGuildXpCurrencyReward: {
+			params: { guildId: string; level: number; amount: number };
+			result: Client.XpCurrencyReward;
+		};
+		removeGuildXpCurrencyReward: {
+			params: { guildId: string; level: number };
+			result: Client.XpCurrencyReward;
+		};
+		getGuildXpSettings: {
+			params: { guildId: string };
+			result: Client.XpSettings;
+		};
+		setGuildXpSettings: {
+			params: { guildId: string; serverExcluded?: boolean; notifyMessage?: string };
+			result: Client.XpSettings;
+		};
+		addGuildXpExclusion: {
+			params: { guildId: string; type: "channel" | "role"; id: string };
+			result: Client.XpExclusion;
+		};
+		removeGuildXpExclusion: {
+			params: { guildId: string; type: "channel" | "role"; id: string };
+			result: Client.XpExclusion;
+		};
+		getGlobalRank: {
+			params: { userId: string };
+			result: Client.Rank;
+		};
+		getGlobalXp: {
+			params: { userId: string };
+			result: Client.GlobalXp;
+		};
+		getGlobalXpLeaderboard: {
+			params: { startPosition?: number; items?: number };
+			result: Client.GlobalXpLeaderboardEntry[];
+		};
+		getClubLeaderboard: {
+			params: { startPosition?: number; items?: number };
+			result: Client.Club[];
+		};
+		getClubInfo: {
+			params: { name: string };
+			result: Client.Club;
+		};
+		getClubInfoByUser: {
+			params: { userId: string };
+			result: Client.Club;
+		};
+		getClubMembers: {
+			params: { name: string; startPosition?: number; items?: number };
+			result: Client.ClubMember[];
+		};
+		getWaifuInfo: {
+			params: { userId: string };
+			result: Client.WaifuInfo;
+		};
+		getWaifuLeaderboard: {
+			params: { startPosition?: number; items?: number };
+			result: Client.WaifuLeaderboardEntry[];
+		};
+		getWaifuItems: {
+			params: { userId: string };
+			result: Client.WaifuItem[];
+		};
+		getWaifuHistory: {
+			params: { userId: string; startPosition?: number; items?: number };
+			result: Client.WaifuUpdate[];
+		};
+		setWaifuPrice: {
+			params: { userId: string; price: number };
+			result: Client.WaifuPrice;
+		};
+		giftWaifuItem: {
+			params: { userId: string; waifuId: string; item: string };
+			result: Client.WaifuGift;
+		};
+		getShopEntries: {
+			params: { guildId: string; startPosition?: number; items?: number };
+			result: Client.ShopEntry[];
+		};
+		getShopEntry: {
+			params: { guildId: string; index: number };
+			result: Client.ShopEntryWithItems;
+		};
+		addShopEntry: {
+			params: { guildId: string; userId: string; type: "role" | "list"; price: number; name: string; roleId?: string };
+			result: Client.ShopEntry;
+		};
+		editShopEntry: {
+			params: { guildId: string; index: number; price?: number; name?: string };
+			result: Client.ShopEntry;
+		};
+		removeShopEntry: {
+			params: { guildId: string; index: number };
+			result: Client.ShopEntry;
+		};
+		addShopEntryItem: {
+			params: { guildId: string; index: number; text: string };
+			result: Client.ShopEntryItem;
+		};
+		removeShopEntryItem: {
+			params: { guildId: string; index: number; itemId: number };
+			result: Client.ShopEntryItem;
+		};
+		buyShopEntry: {
+			params: { guildId: string; index: number; userId: string };
+			result: Client.ShopPurchase;
+		};
+		getQuotes: {
+			params: { guildId: string; keyword?: string; startPosition?: number; items?: number };
+			result: Client.Quote[];
+		};
+		searchQuotes: {
+			params: { guildId: string; text: string; keyword?: string; startPosition?: number; items?: number };
+			result: Client.Quote[];
+		};
+		addQuote: {
+			params: { guildId: string; userId: string; keyword: string; text: string; authorName?: string };
+			result: Client.Quote;
+		};
+		deleteQuote: {
+			params: { guildId: string; id: number };
+			result: Client.Quote;
+		};
+		getCustomReactions: {
+			params: { guildId?: string; startPosition?: number; items?: number };
+			result: Client.CustomReaction[];
+		};
+		addCustomReaction: {
+			params: { guildId?: string; trigger: string; response: string };
+			result: Client.CustomReaction;
+		};
+		editCustomReaction: {
+			params: { guildId?: string; id: number; response?: string; autoDeleteTrigger?: boolean; dmResponse?: boolean; containsAnywhere?: boolean; allowTarget?: boolean };
+			result: Client.CustomReaction;
+		};
+		deleteCustomReaction: {
+			params: { guildId?: string; id: number };
+			result: Client.CustomReaction;
+		};
+		getAuditLog: {
+			params: { filter?: Record<string, unknown>; startPosition?: number; items?: number };
+			result: Client.AuditEntry[];
+		};
+	}
+
+	interface AuditEntry {
+		id: number;
+		endpoint: string;
+		claims: Record<string, unknown>;
+		params: Record<string, unknown>;
+		before: Record<string, unknown> | null;
+		after: Record<string, unknown> | null;
+		outcome: "success" | "error";
+		error: string | null;
+		dateAdded: string;
+	}
+
+	interface Balance {
+		userId: string;
+		currency: number;
+	}
+
+	interface BatchResult {
+		endpoint: string;
+		result: unknown;
+	}
+
+	interface BotInfo {
+		id: string;
+		owners: string[];
+		prefix: string | null;
+		currency: { sign: string | null; name: string | null; pluralname: string | null; bet: { minimum: number | null; maximum: number | null }; generation: { chance: number | null; cooldown: number | null; minimumDrop: number | null; maximumDrop: number | null }; timely: { amount: number | null; timeout: number | null } };
+		xp: { perMessage: number | null; timeout: number | null };
+	}
+
+	interface Club {
+		name: string;
+		owner: string;
+		description: string | null;
+		icon: string | null;
+		xp: number;
+		levelRequirement: number;
+		level: number;
+		levelXp: number;
+		requiredXp: number;
+		rank: number;
+	}
+
+	interface ClubMember {
+		userId: string;
+		admin: boolean;
+		xp: number;
+		level: number;
+		levelXp: number;
+		rank: number;
+	}
+
+	interface Column {
+		name: string;
+		type: string;
+		nullable: boolean;
+		primaryKey: boolean;
+		default: string | null;
+	}
+
+	interface CreatedTransaction {
+		userId: string;
+		transactionId: number;
+	}
+
+	interface CustomReaction {
+		id: number;
+		guildId: string | null;
+		trigger: string;
+		response: string;
+		autoDeleteTrigger: boolean;
+		dmResponse: boolean;
+		containsAnywhere: boolean;
+		allowTarget: boolean;
+		reactions: string[];
+	}
+
+	interface DatedXpCurrencyReward {
+		level: number;
+		amount: number;
+		dateAdded: string;
+	}
+
+	interface DatedXpRoleReward {
+		level: number;
+		roleId: string;
+		dateAdded: string;
+	}
+
+	interface GlobalXp {
+		globalXp: number;
+		level: number;
+		levelXp: number;
+		requiredXp: number;
+		rank: number;
+	}
+
+	interface GlobalXpLeaderboardEntry {
+		userId: string;
+		globalXp: number;
+		level: number;
+		levelXp: number;
+		requiredXp: number;
+		rank: number;
+	}
+
+	interface GuildXp {
+		guildXp: number;
+		awardedXp: number;
+		totalXp: number;
+		level: number;
+		levelXp: number;
+		requiredXp: number;
+		rank: number;
+	}
+
+	interface GuildXpLeaderboardEntry {
+		userId: string;
+		xp: number;
+		awardedXp: number;
+		level: number;
+		levelXp: number;
+		requiredXp: number;
+		rank: number;
+	}
+
+	interface Quote {
+		id: number;
+		keyword: string;
+		authorId: string;
+		authorName: string;
+		text: string;
+		dateAdded: string;
+	}
+
+	interface Rank {
+		userId: string;
+		rank: number;
+	}
+
+	interface Relation {
+		column: string;
+		table: string;
+		references: string | null;
+		onUpdate: string;
+		onDelete: string;
+	}
+
+	interface Rows {
+		rows: Array<Record<string, unknown>>;
+		total: number;
+	}
+
+	interface ShopEntry {
+		index: number;
+		type: "role" | "list" | "command" | null;
+		name: string | null;
+		price: number;
+		roleId: string | null;
+		authorId: string;
+		items: number;
+	}
+
+	interface ShopEntryItem {
+		id: number;
+		text: string;
+	}
+
+	interface ShopEntryWithItems {
+		index: number;
+		type: "role" | "list" | "command" | null;
+		name: string | null;
+		price: number;
+		roleId: string | null;
+		authorId: string;
+		items: Client.ShopEntryItem[];
+	}
+
+	interface ShopPurchase {
+		guildId: string;
+		userId: string;
+		index: number;
+		type: "role" | "list" | "command" | null;
+		name: string | null;
+		price: number;
+		roleId: string | null;
+		item: string | null;
+		currency: number;
+	}
+
+	interface SqlChanges {
+		changes: number;
+		lastInsertRowid: number;
+	}
+
+	interface SqlRows {
+		rows: Array<Record<string, unknown>>;
+		affected: number;
+		truncated: boolean;
+	}
+
+	interface TableFields {
+		fields: string[];
+		columns: Client.Column[];
+		relations: Client.Relation[];
+	}
+
+	interface Transaction {
+		transactionId: number;
+		amount: number;
+		reason: string | null;
+		dateAdded: string;
+	}
+
+	interface Transfer {
+		from: Client.Balance;
+		to: Client.Balance;
+	}
+
+	interface WaifuGift {
+		userId: string;
+		currency: number;
+		waifu: Client.WaifuPrice;
+		item: { name: string; emoji: string; price: number };
+	}
+
+	interface WaifuInfo {
+		userId: string;
+		price: number;
+		claimerId: string | null;
+		affinityId: string | null;
+		claims: string[];
+		items: Client.WaifuItem[];
+	}
+
+	interface WaifuItem {
+		name: string;
+		emoji: string;
+		count: number;
+	}
+
+	interface WaifuLeaderboardEntry {
+		userId: string;
+		price: number;
+		claimerId: string | null;
+		affinityId: string | null;
+		rank: number;
+	}
+
+	interface WaifuPrice {
+		userId: string;
+		price: number;
+	}
+
+	interface WaifuUpdate {
+		type: "affinityChanged" | "claimed" | null;
+		oldId: string | null;
+		newId: string | null;
+		dateAdded: string;
+	}
+
+	interface XpCurrencyReward {
+		level: number;
+		amount: number;
+	}
+
+	interface XpExclusion {
+		type: "channel" | "role";
+		id: string;
+	}
+
+	interface XpRoleReward {
+		level: number;
+		roleId: string;
+	}
+
+	interface XpSettings {
+		serverExcluded: boolean;
+		notifyMessage: string | null;
+		exclusions: Client.XpExclusion[];
+	}
+
+	namespace errors {
+		class ConnectorError extends Error {
+			constructor(message: string, code?: string, status?: number);
+			code: string;
+			status: number;
+		}
+		class ValidationError extends ConnectorError {
+			constructor(message: string, code?: string);
+		}
+		class AuthenticationError extends ConnectorError {
+			constructor(message: string, code?: string);
+		}
+		class PermissionError extends ConnectorError {
+			constructor(message: string, code?: string);
+		}
+		class NotFoundError extends ConnectorError {
+			constructor(message: string, code?: string);
+		}
+		class ConflictError extends ConnectorError {
+			constructor(message: string, code?: string);
+		}
+		class InsufficientFundsError extends ConnectorError {
+			constructor(message: string, code?: string);
+		}
+		class RateLimitError extends ConnectorError {
+			constructor(message: string, retryAfter: number, code?: string);
+			retryAfter: number;
+		}
+	}
+}
+
+export = Client;
\ No newline at end of file
@@ -0,0 +1,166 @@
+const { randomBytes } = require("crypto");
+const http = require("http");
+const https = require("https");
+const jwt = require("jsonwebtoken");
+
+const endpoints = require("./endpoints.js");
+const errors = require("./errors.js");
+
+/**
+ * Client for a NadekoConnector server.
+ * Every endpoint is available as an async method taking the same arguments as the Connector method of the same name.
+ * Methods are generated from the endpoint schemas the server uses, so they always match the server's endpoints.
+ */
+class Client {
+	/**
+	 * Create a new client for a single bot.
+	 * @param {Object} options Client options.
+	 * @param {String} options.url Base URL of the bot's NadekoConnector server, such as http://localhost:6000.
+	 * @param {String} options.password Password of the bot, used to sign tokens.
+	 * @param {Number} [options.expiresIn=60] Lifetime of signed tokens in seconds.
+	 * @param {String} [options.subject] Subject (sub claim) to sign tokens with, used for rate limits and the audit log.
+	 * @param {Object} [options.scope] Scope to restrict signed tokens to.
+	 * @param {Number} [options.timeout=10000] Request timeout in milliseconds.
+	 */
+	constructor({ url, password, expiresIn = 60, subject, scope, timeout = 10000 } = {}) {
+		if (typeof url !== "string" || !/^https?:\/\//.test(url))
+			throw new Error("Invalid url specified. Expected an http or https url.");
+		if (typeof password !== "string" || !password)
+			throw new Error("Invalid password specified.");
+		if (typeof expiresIn !== "number" || expiresIn <= 0)
+			throw new Error("Invalid expiresIn specified. Expected a positive number of seconds.");
+		this.url = url.replace(/\/+$/, "");
+		this.password = password;
+		this.expiresIn = expiresIn;
+		this.subject = subject;
+		this.scope = scope;
+		this.timeout = timeout;
+	}
+
+	/**
+	 * Create clients for several bots.
+	 * @param {[Object]} bots Options for each bot, as accepted by the constructor, with a name.
+	 * @returns {Object} Clients by bot name.
+	 */
+	static forBots(bots) {
+		if (!(bots instanceof Array))
+			throw new Error("Bots must be an array.");
+		const clients = {};
+		for (const bot of bots) {
+			if (!bot || typeof bot.name !== "string" || !bot.name)
+				throw new Error("Each bot must have a name.");
+			if (clients[bot.name])
+				throw new Error(`Duplicate bot name ${bot.name}.`);
+			clients[bot.name] = new Client(bot);
+		}
+		return clients;
+	}
+
+	/**
+	 * Gets the error classes thrown by the client, to check errors against.
+	 * @return {Object} Error classes by name.
+	 */
+	static get errors() {
+		return errors;
+	}
+
+	/**
+	 * Gets all endpoints the client can call.
+	 * @return {[String]} Array of endpoints.
+	 */
+	static get endpoints() {
+		return Object.keys(endpoints);
+	}
+
+	/**
+	 * Sign a token for an endpoint.
+	 * @param {String} endpoint Name of the endpoint.
+	 * @param {Object} params Parameters of the endpoint, by name.
+	 * @param {String} [jti] Idempotency key for write endpoints. A random key is used if not specified.
+	 * @returns {String} The signed token.
+	 */
+	sign(endpoint, params, jti) {
+		const payload = { ...params };
+		if (this.scope) payload.scope = this.scope;
+		if (endpoints[endpoint].write) payload.jti = jti || randomBytes(16).toString("hex");
+		return jwt.sign(payload, this.password, { expiresIn: this.expiresIn, ...(this.subject ? { subject: this.subject } : {}) });
+	}
+
+	/**
+	 * Call an endpoint with parameters by name.
+	 * @param {String} endpoint Name of the endpoint.
+	 * @param {Object} [params={}] Parameters of the endpoint, by name.
+	 * @param {Object} [options={}] Call options.
+	 * @param {String} [options.jti] Idempotency key for write endpoints. Reuse it to retry a call without repeating it.
+	 * @returns {Promise<*>} Result of the endpoint.
+	 */
+	call(endpoint, params = {}, { jti } = {}) {
+		if (!endpoints[endpoint])
+			return Promise.reject(new errors.NotFoundError("Invalid endpoint specified.", "ENDPOINT_NOT_FOUND"));
+		return this.request(`/${endpoint.toLowerCase()}`, this.sign(endpoint, params, jti));
+	}
+
+	/**
+	 * Send a signed token to the server.
+	 * @param {String} path Path of the endpoint.
+	 * @param {String} token The signed token.
+	 * @returns {Promise<*>} Parsed response body.
+	 */
+	request(path, token) {
+		return new Promise((resolve, reject) => {
+			const request = (this.url.startsWith("https:") ? https : http).request(this.url + path, {
+				method: "POST",
+				timeout: this.timeout,
+				headers: { "Authorization": `Bearer ${token}`, "Content-Length": 0 }
+			}, response => {
+				let body = "";
+				response.setEncoding("utf8");
+				response.on("data", chunk => body += chunk);
+				response.on("end", () => {
+					let result;
+					try {
+						result = JSON.parse(body);
+					}
+					catch (error) {
+						return reject(new errors.ConnectorError(`Invalid response from server with status ${response.statusCode}.`, "INVALID_RESPONSE", response.statusCode));
+					}
+					if (response.statusCode >= 200 && response.statusCode < 300)
+						return resolve(result);
+					reject(this.getError(response, result));
+				});
+			});
+			request.on("timeout", () => request.destroy(new errors.ConnectorError("Request timed out.", "TIMEOUT", 504)));
+			request.on("error", reject);
+			request.end();
+		});
+	}
+
+	/**
+	 * Convert an error response into a typed error.
+	 * @param {IncomingMessage} response The response.
+	 * @param {Object} body Parsed response body of the form { error, code, message }.
+	 * @returns {ConnectorError} The typed error.
+	 */
+	getError(response, body) {
+		const { error, code, message } = body && typeof body === "object" ? body : {};
+		const description = typeof message === "string" ? message : `Server responded with status ${response.statusCode}.`;
+		if (error === "RateLimitError")
+			return new errors.RateLimitError(description, Number(response.headers["retry-after"]) || 1, code);
+		if (error !== "ConnectorError" && errors[error] && errors[error].prototype instanceof errors.ConnectorError)
+			return new errors[error](description, code);
+		return new errors.ConnectorError(description, code, response.statusCode);
+	}
+}
+
+for (const [endpoint, { params }] of Object.entries(endpoints)) {
+	const names = Object.keys(params);
+	Client.prototype[endpoint] = function (...args) {
+		const values = {};
+		names.forEach((name, index) => {
+			if (args[index] !== undefined) values[name] = args[index];
+		});
+		return this.call(endpoint, values);
+	};
+}
+
+module.exports = Client;
\ No newline at end of file
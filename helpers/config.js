@@ -0,0 +1,300 @@
+const { readFileSync } = require("fs");
+const endpoints = require("./endpoints.js");
+
+/**
+ * Schemas of the config file and of each bot in it.
+ * Each setting has a type, an optional required flag and a description, and may be constrained with minimum and maximum (integers), minLength (strings), minItems and items (arrays), and properties (objects).
+ * Settings marked reloadable are applied to a running bot when the config is reloaded, while the others need a restart.
+ */
+
+const port = {
+	type: "integer",
+	minimum: 1,
+	maximum: 65535
+};
+
+const path = {
+	type: "string",
+	minLength: 1
+};
+
+const trustProxy = {
+	type: ["boolean", "integer", "string", "array"],
+	description: "Express trust proxy setting, used to find the IP address of clients behind a reverse proxy."
+};
+
+const botSchema = {
+	name: { type: "string", minLength: 1, description: "Name of the bot, used to label its metrics and as its path on a shared port. Defaults to the bot's port." },
+	port: { ...port, description: "Port to serve the bot on. Required unless the config has a top-level port." },
+	password: { type: "string", minLength: 1, required: true, reloadable: true, description: "Password tokens for the bot are signed with." },
+	databasePath: { ...path, required: true, description: "Path to the NadekoBot database." },
+	credentialsPath: { ...path, required: true, description: "Path to NadekoBot's credentials.json or creds.yml." },
+	configPath: { ...path, description: "Path to the directory of NadekoBot's YAML config files. Defaults to the directory of the database." },
+	dataPath: { ...path, description: "Path to the connector's own state database. Defaults to data/<port>.db, or data/<name>.db on a shared port." },
+	disabledEndpoints: { type: "array", items: { type: "string" }, reloadable: true, description: "Endpoints to disable." },
+	readOnly: { type: "boolean", reloadable: true, description: "Whether to disable every write endpoint." },
+	health: { type: "boolean", description: "Whether to serve /health. Defaults to true." },
+	metrics: { type: "boolean", description: "Whether to serve /metrics. Defaults to true." },
+	logRequests: { type: "boolean", description: "Whether to log requests to the console. Defaults to true." },
+	trustProxy,
+	webhooks: { type: "array", items: { type: "object" }, description: "Webhook targets to deliver change events to." },
+	maxStreams: { type: "integer", minimum: 1, reloadable: true, description: "Maximum number of event streams open at once. Defaults to 100." },
+	rateLimits: { type: "object", description: "Request rate limits and currency and XP quotas." },
+	sql: {
+		type: "object",
+		reloadable: true,
+		description: "Settings of the execSql endpoint.",
+		properties: {
+			allowWrites: { type: "boolean", description: "Whether statements may write to the database, which also enables run mode. Defaults to false." },
+			maxRows: { type: "integer", minimum: 1, description: "Maximum number of rows a query returns. Defaults to 1000." },
+			rowDeadline: { type: "integer", minimum: 1, description: "Time in milliseconds after which reading further rows of a query fails. Checked after each row only, so it does not interrupt a statement computing a single slow row. Defaults to 1000." }
+		}
+	},
+	browsableTables: { type: "array", items: { type: "string", minLength: 1 }, reloadable: true, description: "Tables the getRows endpoint may browse. Defaults to the tables the other endpoints read." }
+};
+
+const configSchema = {
+	port: { ...port, description: "Port to serve every bot from under /bots/<name>, instead of one port per bot." },
+	trustProxy,
+	bots: { type: "array", minItems: 1, required: true, items: { type: "object" }, description: "Settings of each bot." }
+};
+
+/**
+ * Prefix of environment variables overriding settings.
+ */
+const prefix = "NADEKOCONNECTOR_";
+
+/**
+ * Get the type of a value as named in the schemas.
+ * @param {*} value The value.
+ * @returns {String} Name of the type.
+ */
+const typeOf = value => {
+	if (value instanceof Array) return "array";
+	if (Number.isInteger(value)) return "integer";
+	if (value === null) return "null";
+	return typeof value;
+};
+
+/**
+ * Check a value against the schema of a setting.
+ * @param {Object} schema Schema of the setting.
+ * @param {*} value The value.
+ * @param {String} name Name of the setting for error messages.
+ * @returns {[String]} Problems with the value.
+ */
+const checkValue = (schema, value, name) => {
+	const types = [].concat(schema.type);
+	const type = typeOf(value);
+	if (!types.includes(type))
+		return [`${name} must be of type ${types.join(" or ")}, found ${type}.`];
+	if (typeof value === "number") {
+		if (schema.minimum !== undefined && value < schema.minimum) return [`${name} must be at least ${schema.minimum}.`];
+		if (schema.maximum !== undefined && value > schema.maximum) return [`${name} must be at most ${schema.maximum}.`];
+	}
+	if (typeof value === "string" && schema.minLength !== undefined && value.length < schema.minLength)
+		return [`${name} must not be empty.`];
+	if (value instanceof Array) {
+		if (schema.minItems !== undefined && value.length < schema.minItems) return [`${name} must have at least ${schema.minItems} item${schema.minItems > 1 ? "s" : ""}.`];
+		if (schema.items) return value.flatMap((item, index) => checkValue(schema.items, item, `${name}[${index}]`));
+	}
+	if (type === "object" && schema.properties)
+		return checkSettings(schema.properties, value, `${name}.`);
+	return [];
+};
+
+/**
+ * Check settings against a schema.
+ * @param {Object} schema Schema of the settings.
+ * @param {Object} settings The settings.
+ * @param {String} [name=""] Name of the settings for error messages, followed by a dot.
+ * @returns {[String]} Problems with the settings.
+ */
+const checkSettings = (schema, settings, name = "") => {
+	if (!settings || typeof settings !== "object" || settings instanceof Array)
+		return [`${name.replace(/\.$/, "") || "Config"} must be an object.`];
+	const problems = [];
+	for (const setting of Object.keys(settings))
+		if (!schema[setting]) problems.push(`${name}${setting} is not a known setting.`);
+	for (const [setting, settingSchema] of Object.entries(schema)) {
+		if (settings[setting] === undefined) {
+			if (settingSchema.required) problems.push(`${name}${setting} is required.`);
+			continue;
+		}
+		problems.push(...checkValue(settingSchema, settings[setting], `${name}${setting}`));
+	}
+	return problems;
+};
+
+/**
+ * Check the settings of a bot.
+ * @param {Object} settings Settings of the bot.
+ * @param {Boolean} [mounted=false] Whether the bot is served from a shared port under its name.
+ * @param {String} [name="bot."] Name of the bot for error messages, followed by a dot.
+ * @returns {[String]} Problems with the settings.
+ */
+const checkBot = (settings, mounted = false, name = "bot.") => {
+	const problems = checkSettings(botSchema, settings, name);
+	if (problems.length && (!settings || typeof settings !== "object"))
+		return problems;
+	if (mounted) {
+		if (typeof settings.name !== "string" || !/^[\w-]+$/.test(settings.name))
+			problems.push(`${name}name is required for bots served from a shared port, and must be made of letters, digits, underscores and dashes.`);
+	}
+	else if (settings.port === undefined)
+		problems.push(`${name}port is required unless the config has a top-level port.`);
+	const known = Object.keys(endpoints).map(endpoint => endpoint.toLowerCase());
+	if (settings.disabledEndpoints instanceof Array)
+		settings.disabledEndpoints.forEach((endpoint, index) => {
+			if (typeof endpoint === "string" && !known.includes(endpoint.toLowerCase()))
+				problems.push(`${name}disabledEndpoints[${index}] is not an endpoint: ${endpoint}.`);
+		});
+	return problems;
+};
+
+/**
+ * Create an error listing every problem with a config.
+ * @param {[String]} problems Problems with the config.
+ * @returns {Error} The error, with the problems in its problems property.
+ */
+const configError = problems => {
+	const error = new Error(`Invalid config:\n${problems.map(problem => `  - ${problem}`).join("\n")}`);
+	error.problems = problems;
+	return error;
+};
+
+/**
+ * Validate the settings of a bot.
+ * @param {Object} settings Settings of the bot.
+ * @param {Boolean} [mounted=false] Whether the bot is served from a shared port under its name.
+ * @returns {Object} The settings.
+ */
+const validateBot = (settings, mounted = false) => {
+	const problems = checkBot(settings, mounted);
+	if (problems.length) throw configError(problems);
+	return settings;
+};
+
+/**
+ * Validate a config.
+ * @param {Object} config The config.
+ * @returns {Object} The config.
+ */
+const validateConfig = config => {
+	const problems = checkSettings(configSchema, config);
+	if (config && config.bots instanceof Array) {
+		const mounted = config.port !== undefined;
+		config.bots.forEach((bot, index) => problems.push(...checkBot(bot, mounted, `bots[${index}].`)));
+		const names = config.bots.map(bot => bot && (bot.name || (mounted ? undefined : String(bot.port))));
+		names.forEach((name, index) => {
+			if (name !== undefined && names.indexOf(name) !== index)
+				problems.push(`bots[${index}] has the same ${mounted || config.bots[index].name ? "name" : "port"} as bots[${names.indexOf(name)}]: ${name}.`);
+		});
+	}
+	if (problems.length) throw configError(problems);
+	return config;
+};
+
+/**
+ * Convert a setting name to the suffix of its environment variable, such as databasePath to DATABASE_PATH.
+ * @param {String} setting Name of the setting.
+ * @returns {String} Suffix of the environment variable.
+ */
+const toEnvironmentName = setting => setting.replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase();
+
+/**
+ * Get the environment variable prefix of a bot, from its name or its port.
+ * @param {Object} bot Settings of the bot.
+ * @returns {String} The prefix, such as NADEKOCONNECTOR_NADEKO_.
+ */
+const getBotPrefix = bot => `${prefix}${String(bot.name || bot.port).toUpperCase().replace(/[^A-Z0-9]+/g, "_")}_`;
+
+/**
+ * Convert the value of an environment variable to the type of a setting.
+ * @param {Object} schema Schema of the setting.
+ * @param {String} value Value of the environment variable.
+ * @returns {*} The converted value, left as a string if it cannot be converted so validation reports it.
+ */
+const convertValue = (schema, value) => {
+	const types = [].concat(schema.type);
+	if (types.includes("boolean") && /^(true|false)$/i.test(value)) return value.toLowerCase() === "true";
+	if (types.includes("integer") && /^-?\d+$/.test(value)) return Number(value);
+	if (types.includes("array") && !types.includes("string")) return value.split(",").map(item => item.trim()).filter(Boolean);
+	return value;
+};
+
+/**
+ * Apply environment variable overrides to settings.
+ * A setting such as databasePath is overridden by <prefix>DATABASE_PATH, or by the contents of the file at <prefix>DATABASE_PATH_FILE, which suits secrets mounted into containers.
+ * @param {Object} schema Schema of the settings.
+ * @param {Object} settings The settings, changed in place.
+ * @param {String} variablePrefix Prefix of the environment variables.
+ * @param {Object} env Environment variables.
+ */
+const applyOverrides = (schema, settings, variablePrefix, env) => {
+	for (const [setting, settingSchema] of Object.entries(schema)) {
+		if (setting === "bots") continue;
+		const variable = `${variablePrefix}${toEnvironmentName(setting)}`;
+		let value = env[variable];
+		if (env[`${variable}_FILE`] !== undefined) {
+			try {
+				value = readFileSync(env[`${variable}_FILE`], "utf8").replace(/\r?\n$/, "");
+			}
+			catch (error) {
+				throw new Error(`Could not read ${variable}_FILE: ${error.message}`);
+			}
+		}
+		if (value !== undefined) settings[setting] = convertValue(settingSchema, value);
+	}
+};
+
+/**
+ * Apply environment variable overrides to a config.
+ * Top-level settings use the NADEKOCONNECTOR_ prefix, such as NADEKOCONNECTOR_PORT.
+ * Bot settings use the bot's name or port in the config file, such as NADEKOCONNECTOR_NADEKO_PASSWORD or NADEKOCONNECTOR_3000_PASSWORD_FILE.
+ * @param {Object} config The config, which is not changed.
+ * @param {Object} [env=process.env] Environment variables.
+ * @returns {Object} The config with the overrides applied.
+ */
+const applyEnvironment = (config, env = process.env) => {
+	const result = { ...config };
+	applyOverrides(configSchema, result, prefix, env);
+	if (config.bots instanceof Array)
+		result.bots = config.bots.map(bot => {
+			if (!bot || typeof bot !== "object") return bot;
+			const overridden = { ...bot };
+			applyOverrides(botSchema, overridden, getBotPrefix(bot), env);
+			return overridden;
+		});
+	return result;
+};
+
+/**
+ * Read a config file, apply environment variable overrides and validate it.
+ * @param {String} path Path to the config file (.json).
+ * @param {Object} [env=process.env] Environment variables.
+ * @returns {Object} The config.
+ */
+const loadConfig = (path, env = process.env) => {
+	let config;
+	try {
+		config = JSON.parse(readFileSync(path, "utf8"));
+	}
+	catch (error) {
+		throw new Error(`Config file ${path} could not be read. ${error.message}`);
+	}
+	if (!config || typeof config !== "object" || config instanceof Array)
+		throw configError(["Config must be an object."]);
+	return validateConfig(applyEnvironment(config, env));
+};
+
+/**
+ * Get the settings that differ between two versions of a bot's settings and need a restart to apply.
+ * @param {Object} current Current settings of the bot.
+ * @param {Object} updated Updated settings of the bot.
+ * @returns {[String]} Names of the settings.
+ */
+const getRestartSettings = (current, updated) => Object.keys(botSchema)
+	.filter(setting => !botSchema[setting].reloadable && JSON.stringify(current[setting]) !== JSON.stringify(updated[setting]));
+
+module.exports = { botSchema, configSchema, validateBot, validateConfig, applyEnvironment, loadConfig, getRestartSettings };
\ No newline at end of file
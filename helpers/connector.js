@@ -1,51 +1,202 @@
 const File = require("./file.js");
+const Store = require("./store.js");
+const { ConnectorError, ValidationError, PermissionError, NotFoundError, ConflictError, InsufficientFundsError } = require("./errors.js");
+const endpoints = require("./endpoints.js");
+const { adapters, detectSchema } = require("./schema.js");
 const Database = require("better-sqlite3");
+const EventEmitter = require("events");
+const { watch } = require("fs");
+const { dirname, join, resolve } = require("path");
 
-class Connector {
+/**
+ * NadekoBot's YAML config files read by the connector, by name.
+ */
+const configFileNames = { bot: "bot.yml", gambling: "gambling.yml", xp: "xp.yml" };
+
+/**
+ * Gifts NadekoBot offers for waifus when gambling.yml does not list its own, with their emoji and price.
+ */
+const defaultWaifuItems = [
+	["Potato", "🥔", 5], ["Cookie", "🍪", 10], ["Bread", "🥖", 20], ["Lollipop", "🍭", 30],
+	["Rose", "🌹", 50], ["Beer", "🍺", 70], ["Taco", "🌮", 85], ["LoveLetter", "💌", 100],
+	["Milk", "🥛", 125], ["Pizza", "🍕", 150], ["Chocolate", "🍫", 200], ["Icecream", "🍦", 250],
+	["Sushi", "🍣", 300], ["Rice", "🍚", 400], ["Watermelon", "🍉", 500], ["Bento", "🍱", 600],
+	["MovieTicket", "🎟", 800], ["Cake", "🍰", 1000], ["Book", "📔", 1500], ["Cat", "🐱", 2000],
+	["Dog", "🐶", 2001], ["Panda", "🐼", 2500], ["Lipstick", "💄", 3000], ["Purse", "👛", 3500],
+	["iPhone", "📱", 4000], ["Dress", "👗", 4500], ["Laptop", "💻", 5000], ["Violin", "🎻", 7500],
+	["Piano", "🎹", 8000], ["Car", "🚗", 9000], ["Ring", "💍", 10000], ["Ship", "🛳", 12000],
+	["House", "🏠", 15000], ["Helicopter", "🚁", 20000], ["Spaceship", "🚀", 30000], ["Moon", "🌕", 50000]
+].map(([name, emoji, price]) => ({ name, emoji, price, negative: false }));
+
+/**
+ * Types of the changes recorded in WaifuUpdates, by their value.
+ */
+const waifuUpdateTypes = ["affinityChanged", "claimed"];
+
+/**
+ * Query selecting waifus with the IDs of their users, claimers and affinities.
+ */
+const waifuQuery = "select cast(w.UserId as text) as 'userId', i.Id as 'id', i.Price as 'price', cast(c.UserId as text) as 'claimerId', cast(a.UserId as text) as 'affinityId' from WaifuInfo i join DiscordUser w on w.Id = i.WaifuId left join DiscordUser c on c.Id = i.ClaimerId left join DiscordUser a on a.Id = i.AffinityId";
+
+/**
+ * Types of shop entries, by their value.
+ */
+const shopEntryTypes = ["role", "list", "command"];
+
+/**
+ * Query selecting the shop entries of a guild, with the number of items left in their lists.
+ */
+const shopEntryQuery = "select a.Id as 'id', a.\"Index\" as 'index', a.Type as 'type', case when a.Type = 0 then a.RoleName else a.Name end as 'name', a.Price as 'price', cast(a.RoleId as text) as 'roleId', cast(a.AuthorId as text) as 'authorId', (select count(*) from ShopEntryItem c where c.ShopEntryId = a.Id) as 'items' from ShopEntry a, GuildConfigs b where a.GuildConfigId = b.Id and b.GuildId = $guildId";
+
+/**
+ * Format a shop entry selected by the shop entry query.
+ * @param {Object} entry The shop entry.
+ * @returns {Object} The shop entry, with its type by name and a role ID only for role entries.
+ */
+const formatShopEntry = entry => ({
+	index: entry.index,
+	type: shopEntryTypes[entry.type] || null,
+	name: entry.name,
+	price: entry.price,
+	roleId: entry.type === 0 ? entry.roleId : null,
+	authorId: entry.authorId,
+	items: entry.items
+});
+
+/**
+ * Types of the items excluded from XP, by their value.
+ */
+const exclusionTypes = ["channel", "role"];
+
+/**
+ * Query selecting the quotes of a guild.
+ */
+const quoteQuery = "select Id as 'id', Keyword as 'keyword', cast(AuthorId as text) as 'authorId', AuthorName as 'authorName', Text as 'text', DateAdded as 'dateAdded' from Quotes where GuildId = $guildId";
+
+/**
+ * Columns of the options of custom reactions, by option.
+ */
+const customReactionOptions = { autoDeleteTrigger: "AutoDeleteTrigger", dmResponse: "DmResponse", containsAnywhere: "ContainsAnywhere", allowTarget: "AllowTarget" };
+
+/**
+ * Values of the columns of new custom reactions other than their guild, trigger, response and date, for the columns a schema version has.
+ * NadekoBot versions add and drop these columns, many of them not null without a default.
+ */
+const customReactionDefaults = { AutoDeleteTrigger: 0, DmResponse: 0, ContainsAnywhere: 0, AllowTarget: 0, IsRegex: 0, OwnerOnly: 0, Reactions: null };
+
+/**
+ * Format a custom reaction selected from the database.
+ * @param {Object} reaction The custom reaction.
+ * @returns {Object} The custom reaction, with its options as booleans and its emoji reactions as an array.
+ */
+const formatCustomReaction = reaction => ({
+	id: reaction.id,
+	guildId: reaction.guildId && reaction.guildId !== "0" ? reaction.guildId : null,
+	trigger: reaction.trigger,
+	response: reaction.response,
+	...Object.fromEntries(Object.keys(customReactionOptions).map(option => [option, reaction[option] > 0])),
+	reactions: reaction.reactions ? reaction.reactions.split("@@@").filter(Boolean) : []
+});
+
+/**
+ * SQL operators of the filters of getRows, other than in, by op.
+ */
+const filterOperators = { eq: "=", lt: "<", gt: ">", like: "like" };
+
+/**
+ * Quote an SQL identifier, such as the name of a table or column.
+ * @param {String} name The identifier.
+ * @returns {String} The quoted identifier.
+ */
+const quoteIdentifier = name => `"${name.replace(/"/g, "\"\"")}"`;
+
+/**
+ * Statements execSql never runs, as they attach databases, control transactions or write the database to a file.
+ */
+const forbiddenStatement = /^(attach|detach|begin|commit|end|rollback|savepoint|release|vacuum)\b/i;
+
+/**
+ * Remove the whitespace and comments SQLite skips before the first keyword of a statement.
+ * @param {String} command The SQL statement.
+ * @returns {String} The statement, starting at its first keyword.
+ */
+const stripLeadingComments = command => command.replace(/^(?:\s+|--[^\n]*(?:\n|$)|\/\*[\s\S]*?(?:\*\/|$))*/, "");
+
+/**
+ * Convert integers read as bigints to numbers, or to strings if they are too large for numbers.
+ * @param {*} value Value read from the database.
+ * @returns {*} The converted value.
+ */
+const toSafeValue = value => {
+	if (typeof value !== "bigint") return value;
+	return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+};
+
+/**
+ * Tables the endpoints read in any schema version, which getRows may browse unless a bot sets its own browsable tables.
+ */
+const defaultBrowsableTables = [...new Set([
+	...Object.values(endpoints).flatMap(endpoint => endpoint.tables),
+	...Object.values(adapters).flatMap(adapter => Object.values(adapter.tables))
+])];
+
+/**
+ * Check if a parsed file holds an object. Objects parsed from JSON files have no prototype.
+ * @param {*} value The parsed file.
+ * @returns {Boolean} Whether the value is an object.
+ */
+const isObject = value => typeof value === "object" && value !== null;
+
+/**
+ * Get a value from a parsed config file, or null if it is missing.
+ * @param {Object} config The parsed config file.
+ * @param {...String} keys Keys of the value, from the outermost one.
+ * @returns {*} The value.
+ */
+const getConfigValue = (config, ...keys) => {
+	const value = keys.reduce((object, key) => isObject(object) ? object[key] : undefined, config);
+	return value === undefined ? null : value;
+};
+
+class Connector extends EventEmitter {
 
 	/**
 	 * Creates a new Connector for the specified configuration.
 	 * @param {String} databasePath Path to the database (.db)
-	 * @param {String} credentialsPath Path to the credentials file (.json)
+	 * @param {String} credentialsPath Path to the credentials file (.json, .yml)
 	 * @param {[String]} [disabledEndpoints=[]] Endpoints to disable.
 	 * @param {Boolean} readOnly Whether the connector should be read-only.
+	 * @param {String} dataPath Path to the connector's own state database (.db)
+	 * @param {String} [configPath] Path to the directory of NadekoBot's YAML config files. Defaults to the directory of the database.
+	 * @param {Object} [sql] Settings of execSql, as taken by configure.
+	 * @param {[String]} [browsableTables] Tables getRows may browse. Defaults to the tables the endpoints read.
 	 */
-	constructor(databasePath, credentialsPath, disabledEndpoints, readOnly) {
+	constructor(databasePath, credentialsPath, disabledEndpoints, readOnly, dataPath, configPath, sql, browsableTables) {
+		super();
+		this.databasePath = databasePath;
 		this.db = new Database(databasePath, { readonly: Boolean(readOnly), fileMustExist: true });
-		this.credentials = new File(credentialsPath, err => { throw err; }).read();
-
-		this._endpoints = [
-			"getBotInfo",
-			"getTables",
-			"getFields",
-			"execSql",
-			"getCurrency",
-			"setCurrency",
-			"addCurrency",
-			"subtractCurrency",
-			"createTransaction",
-			"getTransactions",
-			"getGuildRank",
-			"getGuildXp",
-			"setGuildXp",
-			"addGuildXp",
-			"subtractGuildXp",
-			"awardGuildXp",
-			"getGuildXpLeaderboard",
-			"getGuildXpRoleRewards",
-			"getGuildXpCurrencyRewards",
-			"getGlobalRank",
-			"getGlobalXp",
-			"getGlobalXpLeaderboard",
-			"getClubLeaderboard",
-			"getClubInfo",
-			"getClubInfoByUser",
-			"getClubMembers"
-		];
-
-		if (readOnly) disabledEndpoints = disabledEndpoints.concat(this._endpoints.filter(endpoint => !endpoint.startsWith("get")));
-		this._disabledEndpoints = [...new Set(disabledEndpoints)];
+		this.credentialsPath = credentialsPath;
+		this.configPath = configPath || dirname(databasePath);
+		this._credentials = this.readCredentials();
+		this._botConfig = null;
+		this._watchers = [];
+		this.store = new Store(dataPath);
+
+		this._endpoints = Object.keys(endpoints);
+
+		this.configure(disabledEndpoints, readOnly, sql, browsableTables);
+		this._unsupportedEndpoints = {};
 		this._init = false;
+		this._pendingEvents = [];
+		this._meter = null;
+	}
+
+	/**
+	 * Gets the change events emitted by write endpoints.
+	 * @return {[String]} Array of event names.
+	 */
+	static get events() {
+		return ["currency.changed", "transaction.created", "xp.changed", "level.up", "sql.executed", "waifu.changed", "shop.purchased"];
 	}
 
 	/**
@@ -61,7 +212,7 @@ class Connector {
 	 * @return {[String]} Array of available endpoints.
 	 */
 	get endpoints() {
-		return this._endpoints.filter(endpoint => !this._disabledEndpoints.includes(endpoint));
+		return this._endpoints.filter(endpoint => !this._disabledEndpoints.includes(endpoint) && !this._unsupportedEndpoints[endpoint]);
 	}
 
 	/**
@@ -79,6 +230,32 @@ class Connector {
 		this._disabledEndpoints = [...new Set(disabledEndpoints)];
 	}
 
+	/**
+	 * Gets endpoints the NadekoBot database does not support, detected when the connector is initialized.
+	 * @return {Object} Reason each endpoint is unsupported, by endpoint.
+	 */
+	get unsupportedEndpoints() {
+		return this._unsupportedEndpoints;
+	}
+
+	/**
+	 * Gets the bot's credentials, read again after the credentials file changes.
+	 * @return {Object} The credentials, with the bot's ID as ClientId and its owners as OwnerIds.
+	 */
+	get credentials() {
+		if (!this._credentials) this._credentials = this.readCredentials();
+		return this._credentials;
+	}
+
+	/**
+	 * Gets the bot's YAML config files that exist, read again after they change.
+	 * @return {Object} Parsed config files, by name.
+	 */
+	get botConfig() {
+		if (!this._botConfig) this._botConfig = this.readBotConfig();
+		return this._botConfig;
+	}
+
 	/**
 	 * Get the initialization state of the connector.
 	 * @returns {Boolean} Whether the connector is initialized or not.
@@ -95,9 +272,9 @@ class Connector {
 	 */
 	calcLevel(xp, baseXp = 36) {
 		if (typeof xp !== "number" || xp < 0)
-			throw new Error("XP must be a valid numerical value.");
+			throw new ValidationError("XP must be a valid numerical value.");
 		if (typeof baseXp !== "number" || baseXp < 0)
-			throw new Error("Base XP must be a valid numerical value.");
+			throw new ValidationError("Base XP must be a valid numerical value.");
 
 		let requiredXp = baseXp, totalXp = 0, lvl = 1;
 		while (true) {
@@ -112,12 +289,104 @@ class Connector {
 	}
 
 
+	/**
+	 * Read the credentials file.
+	 * NadekoBot 2 uses PascalCase keys in credentials.json, while later versions use camelCase keys in creds.yml and derive the bot's ID from its token.
+	 * @returns {Object} The credentials, with the bot's ID as ClientId and its owners as OwnerIds.
+	 */
+	readCredentials() {
+		const credentials = new File(this.credentialsPath, err => { throw err; }).read();
+		if (!isObject(credentials))
+			throw new Error("Credentials could not be parsed.");
+		const get = key => credentials[key] !== undefined ? credentials[key] : credentials[key[0].toLowerCase() + key.slice(1)];
+		let clientId = get("ClientId");
+		const token = get("Token");
+		if (!clientId && typeof token === "string") {
+			const id = Buffer.from(token.split(".")[0], "base64").toString();
+			if (/^\d{17,20}$/.test(id)) clientId = id;
+		}
+		return { ...credentials, ClientId: clientId ? String(clientId) : null, OwnerIds: (get("OwnerIds") || []).map(String) };
+	}
+
+	/**
+	 * Read the bot's YAML config files that exist.
+	 * @returns {Object} Parsed config files, by name.
+	 */
+	readBotConfig() {
+		const config = {};
+		for (const [name, fileName] of Object.entries(configFileNames)) {
+			const file = new File(join(this.configPath, fileName));
+			if (!file.exists) continue;
+			const data = file.read();
+			if (isObject(data)) config[name] = data;
+		}
+		return config;
+	}
+
+	/**
+	 * Watch the credentials and config files, reading them again and updating the supported endpoints when they change.
+	 */
+	watchFiles() {
+		this.unwatchFiles();
+		const credentialsPath = resolve(this.credentialsPath), configPath = resolve(this.configPath);
+		const onChange = (directory, fileName) => {
+			const path = join(directory, String(fileName));
+			if (path === credentialsPath) this._credentials = null;
+			if (directory === configPath && Object.values(configFileNames).includes(String(fileName))) {
+				this._botConfig = null;
+				this.checkSupport();
+			}
+		};
+		for (const directory of new Set([dirname(credentialsPath), configPath])) {
+			try {
+				const watcher = watch(directory, (eventType, fileName) => onChange(directory, fileName));
+				watcher.on("error", () => watcher.close());
+				watcher.unref();
+				this._watchers.push(watcher);
+			}
+			catch (error) {
+				continue;
+			}
+		}
+	}
+
+	/**
+	 * Stop watching the credentials and config files.
+	 */
+	unwatchFiles() {
+		this._watchers.forEach(watcher => watcher.close());
+		this._watchers = [];
+	}
+
+	/**
+	 * Find the endpoints the NadekoBot database does not support.
+	 * An endpoint is unsupported if the database lacks any of its tables, unless all of the config files it can read instead exist.
+	 */
+	checkSupport() {
+		const unsupported = {};
+		for (const [endpoint, { tables, configFiles = [] }] of Object.entries(endpoints)) {
+			const missing = tables.map(table => this.table(table)).filter(table => !this.schema.tables.includes(table));
+			if (missing.length && (!configFiles.length || !configFiles.every(name => this.botConfig[name])))
+				unsupported[endpoint] = `NadekoBot schema version ${this.schema.version} does not have the ${missing.join(", ")} table${missing.length > 1 ? "s" : ""}.`;
+		}
+		this._unsupportedEndpoints = unsupported;
+	}
+
+	/**
+	 * Get the name of a table in the detected schema version.
+	 * @param {String} table Name of the table in version 2 of the schema.
+	 * @returns {String} Name of the table.
+	 */
+	table(table) {
+		return this.adapter.tables[table] || table;
+	}
+
 	/**
 	 * Check if the connector has been initialized or not.
 	 */
 	checkInitialized() {
 		if (!this._init)
-			throw new Error("Connector not initialized. Please initialize it by calling initialize().");
+			throw new ConnectorError("Connector not initialized. Please initialize it by calling initialize().", "NOT_INITIALIZED", 503);
 	}
 
 	/**
@@ -126,45 +395,383 @@ class Connector {
 	checkEndpoint(endpoint) {
 		this.checkInitialized();
 		if (this._disabledEndpoints.map(endpoint => endpoint.toLowerCase()).includes(endpoint.toLowerCase()))
-			throw new Error("Endpoint disabled.");
+			throw new PermissionError("Endpoint disabled.", "ENDPOINT_DISABLED");
+		const unsupported = Object.keys(this._unsupportedEndpoints).find(name => name.toLowerCase() === endpoint.toLowerCase());
+		if (unsupported)
+			throw new ConnectorError(`Endpoint not supported. ${this._unsupportedEndpoints[unsupported]}`, "ENDPOINT_UNSUPPORTED", 501);
 	}
 
 	/**
-	 * Initialize the connector.
+	 * Run a function inside a single database transaction.
+	 * Nested calls become savepoints of the outermost transaction.
+	 * Change events emitted inside the transaction are only fired once it commits.
+	 * @param {Function} callback Function to run.
+	 * @returns {*} Return value of the callback.
 	 */
-	initialize() {
+	transaction(callback) {
+		if (this.db.inTransaction)
+			return this.db.transaction(callback)();
+		let result;
+		try {
+			result = this.db.transaction(callback)();
+		}
+		catch (error) {
+			this._pendingEvents = [];
+			throw error;
+		}
+		const events = this._pendingEvents;
+		this._pendingEvents = [];
+		events.forEach(([event, data]) => this.fireChange(event, data));
+		return result;
+	}
+
+	/**
+	 * Fire a committed change event, logging errors of its listeners so they cannot fail the committed write.
+	 * @param {String} event Name of the event.
+	 * @param {Object} data Data describing the change.
+	 */
+	fireChange(event, data) {
+		for (const listener of this.rawListeners(event)) {
+			try {
+				listener.call(this, data);
+			}
+			catch (error) {
+				console.error(`Listener of ${event} failed. ${error.message}`);
+			}
+		}
+	}
+
+	/**
+	 * Emit a change event, deferring it until the current transaction commits.
+	 * @param {String} event Name of the event.
+	 * @param {Object} data Data describing the change.
+	 */
+	emitChange(event, data) {
+		if (this.db.inTransaction)
+			this._pendingEvents.push([event, data]);
+		else
+			this.fireChange(event, data);
+	}
+
+	/**
+	 * Validate parameters for an endpoint against its schema, applying defaults for missing optional parameters.
+	 * @param {String} endpoint Name of the endpoint.
+	 * @param {Object} input Parameters by name.
+	 * @returns {Object} Validated parameters by name, in the order the endpoint takes them.
+	 */
+	checkParams(endpoint, input) {
+		if (!this._endpoints.includes(endpoint))
+			throw new NotFoundError("Invalid endpoint specified.", "ENDPOINT_NOT_FOUND");
+		if (!input || typeof input !== "object")
+			throw new ValidationError("Parameters must be an object.");
+		const params = {};
+		for (const [name, param] of Object.entries(endpoints[endpoint].params)) {
+			const value = input[name] === undefined ? param.default : input[name];
+			if (value === undefined && param.required === false) {
+				params[name] = undefined;
+				continue;
+			}
+			if (!this.isValidParam(param, value)) {
+				const error = new ValidationError(`Invalid properties specified. \n${param.error}`);
+				error.param = name;
+				throw error;
+			}
+			params[name] = value;
+		}
+		return params;
+	}
+
+	/**
+	 * Check whether a value matches the schema of a parameter.
+	 * @param {Object} param Schema of the parameter.
+	 * @param {*} value Value of the parameter.
+	 * @returns {Boolean} Whether the value is valid.
+	 */
+	isValidParam(param, value) {
+		const type = value instanceof Array ? "array" : value === null ? "null" : Number.isInteger(value) && param.type === "integer" ? "integer" : typeof value;
+		if (type !== param.type)
+			return false;
+		if (type === "integer" && !Number.isSafeInteger(value))
+			return false;
+		if ((param.minimum !== undefined && value < param.minimum) || (param.maximum !== undefined && value > param.maximum))
+			return false;
+		if (type === "string") {
+			if ((param.minLength !== undefined && value.length < param.minLength) || (param.maxLength !== undefined && value.length > param.maxLength))
+				return false;
+			if (param.pattern !== undefined && !new RegExp(param.pattern).test(value))
+				return false;
+		}
+		if (type === "array" && ((param.minItems !== undefined && value.length < param.minItems) || (param.maxItems !== undefined && value.length > param.maxItems)))
+			return false;
+		return true;
+	}
+
+	/**
+	 * Call an endpoint with parameters by name, validating them against its schema first.
+	 * @param {String} endpoint Name of the endpoint.
+	 * @param {Object} input Parameters by name.
+	 * @returns {*} Result of the endpoint.
+	 */
+	call(endpoint, input) {
+		const params = this.checkParams(endpoint, input);
+		if (this._meter)
+			this._meter.call = { currency: 0, xp: 0 };
+		return this[endpoint](...Object.values(params));
+	}
+
+	/**
+	 * Run a function while measuring the currency and XP moved by the endpoints it calls.
+	 * The check runs inside the transaction of each change, so throwing from it rolls the change back.
+	 * @param {Function} check Function called with the amounts moved by the current call and in total.
+	 * @param {Function} callback Function calling the endpoints.
+	 * @returns {Object} Return value of the callback as result, and the amounts moved in total as usage.
+	 */
+	metered(check, callback) {
+		if (this._meter)
+			throw new ConnectorError("Metered calls cannot be nested.");
+		this._meter = { check, call: { currency: 0, xp: 0 }, total: { currency: 0, xp: 0 } };
+		try {
+			const result = callback();
+			return { result, usage: this._meter.total };
+		}
+		finally {
+			this._meter = null;
+		}
+	}
+
+	/**
+	 * Count currency or XP moved by the current call against the running meter, if any.
+	 * Endpoints call this inside their transaction with the real change, not the requested amount.
+	 * @param {String} type Either currency or xp.
+	 * @param {Number} amount Amount moved, in either direction.
+	 */
+	meter(type, amount) {
+		if (!this._meter || !amount)
+			return;
+		this._meter.call[type] += Math.abs(amount);
+		this._meter.total[type] += Math.abs(amount);
+		this._meter.check(this._meter.call, this._meter.total);
+	}
+
+	/**
+	 * Call an endpoint at most once for the given idempotency key.
+	 * Repeating a call with a used key returns the original result instead of executing it again.
+	 * @param {String} key Unique idempotency key, usually the jti claim of the token.
+	 * @param {String} endpoint Name of the endpoint.
+	 * @param {Object} params Parameters to call the endpoint with, by name.
+	 * @param {Number} [expiresAt] Unix timestamp after which the key no longer needs to be remembered.
+	 * @param {Function} [callback] Function executing the endpoint, if it should not be called directly.
+	 * @returns {*} Result of the endpoint.
+	 */
+	callOnce(key, endpoint, params, expiresAt, callback = () => this.call(endpoint, params)) {
+		this.checkEndpoint(endpoint);
+		if (typeof key !== "string" || !key)
+			throw new ValidationError("Idempotency key must be a non-empty string.", "JTI_REQUIRED");
+		this.store.pruneIdempotencyKeys();
+		const serializedParams = JSON.stringify(params);
+		const previous = this.store.getIdempotencyKey(key);
+		if (previous) {
+			if (previous.endpoint !== endpoint || previous.params !== serializedParams)
+				throw new ConflictError("Idempotency key has already been used for a different request.", "IDEMPOTENCY_KEY_REUSED");
+			if (previous.result === null)
+				throw new ConflictError("Idempotency key belongs to a request that did not complete.", "REQUEST_INCOMPLETE");
+			return JSON.parse(previous.result);
+		}
+		this.store.claimIdempotencyKey(key, endpoint, serializedParams, expiresAt);
+		let result;
+		try {
+			result = callback();
+		}
+		catch (error) {
+			this.store.releaseIdempotencyKey(key);
+			throw error;
+		}
+		this.store.completeIdempotencyKey(key, result);
+		return result;
+	}
+
+	/**
+	 * Run a mutating call and record it in the audit log, whether it succeeds or fails.
+	 * @param {String} endpoint Name of the endpoint.
+	 * @param {Object} params Parameters the endpoint is called with, by name.
+	 * @param {Object} claims Token claims identifying the caller.
+	 * @param {Function} callback Function executing the endpoint.
+	 * @returns {*} Result of the endpoint.
+	 */
+	audit(endpoint, params, claims, callback) {
+		const users = new Set(), guilds = new Set();
+		const collectIds = value => {
+			if (!value || typeof value !== "object") return;
+			for (const [key, item] of Object.entries(value)) {
+				if (typeof item === "string" && /^(userId|fromUserId|toUserId)$/.test(key)) users.add(item);
+				else if (typeof item === "string" && key === "guildId") guilds.add(item);
+				else collectIds(item);
+			}
+		};
+		collectIds(params);
+		const entry = { endpoint, claims, params, users: [...users], guilds: [...guilds], before: this.getAuditState(users, guilds) };
+		try {
+			const result = callback();
+			this.store.addAuditEntry({ ...entry, after: this.getAuditState(users, guilds), outcome: "success" });
+			return result;
+		}
+		catch (error) {
+			this.store.addAuditEntry({ ...entry, after: this.getAuditState(users, guilds), outcome: "error", error: error.message });
+			throw error;
+		}
+	}
+
+	/**
+	 * Get the currency and XP of the given users, along with the bot's own balance, for the audit log.
+	 * @param {Set<String>} users IDs of the Discord users.
+	 * @param {Set<String>} guilds IDs of the Discord guilds.
+	 * @returns {Object} Currency of each user and guild XP of each user in each guild.
+	 */
+	getAuditState(users, guilds) {
+		const state = { currency: {}, guildXp: {} };
+		if (!users.size) return state;
+		for (const userId of [this.credentials.ClientId, ...users]) {
+			const user = this.db.prepare("select CurrencyAmount as 'currency' from DiscordUser where UserId = $userId").get({ userId });
+			if (user) state.currency[userId] = user.currency;
+		}
+		for (const guildId of guilds) {
+			state.guildXp[guildId] = {};
+			for (const userId of users) {
+				const xpInfo = this.db.prepare("select Xp as 'xp', AwardedXp as 'awardedXp' from UserXpStats where UserId = $userId and GuildId = $guildId").get({ userId, guildId });
+				if (xpInfo) state.guildXp[guildId][userId] = xpInfo;
+			}
+		}
+		return state;
+	}
+
+	/**
+	 * Change the disabled endpoints, whether the connector is read-only, the settings of execSql and the tables getRows may browse.
+	 * The database is only reopened when a read-only connector becomes writable.
+	 * @param {[String]} [disabledEndpoints=[]] Endpoints to disable.
+	 * @param {Boolean} readOnly Whether the connector should be read-only.
+	 * @param {Object} [sql={}] Settings of execSql.
+	 * @param {Boolean} [sql.allowWrites=false] Whether statements may write to the database, which also enables run mode.
+	 * @param {Number} [sql.maxRows=1000] Maximum number of rows a query returns.
+	 * @param {Number} [sql.rowDeadline=1000] Time in milliseconds after which reading further rows of a query fails, checked after each row.
+	 * @param {[String]} [browsableTables] Tables getRows may browse. Defaults to the tables the endpoints read.
+	 */
+	configure(disabledEndpoints = [], readOnly, sql = {}, browsableTables = defaultBrowsableTables) {
+		const { allowWrites = false, maxRows = 1000, rowDeadline = 1000 } = sql;
+		if (typeof allowWrites !== "boolean" || !Number.isInteger(maxRows) || maxRows < 1 || !Number.isInteger(rowDeadline) || rowDeadline < 1)
+			throw new Error("Invalid SQL settings specified. Expected allowWrites to be a boolean, and maxRows and rowDeadline to be positive integers.");
+		this.sql = { allowWrites, maxRows, rowDeadline };
+		if (!(browsableTables instanceof Array) || !browsableTables.every(table => typeof table === "string"))
+			throw new Error("Invalid browsable tables specified. Expected an array of table names.");
+		this.browsableTables = [...browsableTables];
+		if (!readOnly && this.db.readonly) {
+			this.db.close();
+			this.db = new Database(this.databasePath, { fileMustExist: true });
+			if (this._init) this.setPragmas();
+		}
+		this.readOnly = Boolean(readOnly);
+		if (readOnly) disabledEndpoints = disabledEndpoints.concat(this._endpoints.filter(endpoint => endpoints[endpoint].write));
+		this._disabledEndpoints = [...new Set(disabledEndpoints)];
+	}
+
+	/**
+	 * Set the pragmas the connector uses on the database.
+	 */
+	setPragmas() {
 		try {
-			const statements = ["journal_mode=OFF", "locking_mode=NORMAL", "synchronous=OFF", "optimize"];
+			const statements = ["locking_mode=NORMAL", "synchronous=OFF", "optimize"];
 			statements.forEach(statement => this.db.pragma(statement));
 		}
 		catch (error) {
 			throw new Error("Database could not be initialized.");
 		}
+	}
+
+	/**
+	 * Initialize the connector.
+	 */
+	initialize() {
+		this.setPragmas();
+		this.schema = detectSchema(this.db);
+		if (!this.schema.version)
+			throw new Error("Database is not a NadekoBot database.");
+		this.adapter = adapters[this.schema.version];
+		this.checkSupport();
+		this.watchFiles();
 		this._init = true;
 	}
 
+	/**
+	 * Stop watching files and close the databases.
+	 */
+	close() {
+		this.unwatchFiles();
+		this.db.close();
+		this.store.close();
+		this._init = false;
+	}
+
 	/**
 	 * Gets info about the bot.
+	 * Currency and XP settings are read from the gambling.yml and xp.yml config files when they exist, and from the BotConfig table otherwise.
 	 * @returns {Object} Info about the bot.
 	 */
 	getBotInfo() {
 		this.checkEndpoint("getBotInfo");
-		const bet = this.db.prepare("select MinBet as 'minimum', MaxBet as 'maximum' from BotConfig").get();
-		const currency = this.db.prepare("select CurrencySign as 'sign', CurrencyName as 'name', CurrencyPluralName as 'pluralname' from BotConfig").get();
-		const generation = this.db.prepare("select CurrencyGenerationChance as 'chance', CurrencyGenerationCooldown as 'cooldown', CurrencyDropAmount as 'minimumDrop', CurrencyDropAmountMax as 'maximumDrop' from BotConfig").get();
-		const timely = this.db.prepare("select TimelyCurrency as 'amount', TimelyCurrencyPeriod as 'timeout' from BotConfig").get();
-		const xp = this.db.prepare("select XpPerMessage as 'perMessage', XpMinutesTimeout as 'timeout' from BotConfig").get();
+		const { bot, gambling, xp } = this.botConfig;
+		const hasBotConfig = this.schema.tables.includes("BotConfig");
+		if ((!gambling || !xp) && !hasBotConfig)
+			throw new NotFoundError("Bot config not found.", "CONFIG_NOT_FOUND");
 		return {
 			id: this.credentials.ClientId,
 			owners: this.credentials.OwnerIds,
-			currency: {
-				...currency,
-				bet, generation, timely
+			prefix: getConfigValue(bot, "prefix"),
+			currency: gambling ? this.getCurrencyConfig(gambling) : this.getDatabaseCurrencyConfig(),
+			xp: xp ? {
+				perMessage: getConfigValue(xp, "xpPerMessage"),
+				timeout: getConfigValue(xp, "messageXpCooldown")
+			} : this.db.prepare("select XpPerMessage as 'perMessage', XpMinutesTimeout as 'timeout' from BotConfig").get()
+		};
+	}
+
+	/**
+	 * Get the currency settings of the bot from its gambling.yml config file.
+	 * @param {Object} gambling The parsed config file.
+	 * @returns {Object} Currency settings.
+	 */
+	getCurrencyConfig(gambling) {
+		return {
+			sign: getConfigValue(gambling, "currency", "sign"),
+			name: getConfigValue(gambling, "currency", "name"),
+			pluralname: null,
+			bet: {
+				minimum: getConfigValue(gambling, "minBet"),
+				maximum: getConfigValue(gambling, "maxBet")
+			},
+			generation: {
+				chance: getConfigValue(gambling, "generation", "chance"),
+				cooldown: getConfigValue(gambling, "generation", "genCooldown"),
+				minimumDrop: getConfigValue(gambling, "generation", "minAmount"),
+				maximumDrop: getConfigValue(gambling, "generation", "maxAmount")
 			},
-			xp
+			timely: {
+				amount: getConfigValue(gambling, "timely", "amount"),
+				timeout: getConfigValue(gambling, "timely", "cooldown")
+			}
 		};
 	}
 
+	/**
+	 * Get the currency settings of the bot from the BotConfig table.
+	 * @returns {Object} Currency settings.
+	 */
+	getDatabaseCurrencyConfig() {
+		const bet = this.db.prepare("select MinBet as 'minimum', MaxBet as 'maximum' from BotConfig").get();
+		const currency = this.db.prepare("select CurrencySign as 'sign', CurrencyName as 'name', CurrencyPluralName as 'pluralname' from BotConfig").get();
+		const generation = this.db.prepare("select CurrencyGenerationChance as 'chance', CurrencyGenerationCooldown as 'cooldown', CurrencyDropAmount as 'minimumDrop', CurrencyDropAmountMax as 'maximumDrop' from BotConfig").get();
+		const timely = this.db.prepare("select TimelyCurrency as 'amount', TimelyCurrencyPeriod as 'timeout' from BotConfig").get();
+		return { ...currency, bet, generation, timely };
+	}
+
 	/**
 	 * Gets the tables present in the database.
 	 * @returns {Object} Array of table names.
@@ -172,33 +779,177 @@ class Connector {
 	getTables() {
 		this.checkEndpoint("getTables");
 		const tables = this.db.prepare("select name from sqlite_master where type='table'").all().map(table => table.name).sort();
-		if (!tables) throw new Error("Unable to list tables.");
+		if (!tables) throw new ConnectorError("Unable to list tables.");
 		this.tables = tables;
 		return { tables };
 	}
 
 	/**
-	 * Gets fields present in the specified table.
+	 * Describe a table from its schema.
 	 * @param {String} table Name of the table.
-	 * @returns {Object} Array of field names.
+	 * @returns {Object} Columns of the table and its relations to other tables.
+	 */
+	describeTable(table) {
+		if (!this.db.prepare("select name from sqlite_master where type = 'table' and name = $table").get({ table }))
+			throw new NotFoundError("Table not present.", "TABLE_NOT_FOUND");
+		const columns = this.db.prepare("select name, type, \"notnull\" as 'notNull', dflt_value as 'defaultValue', pk as 'primaryKey' from pragma_table_info($table) order by cid").all({ table })
+			.map(({ name, type, notNull, defaultValue, primaryKey }) => ({ name, type, nullable: !notNull && !primaryKey, primaryKey: primaryKey > 0, default: defaultValue }));
+		const relations = this.db.prepare("select \"from\" as 'column', \"table\" as 'table', \"to\" as 'references', on_update as 'onUpdate', on_delete as 'onDelete' from pragma_foreign_key_list($table) order by id, seq").all({ table });
+		return { columns, relations };
+	}
+
+	/**
+	 * Gets the columns of the specified table and its relations to other tables.
+	 * @param {String} table Name of the table.
+	 * @returns {Object} Names of the columns as fields, columns with their type, nullability, primary key flag and default value, and relations with the column, the table and column it references and its update and delete actions.
 	 */
 	getFields(table) {
 		this.checkEndpoint("getFields");
-		if (!this.tables) this.tables = this.getTables().tables;
-		if (!this.tables.includes(table)) throw new Error("Table not present.");
-		const fields = this.db.prepare(`select * from ${table}`).get();
-		return { fields: Object.keys(fields) };
+		const { columns, relations } = this.describeTable(table);
+		return { fields: columns.map(column => column.name), columns, relations };
 	}
 
 	/**
-	 * Execute an SQL query and return the rows.
-	 * @param {String} command The SQL command to execute.
-	 * @returns {Object} Result of the command, array of rows if multiple rows were affected or a single JSON object if a single row was affected.
+	 * Gets a page of rows of an allowed table, filtered and sorted by its columns. Every filter value is bound as a parameter.
+	 * @param {String} table Name of the table.
+	 * @param {[Object]} [filters=[]] Filters the rows must all match, each with a column, an op (eq, lt, gt, like or in) and a value.
+	 * @param {String} [orderBy] Column to sort the rows by. Defaults to the table's primary key.
+	 * @param {Boolean} [descending=false] Whether to sort the rows in descending order.
+	 * @param {Number} [startPosition=0] Start position/offset of the page.
+	 * @param {Number} [items=10] Items per page.
+	 * @returns {Object} Rows of the page and the total number of rows matching the filters. Integers too large for numbers are returned as strings.
 	 */
-	execSql(command) {
+	getRows(table, filters = [], orderBy, descending = false, startPosition = 0, items = 10) {
+		this.checkEndpoint("getRows");
+		const browsable = this.browsableTables.find(allowed => allowed.toLowerCase() === table.toLowerCase());
+		if (!browsable)
+			throw new PermissionError("Table is not browsable.", "TABLE_NOT_ALLOWED");
+		table = browsable;
+		const { columns } = this.describeTable(table);
+		const getColumn = (name, description) => {
+			const column = typeof name === "string" && columns.find(column => column.name.toLowerCase() === name.toLowerCase());
+			if (!column) throw new ValidationError(`${description} is not a column of ${table}.`);
+			return quoteIdentifier(column.name);
+		};
+		const isValue = value => value === null || typeof value === "string" || typeof value === "number";
+
+		const conditions = [], values = {};
+		filters.forEach((filter, index) => {
+			if (!filter || typeof filter !== "object")
+				throw new ValidationError(`Filter ${index} must be an object with a column, an op and a value.`);
+			const column = getColumn(filter.column, `Filter ${index} column ${filter.column}`);
+			const { op, value } = filter;
+			if (op === "in") {
+				if (!(value instanceof Array) || !value.length || value.length > 100 || !value.every(item => isValue(item) && item !== null))
+					throw new ValidationError(`Filter ${index} value must be an array of 1 to 100 strings or numbers for the in op.`);
+				value.forEach((item, itemIndex) => values[`filter${index}_${itemIndex}`] = item);
+				return conditions.push(`${column} in (${value.map((item, itemIndex) => `$filter${index}_${itemIndex}`).join(", ")})`);
+			}
+			if (!filterOperators[op])
+				throw new ValidationError(`Filter ${index} op must be one of eq, lt, gt, like or in.`);
+			if (!isValue(value) || (value === null && op !== "eq") || (op === "like" && typeof value !== "string"))
+				throw new ValidationError(`Filter ${index} value must be a string or a number${op === "eq" ? ", or null" : ""} for the ${op} op.`);
+			if (value === null)
+				return conditions.push(`${column} is null`);
+			values[`filter${index}`] = value;
+			conditions.push(`${column} ${filterOperators[op]} $filter${index}`);
+		});
+
+		const order = orderBy !== undefined
+			? [getColumn(orderBy, `orderBy ${orderBy}`)]
+			: columns.filter(column => column.primaryKey).map(column => quoteIdentifier(column.name));
+		const from = `from ${quoteIdentifier(table)}${conditions.length ? ` where ${conditions.join(" and ")}` : ""}`;
+		const { total } = this.db.prepare(`select count(*) as total ${from}`).get(values);
+		const rows = this.db.prepare(`select * ${from}${order.length ? ` order by ${order.map(column => `${column} ${descending ? "desc" : "asc"}`).join(", ")}` : ""} limit $items offset $startPosition`)
+			.safeIntegers(true)
+			.all({ ...values, items, startPosition })
+			.map(row => Object.fromEntries(Object.entries(row).map(([name, value]) => [name, toSafeValue(value)])));
+		return { rows, total };
+	}
+
+	/**
+	 * Execute an SQL statement.
+	 * Queries must be read-only unless writes are allowed, and return at most the configured number of rows.
+	 * Queries fail when a row is read after the configured row deadline has passed. This is not a query timeout: better-sqlite3 cannot interrupt a statement while it computes a row, so a statement computing a single slow row runs to completion.
+	 * Read-only queries are checked with the statement's readonly flag where better-sqlite3 provides it, and always run with query_only set.
+	 * Statements that return no rows are only executed in run mode, which requires writes to be allowed.
+	 * @param {String} command The SQL statement to execute.
+	 * @param {Object} [params={}] Values to bind to the named parameters of the statement, such as $userId, by name.
+	 * @param {String} [mode="query"] Either query to return rows, or run to execute a statement returning no rows.
+	 * @returns {Object} The rows returned by a query with their count and whether they were truncated, or the changes made in run mode and the last inserted row ID.
+	 */
+	execSql(command, params = {}, mode = "query") {
 		this.checkEndpoint("execSql");
-		const rows = this.db.prepare(command).all();
-		return { rows, affected: rows.length };
+		const { maxRows, rowDeadline } = this.sql;
+		const allowWrites = this.sql.allowWrites && !this.readOnly;
+		if (forbiddenStatement.test(stripLeadingComments(command)))
+			throw new PermissionError("Statements attaching databases, controlling transactions or vacuuming are not allowed.", "SQL_NOT_ALLOWED");
+		try {
+			const statement = this.db.prepare(command);
+			if (!allowWrites && statement.readonly === false)
+				throw new PermissionError("Only read-only statements are allowed.", "SQL_NOT_ALLOWED");
+			if (mode === "run") {
+				if (!allowWrites)
+					throw new PermissionError("Run mode requires writes to be allowed.", "SQL_NOT_ALLOWED");
+				if (statement.reader)
+					throw new ValidationError("Statements returning rows must be executed in query mode.", "SQL_ERROR");
+				const { changes, lastInsertRowid } = statement.run({ ...params });
+				this.emitChange("sql.executed", { command, changes, lastInsertRowid });
+				return { changes, lastInsertRowid };
+			}
+			if (!statement.reader)
+				throw new ValidationError("Statements returning no rows must be executed in run mode.", "SQL_ERROR");
+			const start = Date.now(), rows = [];
+			let truncated = false;
+			if (!allowWrites) this.db.pragma("query_only = ON");
+			try {
+				for (const row of statement.iterate({ ...params })) {
+					if (rows.length === maxRows) {
+						truncated = true;
+						break;
+					}
+					rows.push(row);
+					if (Date.now() - start > rowDeadline)
+						throw new ConnectorError(`Query was still reading rows after ${rowDeadline}ms.`, "SQL_DEADLINE_EXCEEDED", 408);
+				}
+			}
+			finally {
+				if (!allowWrites) this.db.pragma("query_only = OFF");
+			}
+			return { rows, affected: rows.length, truncated };
+		}
+		catch (error) {
+			if (error instanceof Database.SqliteError) {
+				if (error.code === "SQLITE_READONLY" && !allowWrites)
+					throw new PermissionError("Only read-only statements are allowed.", "SQL_NOT_ALLOWED");
+				throw new ValidationError(error.message, "SQL_ERROR");
+			}
+			if (error instanceof RangeError || error instanceof TypeError)
+				throw new ValidationError(`Invalid parameters for the statement. ${error.message}`);
+			throw error;
+		}
+	}
+
+	/**
+	 * Execute several endpoints inside a single transaction. If any call fails, all of them are rolled back.
+	 * @param {[Object]} calls Array of calls, each with an endpoint name and its parameters by name.
+	 * @returns {[Object]} Result of each call, in order.
+	 */
+	batch(calls) {
+		this.checkEndpoint("batch");
+		if (!(calls instanceof Array) || !calls.length)
+			throw new ValidationError("Calls must be a non-empty array.");
+		return this.transaction(() => calls.map(({ endpoint, params }, index) => {
+			try {
+				if (endpoint === "batch")
+					throw new ValidationError("Batches cannot be nested.");
+				return { endpoint, result: this.call(endpoint, params) };
+			}
+			catch (error) {
+				error.message = `Call ${index} (${endpoint}) failed: ${error.message}`;
+				throw error;
+			}
+		}));
 	}
 
 	/**
@@ -206,9 +957,9 @@ class Connector {
 	 * @param {String} guildId ID of the Discord guild.
 	 */
 	checkIfGuildExists(guildId) {
-		if (typeof guildId !== "string") throw new Error("Guild IDs must be provided as strings.");
+		if (typeof guildId !== "string") throw new ValidationError("Guild IDs must be provided as strings.");
 		const guild = this.db.prepare("select Id from GuildConfigs where GuildId=$guildId").get({ guildId });
-		if (!guild) throw new Error("Guild not found.");
+		if (!guild) throw new NotFoundError("Guild not found.", "GUILD_NOT_FOUND");
 	}
 
 	/**
@@ -216,9 +967,9 @@ class Connector {
 	 * @param {String} userId ID of the Discord user.
 	 */
 	checkIfUserExists(userId) {
-		if (typeof userId !== "string") throw new Error("User IDs must be provided as strings.");
+		if (typeof userId !== "string") throw new ValidationError("User IDs must be provided as strings.");
 		const user = this.db.prepare("select Id from DiscordUser where UserId=$userId").get({ userId });
-		if (!user) throw new Error("User not found.");
+		if (!user) throw new NotFoundError("User not found.", "USER_NOT_FOUND");
 	}
 
 	/**
@@ -226,10 +977,10 @@ class Connector {
 	 * @param {String} currency Currency amount.
 	 */
 	checkIfValidCurrency(currency) {
-		if (typeof currency !== "number")
-			throw new Error("Currency amount must be a number.");
+		if (!Number.isInteger(currency))
+			throw new ValidationError("Currency amount must be an integer.");
 		if (currency >= Number.MAX_SAFE_INTEGER || currency <= Number.MIN_SAFE_INTEGER)
-			throw new Error("Currency amount exceeds maximum safe integer limits.");
+			throw new ValidationError("Currency amount exceeds maximum safe integer limits.");
 	}
 
 	/**
@@ -241,7 +992,7 @@ class Connector {
 		this.checkEndpoint("getCurrency");
 		this.checkIfUserExists(userId);
 		const info = this.db.prepare("select cast(UserId as text) as 'userId', CurrencyAmount as 'currency' from DiscordUser where UserId = $userId").get({ userId });
-		if (!info) throw new Error("Unable to fetch currency.");
+		if (!info) throw new ConnectorError("Unable to fetch currency.");
 		return info;
 	}
 
@@ -255,9 +1006,14 @@ class Connector {
 		this.checkEndpoint("setCurrency");
 		this.checkIfUserExists(userId);
 		this.checkIfValidCurrency(currency);
-		const { changes } = this.db.prepare("update DiscordUser set CurrencyAmount = $currency where UserId=$userId").run({ currency, userId });
-		if (!changes) throw new Error("Unable to update currency.");
-		return { userId, currency };
+		return this.transaction(() => {
+			const { currency: before } = this.db.prepare("select CurrencyAmount as 'currency' from DiscordUser where UserId = $userId").get({ userId });
+			const { changes } = this.db.prepare("update DiscordUser set CurrencyAmount = $currency where UserId=$userId").run({ currency, userId });
+			if (!changes) throw new ConnectorError("Unable to update currency.");
+			this.meter("currency", currency - before);
+			this.emitChange("currency.changed", { userId, before, after: currency, change: currency - before, reason: null });
+			return { userId, currency };
+		});
 	}
 
 	/**
@@ -271,14 +1027,13 @@ class Connector {
 		this.checkEndpoint("addCurrency");
 		this.checkIfUserExists(userId);
 		this.checkIfValidCurrency(currency);
-		const userCurrency = this.db.prepare("update DiscordUser set CurrencyAmount = CurrencyAmount + $currency where UserId = $userId")
-			.run({ currency: Math.abs(currency), userId });
-		if (!userCurrency.changes) throw new Error("Unable to add currency to this user.");
-		const createdTransaction = this.createTransaction(userId, Math.abs(currency), reason);
-		if (!createdTransaction) throw new Error("Unable to create a currency transaction for the user.");
-		if (userId !== this.credentials.ClientId)
-			this.subtractCurrency(this.credentials.ClientId, currency, reason);
-		return this.getCurrency(userId);
+		return this.transaction(() => {
+			this.changeCurrency(userId, Math.abs(currency), reason);
+			if (userId !== this.credentials.ClientId)
+				this.changeCurrency(this.credentials.ClientId, -1 * Math.abs(currency), reason);
+			this.meter("currency", currency);
+			return this.getCurrency(userId);
+		});
 	}
 
 	/**
@@ -292,17 +1047,73 @@ class Connector {
 		this.checkEndpoint("subtractCurrency");
 		this.checkIfUserExists(userId);
 		this.checkIfValidCurrency(currency);
-		const { currency: oldCurrency } = this.getCurrency(userId);
-		if (Math.abs(currency) > oldCurrency && userId !== this.credentials.ClientId)
-			throw new Error("User does not have the specified currency.");
-		const userCurrency = this.db.prepare("update DiscordUser set CurrencyAmount =  CurrencyAmount - $currency where UserId = $userId")
-			.run({ currency: Math.abs(currency), userId });
-		if (!userCurrency.changes) throw new Error("Unable to subtract currency from this user.");
-		const createdTransaction = this.createTransaction(userId, -1 * Math.abs(currency), reason);
-		if (!createdTransaction) throw new Error("Unable to create a currency transaction for the user.");
+		return this.transaction(() => {
+			this.chargeCurrency(userId, currency, reason);
+			this.meter("currency", currency);
+			return this.getCurrency(userId);
+		});
+	}
+
+	/**
+	 * Subtract currency from a user and give it to the bot, failing if the user does not have it.
+	 * Callers are responsible for wrapping this in a database transaction.
+	 * @param {String} userId ID of the Discord user.
+	 * @param {Number} currency Currency amount to be subtracted.
+	 * @param {String} reason Reason for the transaction.
+	 * @returns {Number} New balance of the user.
+	 */
+	chargeCurrency(userId, currency, reason) {
+		const user = this.db.prepare("select CurrencyAmount as 'currency' from DiscordUser where UserId = $userId").get({ userId });
+		if (!user) throw new NotFoundError("User not found.", "USER_NOT_FOUND");
+		if (Math.abs(currency) > user.currency && userId !== this.credentials.ClientId)
+			throw new InsufficientFundsError("User does not have the specified currency.");
+		this.changeCurrency(userId, -1 * Math.abs(currency), reason);
 		if (userId !== this.credentials.ClientId)
-			this.addCurrency(this.credentials.ClientId, currency, reason);
-		return this.getCurrency(userId);
+			this.changeCurrency(this.credentials.ClientId, Math.abs(currency), reason);
+		return user.currency - Math.abs(currency);
+	}
+
+	/**
+	 * Transfer currency directly from one user to another.
+	 * @param {String} fromUserId ID of the Discord user sending the currency.
+	 * @param {String} toUserId ID of the Discord user receiving the currency.
+	 * @param {Number} amount Currency amount to be transferred.
+	 * @param {String} reason Reason for the transaction.
+	 * @returns {Object} Balance info about both users.
+	 */
+	transferCurrency(fromUserId, toUserId, amount, reason) {
+		this.checkEndpoint("transferCurrency");
+		this.checkIfUserExists(fromUserId);
+		this.checkIfUserExists(toUserId);
+		this.checkIfValidCurrency(amount);
+		if (fromUserId === toUserId)
+			throw new ValidationError("Cannot transfer currency to the same user.");
+		return this.transaction(() => {
+			const { currency: oldCurrency } = this.getCurrency(fromUserId);
+			if (Math.abs(amount) > oldCurrency && fromUserId !== this.credentials.ClientId)
+				throw new InsufficientFundsError("User does not have the specified currency.");
+			this.changeCurrency(fromUserId, -1 * Math.abs(amount), reason);
+			this.changeCurrency(toUserId, Math.abs(amount), reason);
+			this.meter("currency", amount);
+			return { from: this.getCurrency(fromUserId), to: this.getCurrency(toUserId) };
+		});
+	}
+
+	/**
+	 * Change the currency of a Discord user and record the change as a transaction.
+	 * Callers are responsible for wrapping this in a database transaction.
+	 * @param {String} userId ID of the Discord user.
+	 * @param {Number} currency Amount to change the balance by, negative to subtract.
+	 * @param {String} reason Reason for the transaction.
+	 */
+	changeCurrency(userId, currency, reason) {
+		const user = this.db.prepare("select CurrencyAmount as 'currency' from DiscordUser where UserId = $userId").get({ userId });
+		if (!user) throw new NotFoundError("User not found.", "USER_NOT_FOUND");
+		const { changes } = this.db.prepare("update DiscordUser set CurrencyAmount = CurrencyAmount + $currency where UserId = $userId").run({ currency, userId });
+		if (!changes) throw new ConnectorError("Unable to update currency for this user.");
+		const createdTransaction = this.createTransaction(userId, currency, reason);
+		if (!createdTransaction) throw new ConnectorError("Unable to create a currency transaction for the user.");
+		this.emitChange("currency.changed", { userId, before: user.currency, after: user.currency + currency, change: currency, reason });
 	}
 
 	/**
@@ -316,8 +1127,9 @@ class Connector {
 		this.checkEndpoint("createTransaction");
 		this.checkIfValidCurrency(currency);
 		const dateAdded = new Date().toISOString().replace(/[TZ]/g, " ");
-		const createdTransaction = this.db.prepare("insert into CurrencyTransactions (UserId, Amount, Reason, DateAdded) values ($userId, $currency, $reason, $dateAdded)").run({ userId, currency, reason, dateAdded });
-		if (!createdTransaction) throw new Error("Unable to create a transaction.");
+		const createdTransaction = this.db.prepare(this.adapter.insertTransaction).run({ userId, currency, reason, dateAdded });
+		if (!createdTransaction) throw new ConnectorError("Unable to create a transaction.");
+		this.emitChange("transaction.created", { userId, transactionId: createdTransaction.lastInsertRowid, amount: currency, reason, dateAdded });
 		return { userId, transactionId: createdTransaction.lastInsertRowid };
 	}
 
@@ -331,8 +1143,8 @@ class Connector {
 	getTransactions(userId, startPosition = 0, items = 10) {
 		this.checkEndpoint("getTransactions");
 		this.checkIfUserExists(userId);
-		const transactions = this.db.prepare("select Id as 'transactionId', Amount as 'amount', Reason as 'reason', DateAdded as 'dateAdded' from CurrencyTransactions where UserId = $userId order by Id desc limit $items offset $startPosition").all({ userId, items, startPosition });
-		if (!transactions.length) throw new Error("No transactions found for this user.");
+		const transactions = this.db.prepare(`select Id as 'transactionId', Amount as 'amount', ${this.adapter.transactionReason} as 'reason', DateAdded as 'dateAdded' from CurrencyTransactions where UserId = $userId order by Id desc limit $items offset $startPosition`).all({ userId, items, startPosition });
+		if (!transactions.length) throw new NotFoundError("No transactions found for this user.", "TRANSACTIONS_NOT_FOUND");
 		return transactions;
 	}
 
@@ -347,7 +1159,7 @@ class Connector {
 		this.checkIfUserExists(userId);
 		this.checkIfGuildExists(guildId);
 		const guildRankings = this.db.prepare("select cast(UserId as text) as 'id' from UserXpStats where GuildId=$guildId order by Xp+AwardedXp desc").all({ guildId }).map(user => user.id);
-		if (!guildRankings.length) throw new Error("Unable to get guild rankings.");
+		if (!guildRankings.length) throw new NotFoundError("Unable to get guild rankings.", "XP_NOT_FOUND");
 		const rank = guildRankings.indexOf(userId) > -1 ? guildRankings.indexOf(userId) + 1 : guildRankings.length;
 		return { userId, rank };
 	}
@@ -363,11 +1175,11 @@ class Connector {
 		this.checkIfUserExists(userId);
 		this.checkIfGuildExists(guildId);
 		const xpInfo = this.db.prepare("select Xp, AwardedXp from UserXpStats where UserId = $userId and GuildId = $guildId").get({ userId, guildId });
-		if (!xpInfo) throw new Error("Unable to get XP info of the given user for this guild.");
+		if (!xpInfo) throw new NotFoundError("Unable to get XP info of the given user for this guild.", "XP_NOT_FOUND");
 		const rankInfo = this.getGuildRank(userId, guildId);
-		if (!rankInfo) throw new Error("Unable to get rank.");
+		if (!rankInfo) throw new ConnectorError("Unable to get rank.");
 		const levelInfo = this.calcLevel(xpInfo.Xp + xpInfo.AwardedXp);
-		if (!levelInfo) throw new Error("Unable to calculate level.");
+		if (!levelInfo) throw new ConnectorError("Unable to calculate level.");
 		return {
 			guildXp: xpInfo.Xp,
 			awardedXp: xpInfo.AwardedXp,
@@ -389,11 +1201,16 @@ class Connector {
 		this.checkEndpoint("setGuildXp");
 		this.checkIfUserExists(userId);
 		this.checkIfGuildExists(guildId);
-		const guildXp = this.db.prepare("update UserXpStats set Xp=$xp, AwardedXp=$awardedXp where UserId=$userId and GuildId=$guildId").run({ xp, awardedXp, userId, guildId });
-		if (!guildXp.changes) throw new Error("Unable to update guild XP.");
-		const xpInfo = this.getGuildXp(userId, guildId);
-		if (!xpInfo) throw new Error("Unable to fetch XP info.");
-		return xpInfo;
+		return this.transaction(() => {
+			const before = this.getGuildXpState(userId, guildId);
+			const guildXp = this.db.prepare("update UserXpStats set Xp=$xp, AwardedXp=$awardedXp where UserId=$userId and GuildId=$guildId").run({ xp, awardedXp, userId, guildId });
+			if (!guildXp.changes) throw new NotFoundError("Unable to update guild XP.", "XP_NOT_FOUND");
+			this.meter("xp", Math.abs(xp - before.xp) + Math.abs(awardedXp - before.awardedXp));
+			this.emitGuildXpChange(userId, guildId, before);
+			const xpInfo = this.getGuildXp(userId, guildId);
+			if (!xpInfo) throw new ConnectorError("Unable to fetch XP info.");
+			return xpInfo;
+		});
 	}
 
 	/**
@@ -407,10 +1224,15 @@ class Connector {
 		this.checkEndpoint("addGuildXp");
 		this.checkIfUserExists(userId);
 		this.checkIfGuildExists(guildId);
-		const guildXp = this.db.prepare("update UserXpStats set AwardedXp = AwardedXp + $xp where UserId = $userId and GuildId = $guildId")
-			.run({ xp: Math.abs(xp), userId, guildId });
-		if (!guildXp.changes) throw new Error("Unable to add guild Xp to this user.");
-		return this.getGuildXp(userId, guildId);
+		return this.transaction(() => {
+			const before = this.getGuildXpState(userId, guildId);
+			const guildXp = this.db.prepare("update UserXpStats set AwardedXp = AwardedXp + $xp where UserId = $userId and GuildId = $guildId")
+				.run({ xp: Math.abs(xp), userId, guildId });
+			if (!guildXp.changes) throw new NotFoundError("Unable to add guild Xp to this user.", "XP_NOT_FOUND");
+			this.meter("xp", xp);
+			this.emitGuildXpChange(userId, guildId, before);
+			return this.getGuildXp(userId, guildId);
+		});
 	}
 
 	/**
@@ -424,10 +1246,41 @@ class Connector {
 		this.checkEndpoint("subtractGuildXp");
 		this.checkIfUserExists(userId);
 		this.checkIfGuildExists(guildId);
-		const guildXp = this.db.prepare("update UserXpStats set AwardedXp = AwardedXp - $xp where UserId = $userId and GuildId = $guildId")
-			.run({ xp: Math.abs(xp), userId, guildId });
-		if (!guildXp.changes) throw new Error("Unable to subtract guild Xp from this user.");
-		return this.getGuildXp(userId, guildId);
+		return this.transaction(() => {
+			const before = this.getGuildXpState(userId, guildId);
+			const guildXp = this.db.prepare("update UserXpStats set AwardedXp = AwardedXp - $xp where UserId = $userId and GuildId = $guildId")
+				.run({ xp: Math.abs(xp), userId, guildId });
+			if (!guildXp.changes) throw new NotFoundError("Unable to subtract guild Xp from this user.", "XP_NOT_FOUND");
+			this.meter("xp", xp);
+			this.emitGuildXpChange(userId, guildId, before);
+			return this.getGuildXp(userId, guildId);
+		});
+	}
+
+	/**
+	 * Get the raw guild XP of a Discord user along with their level.
+	 * @param {String} userId ID of the Discord user.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @returns {Object} XP and level of the user, or undefined if the user has no XP in the guild.
+	 */
+	getGuildXpState(userId, guildId) {
+		const xpInfo = this.db.prepare("select Xp as 'xp', AwardedXp as 'awardedXp' from UserXpStats where UserId = $userId and GuildId = $guildId").get({ userId, guildId });
+		if (!xpInfo) return;
+		const totalXp = xpInfo.xp + xpInfo.awardedXp;
+		return { ...xpInfo, totalXp, level: totalXp < 0 ? 0 : this.calcLevel(totalXp).level };
+	}
+
+	/**
+	 * Emit change events for the guild XP of a Discord user.
+	 * @param {String} userId ID of the Discord user.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Object} before XP state of the user before the change.
+	 */
+	emitGuildXpChange(userId, guildId, before) {
+		const after = this.getGuildXpState(userId, guildId);
+		this.emitChange("xp.changed", { userId, guildId, before, after });
+		if (before && after && after.level > before.level)
+			this.emitChange("level.up", { userId, guildId, before: before.level, after: after.level });
 	}
 
 	/**
@@ -453,7 +1306,7 @@ class Connector {
 		this.checkEndpoint("getGuildXpLeaderboard");
 		this.checkIfGuildExists(guildId);
 		const leaderboard = this.db.prepare("select cast(UserId as text) as 'userId', Xp as 'xp', AwardedXp as 'awardedXp' from UserXpStats where GuildId=$guildId order by (xp + awardedXp) desc limit $items offset $startPosition").all({ guildId, items, startPosition });
-		if (!leaderboard.length) throw new Error("Unable to fetch guild XP leaderboard.");
+		if (!leaderboard.length) throw new NotFoundError("Unable to fetch guild XP leaderboard.", "XP_NOT_FOUND");
 		return leaderboard.map((user, rank) => ({
 			...this.calcLevel(user.xp + user.awardedXp),
 			...user, rank: startPosition + rank + 1
@@ -472,7 +1325,7 @@ class Connector {
 		this.checkIfGuildExists(guildId);
 		const rewards = this.db.prepare("select a.DateAdded as 'dateAdded', a.Level as 'level', cast (a.RoleId as text) as 'roleId' from XpRoleReward a, XpSettings b, GuildConfigs c where a.XpSettingsId = b.Id AND b.GuildConfigId = c.Id AND c.GuildId = $guildId order by a.Level asc limit $items offset $startPosition")
 			.all({ guildId, items, startPosition });
-		if (!rewards.length) throw new Error("Unable to fetch role rewards.");
+		if (!rewards.length) throw new NotFoundError("Unable to fetch role rewards.", "REWARDS_NOT_FOUND");
 		return rewards;
 	}
 
@@ -487,10 +1340,209 @@ class Connector {
 		this.checkEndpoint("getGuildXpCurrencyRewards");
 		this.checkIfGuildExists(guildId);
 		const rewards = this.db.prepare("select a.DateAdded as 'dateAdded', a.Level as 'level', a.Amount as 'amount' from XpCurrencyReward a, XpSettings b, GuildConfigs c where a.XpSettingsId = b.Id AND b.GuildConfigId = c.Id AND c.GuildId = $guildId order by a.Level asc limit $items offset $startPosition").all({ guildId, items, startPosition });
-		if (!rewards.length) throw new Error("Unable to fetch currency rewards.");
+		if (!rewards.length) throw new NotFoundError("Unable to fetch currency rewards.", "REWARDS_NOT_FOUND");
 		return rewards;
 	}
 
+	/**
+	 * Get the ID of the XP settings of a Discord guild.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @returns {Number} ID of the XP settings, or null if the guild has none yet.
+	 */
+	getXpSettingsId(guildId) {
+		const settings = this.db.prepare("select a.Id as 'id' from XpSettings a, GuildConfigs b where a.GuildConfigId = b.Id AND b.GuildId = $guildId").get({ guildId });
+		return settings ? settings.id : null;
+	}
+
+	/**
+	 * Get the ID of the XP settings of a Discord guild, creating them if the guild has none yet.
+	 * Callers are responsible for wrapping this in a database transaction.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @returns {Number} ID of the XP settings.
+	 */
+	createXpSettings(guildId) {
+		const id = this.getXpSettingsId(guildId);
+		if (id !== null) return id;
+		const dateAdded = new Date().toISOString().replace(/[TZ]/g, " ");
+		const { changes, lastInsertRowid } = this.db.prepare("insert into XpSettings (GuildConfigId, ServerExcluded, DateAdded) select Id, 0, $dateAdded from GuildConfigs where GuildId = $guildId").run({ guildId, dateAdded });
+		if (!changes) throw new ConnectorError("Unable to create XP settings for this guild.");
+		return lastInsertRowid;
+	}
+
+	/**
+	 * Set the XP role reward of a Discord guild at a level, replacing the reward at that level.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} level Level the reward is given at.
+	 * @param {String} roleId ID of the Discord role given at the level.
+	 * @returns {Object} Role reward.
+	 */
+	setGuildXpRoleReward(guildId, level, roleId) {
+		this.checkEndpoint("setGuildXpRoleReward");
+		this.checkIfGuildExists(guildId);
+		if (!Number.isSafeInteger(level) || level < 1) throw new ValidationError("Level must be a positive integer.");
+		if (typeof roleId !== "string") throw new ValidationError("Role IDs must be provided as strings.");
+		return this.transaction(() => {
+			const settingsId = this.createXpSettings(guildId);
+			const dateAdded = new Date().toISOString().replace(/[TZ]/g, " ");
+			const { changes } = this.db.prepare("update XpRoleReward set RoleId = $roleId where XpSettingsId = $settingsId and Level = $level").run({ roleId, settingsId, level });
+			if (!changes)
+				this.db.prepare("insert into XpRoleReward (XpSettingsId, Level, RoleId, DateAdded) values ($settingsId, $level, $roleId, $dateAdded)").run({ settingsId, level, roleId, dateAdded });
+			return { level, roleId };
+		});
+	}
+
+	/**
+	 * Remove the XP role reward of a Discord guild at a level.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} level Level the reward is given at.
+	 * @returns {Object} Removed role reward.
+	 */
+	removeGuildXpRoleReward(guildId, level) {
+		this.checkEndpoint("removeGuildXpRoleReward");
+		this.checkIfGuildExists(guildId);
+		return this.transaction(() => {
+			const reward = this.db.prepare("select a.Id as 'id', a.Level as 'level', cast(a.RoleId as text) as 'roleId' from XpRoleReward a where a.XpSettingsId = $settingsId and a.Level = $level").get({ settingsId: this.getXpSettingsId(guildId), level });
+			if (!reward) throw new NotFoundError("No role reward found at this level.", "REWARD_NOT_FOUND");
+			this.db.prepare("delete from XpRoleReward where Id = $id").run({ id: reward.id });
+			return { level: reward.level, roleId: reward.roleId };
+		});
+	}
+
+	/**
+	 * Set the XP currency reward of a Discord guild at a level, replacing the reward at that level.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} level Level the reward is given at.
+	 * @param {Number} amount Currency amount given at the level.
+	 * @returns {Object} Currency reward.
+	 */
+	setGuildXpCurrencyReward(guildId, level, amount) {
+		this.checkEndpoint("setGuildXpCurrencyReward");
+		this.checkIfGuildExists(guildId);
+		if (!Number.isSafeInteger(level) || level < 1) throw new ValidationError("Level must be a positive integer.");
+		this.checkIfValidCurrency(amount);
+		if (amount < 1) throw new ValidationError("Currency rewards must be positive.");
+		return this.transaction(() => {
+			const settingsId = this.createXpSettings(guildId);
+			const dateAdded = new Date().toISOString().replace(/[TZ]/g, " ");
+			const { changes } = this.db.prepare("update XpCurrencyReward set Amount = $amount where XpSettingsId = $settingsId and Level = $level").run({ amount, settingsId, level });
+			if (!changes)
+				this.db.prepare("insert into XpCurrencyReward (XpSettingsId, Level, Amount, DateAdded) values ($settingsId, $level, $amount, $dateAdded)").run({ settingsId, level, amount, dateAdded });
+			return { level, amount };
+		});
+	}
+
+	/**
+	 * Remove the XP currency reward of a Discord guild at a level.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} level Level the reward is given at.
+	 * @returns {Object} Removed currency reward.
+	 */
+	removeGuildXpCurrencyReward(guildId, level) {
+		this.checkEndpoint("removeGuildXpCurrencyReward");
+		this.checkIfGuildExists(guildId);
+		return this.transaction(() => {
+			const reward = this.db.prepare("select a.Id as 'id', a.Level as 'level', a.Amount as 'amount' from XpCurrencyReward a where a.XpSettingsId = $settingsId and a.Level = $level").get({ settingsId: this.getXpSettingsId(guildId), level });
+			if (!reward) throw new NotFoundError("No currency reward found at this level.", "REWARD_NOT_FOUND");
+			this.db.prepare("delete from XpCurrencyReward where Id = $id").run({ id: reward.id });
+			return { level: reward.level, amount: reward.amount };
+		});
+	}
+
+	/**
+	 * Get the XP settings of a Discord guild, with its excluded channels and roles. Guilds without XP settings have the defaults.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @returns {Object} Whether the guild is excluded from XP, its level up message, or null if the schema version has none, and its exclusions.
+	 */
+	getGuildXpSettings(guildId) {
+		this.checkEndpoint("getGuildXpSettings");
+		this.checkIfGuildExists(guildId);
+		return this.readXpSettings(guildId);
+	}
+
+	/**
+	 * Read the XP settings of a Discord guild, with its excluded channels and roles.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @returns {Object} XP settings, as returned by getGuildXpSettings.
+	 */
+	readXpSettings(guildId) {
+		const id = this.getXpSettingsId(guildId);
+		const hasNotifyMessage = this.schema.columns.XpSettings.includes("NotifyMessage");
+		const settings = this.db.prepare(`select ServerExcluded as 'serverExcluded', ${hasNotifyMessage ? "NotifyMessage" : "null"} as 'notifyMessage' from XpSettings where Id = $id`).get({ id });
+		const exclusions = this.db.prepare("select ItemType as 'type', cast(ItemId as text) as 'id' from ExcludedItem where XpSettingsId = $id order by ItemType, Id").all({ id });
+		return {
+			serverExcluded: settings ? settings.serverExcluded > 0 : false,
+			notifyMessage: settings ? settings.notifyMessage : null,
+			exclusions: exclusions.map(exclusion => ({ type: exclusionTypes[exclusion.type] || null, id: exclusion.id }))
+		};
+	}
+
+	/**
+	 * Change whether a Discord guild is excluded from XP, or its level up message.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Boolean} [serverExcluded] Whether the guild is excluded from gaining XP.
+	 * @param {String} [notifyMessage] Message sent when a user levels up in the guild.
+	 * @returns {Object} XP settings.
+	 */
+	setGuildXpSettings(guildId, serverExcluded, notifyMessage) {
+		this.checkEndpoint("setGuildXpSettings");
+		this.checkIfGuildExists(guildId);
+		if (serverExcluded === undefined && notifyMessage === undefined)
+			throw new ValidationError("Specify whether the guild is excluded or a level up message to change.");
+		if (serverExcluded !== undefined && typeof serverExcluded !== "boolean")
+			throw new ValidationError("serverExcluded must be a boolean.");
+		if (notifyMessage !== undefined && (typeof notifyMessage !== "string" || !notifyMessage.trim()))
+			throw new ValidationError("Level up messages must be non empty strings.");
+		if (notifyMessage !== undefined && !this.schema.columns.XpSettings.includes("NotifyMessage"))
+			throw new ValidationError(`NadekoBot schema version ${this.schema.version} has no level up message in its XP settings.`);
+		return this.transaction(() => {
+			const id = this.createXpSettings(guildId);
+			if (serverExcluded !== undefined)
+				this.db.prepare("update XpSettings set ServerExcluded = $serverExcluded where Id = $id").run({ serverExcluded: Number(serverExcluded), id });
+			if (notifyMessage !== undefined)
+				this.db.prepare("update XpSettings set NotifyMessage = $notifyMessage where Id = $id").run({ notifyMessage, id });
+			return this.readXpSettings(guildId);
+		});
+	}
+
+	/**
+	 * Exclude a channel or role of a Discord guild from gaining XP.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {String} type Type of the excluded item, either channel or role.
+	 * @param {String} id ID of the Discord channel or role.
+	 * @returns {Object} Exclusion.
+	 */
+	addGuildXpExclusion(guildId, type, id) {
+		this.checkEndpoint("addGuildXpExclusion");
+		this.checkIfGuildExists(guildId);
+		if (!exclusionTypes.includes(type)) throw new ValidationError("Exclusion type must be either channel or role, as NadekoBot cannot exclude users from XP.");
+		if (typeof id !== "string") throw new ValidationError("Excluded IDs must be provided as strings.");
+		return this.transaction(() => {
+			const settingsId = this.createXpSettings(guildId);
+			const itemType = exclusionTypes.indexOf(type);
+			if (this.db.prepare("select Id from ExcludedItem where XpSettingsId = $settingsId and ItemType = $itemType and ItemId = $id").get({ settingsId, itemType, id }))
+				throw new ConflictError(`This ${type} is already excluded.`, "EXCLUSION_EXISTS");
+			const dateAdded = new Date().toISOString().replace(/[TZ]/g, " ");
+			this.db.prepare("insert into ExcludedItem (XpSettingsId, ItemId, ItemType, DateAdded) values ($settingsId, $id, $itemType, $dateAdded)").run({ settingsId, id, itemType, dateAdded });
+			return { type, id };
+		});
+	}
+
+	/**
+	 * Stop excluding a channel or role of a Discord guild from gaining XP.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {String} type Type of the excluded item, either channel or role.
+	 * @param {String} id ID of the Discord channel or role.
+	 * @returns {Object} Removed exclusion.
+	 */
+	removeGuildXpExclusion(guildId, type, id) {
+		this.checkEndpoint("removeGuildXpExclusion");
+		this.checkIfGuildExists(guildId);
+		if (!exclusionTypes.includes(type)) throw new ValidationError("Exclusion type must be either channel or role, as NadekoBot cannot exclude users from XP.");
+		const { changes } = this.db.prepare("delete from ExcludedItem where XpSettingsId = $settingsId and ItemType = $itemType and ItemId = $id").run({ settingsId: this.getXpSettingsId(guildId), itemType: exclusionTypes.indexOf(type), id });
+		if (!changes) throw new NotFoundError(`This ${type} is not excluded.`, "EXCLUSION_NOT_FOUND");
+		return { type, id };
+	}
+
 	/**
 	 * Get global ranking of a Discord user.
 	 * @param {String} userId ID of the user to get global ranking of.
@@ -513,11 +1565,11 @@ class Connector {
 		this.checkEndpoint("getGlobalXp");
 		this.checkIfUserExists(userId);
 		const { globalXp } = this.db.prepare("select TotalXp as 'globalXp' from DiscordUser where UserId=$userId").get({ userId });
-		if (!globalXp) throw new Error("Unable to get global Xp for this user.");
+		if (typeof globalXp !== "number") throw new NotFoundError("Unable to get global Xp for this user.", "XP_NOT_FOUND");
 		const levelInfo = this.calcLevel(globalXp);
-		if (!levelInfo) throw new Error("Unable to calculate level.");
+		if (!levelInfo) throw new ConnectorError("Unable to calculate level.");
 		const rankInfo = this.getGlobalRank(userId);
-		if (!rankInfo) throw new Error("Unable to get rank.");
+		if (!rankInfo) throw new ConnectorError("Unable to get rank.");
 		return { globalXp, ...levelInfo, rank: rankInfo.rank };
 	}
 
@@ -530,7 +1582,7 @@ class Connector {
 	getGlobalXpLeaderboard(startPosition = 0, items = 10) {
 		this.checkEndpoint("getGlobalXpLeaderboard");
 		const leaderboard = this.db.prepare("select cast(UserId as text) as 'userId', TotalXp as 'globalXp' from DiscordUser order by TotalXp desc limit $items offset $startPosition").all({ items, startPosition });
-		if (!leaderboard.length) throw new Error("Unable to fetch global XP leaderboard.");
+		if (!leaderboard.length) throw new NotFoundError("Unable to fetch global XP leaderboard.", "XP_NOT_FOUND");
 		return leaderboard.map((user, rank) => ({
 			...user,
 			...this.calcLevel(user.globalXp),
@@ -546,11 +1598,11 @@ class Connector {
 	 */
 	getClubLeaderboard(startPosition = 0, items = 10) {
 		this.checkEndpoint("getClubLeaderboard");
-		const clubs = this.db.prepare("select (a.Name || \"#\" || a.Discrim) as name, cast(b.UserId as text) as owner, a.Xp as xp, a.ImageUrl as icon, a.MinimumLevelReq as levelRequirement, a.Description as description from Clubs a, DiscordUser b WHERE a.OwnerId = b.Id order by a.Xp desc limit $items offset $startPosition").all({ startPosition, items });
-		if (!clubs.length) throw new Error("Unable to fetch clubs.");
+		const clubs = this.db.prepare(`select ${this.adapter.clubName("a.")} as name, cast(b.UserId as text) as owner, a.Xp as xp, a.ImageUrl as icon, a.MinimumLevelReq as levelRequirement, a.Description as description from Clubs a, DiscordUser b WHERE a.OwnerId = b.Id order by a.Xp desc limit $items offset $startPosition`).all({ startPosition, items });
+		if (!clubs.length) throw new NotFoundError("Unable to fetch clubs.", "CLUB_NOT_FOUND");
 		return clubs.map((club, rank) => ({
 			...this.calcLevel(club.xp),
-			...club, rank: rank + 1
+			...club, rank: startPosition + rank + 1
 		}));
 	}
 
@@ -561,12 +1613,12 @@ class Connector {
 	 */
 	getClubInfo(name) {
 		this.checkEndpoint("getClubInfo");
-		const club = this.db.prepare("select(a.Name || \"#\" || a.Discrim) as clubName, cast(b.UserId as text) as owner, a.Xp as xp, a.ImageUrl as icon, a.MinimumLevelReq as levelRequirement, a.Description as description from Clubs a, DiscordUser b WHERE a.OwnerId = b.Id AND clubName = $name").get({ name });
-		if (!club) throw new Error("No clubs exist with the specified name.");
+		const club = this.db.prepare(`select ${this.adapter.clubName("a.")} as clubName, cast(b.UserId as text) as owner, a.Xp as xp, a.ImageUrl as icon, a.MinimumLevelReq as levelRequirement, a.Description as description from Clubs a, DiscordUser b WHERE a.OwnerId = b.Id AND clubName = $name`).get({ name });
+		if (!club) throw new NotFoundError("No clubs exist with the specified name.", "CLUB_NOT_FOUND");
 		const levelInfo = this.calcLevel(club.xp);
-		if (!levelInfo) throw new Error("Unable to calculate level info.");
-		const rankings = this.db.prepare("select (Name || \"#\" || Discrim) as name from Clubs order by Xp desc").all().map(club => club.name);
-		if (!rankings.length) throw new Error("Unable to get club ranking.");
+		if (!levelInfo) throw new ConnectorError("Unable to calculate level info.");
+		const rankings = this.db.prepare(`select ${this.adapter.clubName()} as name from Clubs order by Xp desc`).all().map(club => club.name);
+		if (!rankings.length) throw new ConnectorError("Unable to get club ranking.");
 		const rank = rankings.indexOf(name) < 0 ? rankings.length : rankings.indexOf(name) + 1;
 		return {
 			name: club.clubName,
@@ -587,8 +1639,8 @@ class Connector {
 	getClubInfoByUser(userId) {
 		this.checkEndpoint("getClubInfoByUser");
 		this.checkIfUserExists(userId);
-		const club = this.db.prepare("select(a.Name || \"#\" || a.Discrim) as clubName from Clubs a, DiscordUser b WHERE b.ClubId = a.Id AND b.UserId = $userId").get({ userId });
-		if (!club) throw new Error("Club not found.");
+		const club = this.db.prepare(`select ${this.adapter.clubName("a.")} as clubName from Clubs a, DiscordUser b WHERE b.ClubId = a.Id AND b.UserId = $userId`).get({ userId });
+		if (!club) throw new NotFoundError("Club not found.", "CLUB_NOT_FOUND");
 		return this.getClubInfo(club.clubName);
 	}
 
@@ -601,8 +1653,8 @@ class Connector {
 	 */
 	getClubMembers(name, startPosition = 0, items = 10) {
 		this.checkEndpoint("getClubMembers");
-		const members = this.db.prepare("select cast(a.UserId as text) as userId, a.TotalXp as xp, a.IsClubAdmin as admin from DiscordUser a, Clubs b where a.ClubId = b.Id AND (b.Name || \"#\" || b.Discrim)=$name order by xp desc limit $items offset $startPosition").all({ name, items, startPosition });
-		if (!members.length) throw new Error("No members found for this club.");
+		const members = this.db.prepare(`select cast(a.UserId as text) as userId, a.TotalXp as xp, a.IsClubAdmin as admin from DiscordUser a, Clubs b where a.ClubId = b.Id AND ${this.adapter.clubName("b.")}=$name order by xp desc limit $items offset $startPosition`).all({ name, items, startPosition });
+		if (!members.length) throw new NotFoundError("No members found for this club.", "CLUB_NOT_FOUND");
 		return members.map((member, rank) => {
 			const levelInfo = this.calcLevel(member.xp);
 			return {
@@ -611,10 +1663,586 @@ class Connector {
 				xp: member.xp,
 				level: levelInfo.level,
 				levelXp: levelInfo.levelXp,
-				rank: rank + 1
+				rank: startPosition + rank + 1
+			};
+		});
+	}
+
+	/**
+	 * Get the waifu settings of the bot from its gambling.yml config file, falling back to NadekoBot's defaults.
+	 * @returns {Object} Minimum price, effects of gifts on the price and the gifts with their prices.
+	 */
+	getWaifuConfig() {
+		const { gambling } = this.botConfig;
+		const setting = (fallback, ...keys) => {
+			const value = getConfigValue(gambling, "waifu", ...keys);
+			return typeof value === "number" ? value : fallback;
+		};
+		const items = getConfigValue(gambling, "waifu", "items");
+		const allGiftPrices = setting(1, "multipliers", "allGiftPrices");
+		return {
+			minPrice: setting(50, "minPrice"),
+			giftEffect: setting(0.95, "multipliers", "giftEffect"),
+			negativeGiftEffect: setting(0.5, "multipliers", "negativeGiftEffect"),
+			items: (items instanceof Array
+				? items.filter(item => isObject(item) && typeof item.name === "string" && Number.isInteger(item.price))
+					.map(item => ({ name: item.name, emoji: item.itemEmoji || null, price: item.price, negative: item.negative === true }))
+				: defaultWaifuItems)
+				.map(item => ({ ...item, price: Math.floor(item.price * allGiftPrices) }))
+		};
+	}
+
+	/**
+	 * Get the waifu info of a Discord user.
+	 * @param {String} userId ID of the Discord user.
+	 * @returns {Object} Waifu info, or null if the user has none yet.
+	 */
+	getWaifu(userId) {
+		return this.db.prepare(`${waifuQuery} where w.UserId = $userId`).get({ userId }) || null;
+	}
+
+	/**
+	 * Get the waifu info of a Discord user, creating it with the minimum price if the user has none yet.
+	 * Callers are responsible for wrapping this in a database transaction.
+	 * @param {String} userId ID of the Discord user.
+	 * @returns {Object} Waifu info.
+	 */
+	createWaifu(userId) {
+		const waifu = this.getWaifu(userId);
+		if (waifu) return waifu;
+		const dateAdded = new Date().toISOString().replace(/[TZ]/g, " ");
+		const { changes } = this.db.prepare("insert into WaifuInfo (WaifuId, ClaimerId, AffinityId, Price, DateAdded) select Id, null, null, $price, $dateAdded from DiscordUser where UserId = $userId").run({ userId, price: this.getWaifuConfig().minPrice, dateAdded });
+		if (!changes) throw new ConnectorError("Unable to create waifu info for this user.");
+		return this.getWaifu(userId);
+	}
+
+	/**
+	 * Get the gifts a Discord user received as a waifu, counted by gift.
+	 * @param {String} userId ID of the Discord user.
+	 * @returns {[Object]} Gifts, most received first.
+	 */
+	getWaifuGifts(userId) {
+		return this.db.prepare("select a.Name as 'name', a.ItemEmoji as 'emoji', count(*) as 'count' from WaifuItem a, WaifuInfo b, DiscordUser c where a.WaifuInfoId = b.Id and b.WaifuId = c.Id and c.UserId = $userId group by a.Name, a.ItemEmoji order by count(*) desc, a.Name").all({ userId });
+	}
+
+	/**
+	 * Get the waifu info of a Discord user. Users who were never claimed or gifted anything have the minimum price.
+	 * @param {String} userId ID of the Discord user.
+	 * @returns {Object} Price, claimer and affinity of the user, the waifus they claimed and the gifts they received.
+	 */
+	getWaifuInfo(userId) {
+		this.checkEndpoint("getWaifuInfo");
+		this.checkIfUserExists(userId);
+		const waifu = this.getWaifu(userId);
+		const claims = this.db.prepare("select cast(b.UserId as text) as 'userId' from WaifuInfo a, DiscordUser b, DiscordUser c where a.WaifuId = b.Id and a.ClaimerId = c.Id and c.UserId = $userId order by a.Price desc").all({ userId });
+		return {
+			userId,
+			price: waifu ? waifu.price : this.getWaifuConfig().minPrice,
+			claimerId: waifu ? waifu.claimerId : null,
+			affinityId: waifu ? waifu.affinityId : null,
+			claims: claims.map(claim => claim.userId),
+			items: this.getWaifuGifts(userId)
+		};
+	}
+
+	/**
+	 * Get the waifu leaderboard, by price.
+	 * @param {Number} startPosition Start position/offset of the page.
+	 * @param {Number} items Items per page.
+	 * @returns {Object} Leaderboard page.
+	 */
+	getWaifuLeaderboard(startPosition = 0, items = 10) {
+		this.checkEndpoint("getWaifuLeaderboard");
+		const waifus = this.db.prepare(`${waifuQuery} order by i.Price desc, i.Id limit $items offset $startPosition`).all({ items, startPosition });
+		if (!waifus.length) throw new NotFoundError("Unable to fetch waifu leaderboard.", "WAIFU_NOT_FOUND");
+		return waifus.map(({ userId, price, claimerId, affinityId }, rank) => ({ userId, price, claimerId, affinityId, rank: startPosition + rank + 1 }));
+	}
+
+	/**
+	 * Get the gifts a Discord user received as a waifu.
+	 * @param {String} userId ID of the Discord user.
+	 * @returns {Object} Gifts with their name, emoji and count, most received first.
+	 */
+	getWaifuItems(userId) {
+		this.checkEndpoint("getWaifuItems");
+		this.checkIfUserExists(userId);
+		const gifts = this.getWaifuGifts(userId);
+		if (!gifts.length) throw new NotFoundError("No gifts found for this waifu.", "ITEMS_NOT_FOUND");
+		return gifts;
+	}
+
+	/**
+	 * Get the claim and affinity changes of a Discord user, newest first.
+	 * @param {String} userId ID of the Discord user.
+	 * @param {Number} startPosition Start position/offset of the page.
+	 * @param {Number} items Items per page.
+	 * @returns {Object} Changes with their type, the old and new claimer or affinity, and their date.
+	 */
+	getWaifuHistory(userId, startPosition = 0, items = 10) {
+		this.checkEndpoint("getWaifuHistory");
+		this.checkIfUserExists(userId);
+		const updates = this.db.prepare("select u.UpdateType as 'type', cast(o.UserId as text) as 'oldId', cast(n.UserId as text) as 'newId', u.DateAdded as 'dateAdded' from WaifuUpdates u join DiscordUser d on d.Id = u.UserId left join DiscordUser o on o.Id = u.OldId left join DiscordUser n on n.Id = u.NewId where d.UserId = $userId order by u.Id desc limit $items offset $startPosition").all({ userId, items, startPosition });
+		if (!updates.length) throw new NotFoundError("No waifu history found for this user.", "UPDATES_NOT_FOUND");
+		return updates.map(update => ({ ...update, type: waifuUpdateTypes[update.type] || null }));
+	}
+
+	/**
+	 * Set the waifu price of a Discord user.
+	 * @param {String} userId ID of the Discord user.
+	 * @param {Number} price Waifu price to be set.
+	 * @returns {Object} Waifu price of the specified user.
+	 */
+	setWaifuPrice(userId, price) {
+		this.checkEndpoint("setWaifuPrice");
+		this.checkIfUserExists(userId);
+		if (!Number.isSafeInteger(price) || price < 1)
+			throw new ValidationError("Waifu price must be a positive integer.");
+		return this.transaction(() => {
+			const waifu = this.createWaifu(userId);
+			const { changes } = this.db.prepare("update WaifuInfo set Price = $price where Id = $id").run({ price, id: waifu.id });
+			if (!changes) throw new ConnectorError("Unable to update waifu price.");
+			this.emitChange("waifu.changed", { userId, before: waifu.price, after: price, reason: null });
+			return { userId, price };
+		});
+	}
+
+	/**
+	 * Buy a gift for a waifu on behalf of a Discord user. The gift's price is given to the bot, and raises the waifu's price, or lowers it for negative gifts.
+	 * @param {String} userId ID of the Discord user buying the gift.
+	 * @param {String} waifuId ID of the Discord user receiving the gift.
+	 * @param {String} item Name of the gift.
+	 * @returns {Object} Balance of the buyer, the new price of the waifu and the gift.
+	 */
+	giftWaifuItem(userId, waifuId, item) {
+		this.checkEndpoint("giftWaifuItem");
+		this.checkIfUserExists(userId);
+		this.checkIfUserExists(waifuId);
+		if (typeof item !== "string") throw new ValidationError("Gift must be specified by its name.");
+		const { giftEffect, negativeGiftEffect, items } = this.getWaifuConfig();
+		const gift = items.find(gift => gift.name.toLowerCase() === item.toLowerCase());
+		if (!gift) throw new NotFoundError("Gift not found.", "ITEM_NOT_FOUND");
+		const reason = `Waifu gift: ${gift.name}`;
+		return this.transaction(() => {
+			const currency = this.chargeCurrency(userId, gift.price, reason);
+			this.meter("currency", gift.price);
+			const waifu = this.createWaifu(waifuId);
+			const dateAdded = new Date().toISOString().replace(/[TZ]/g, " ");
+			this.db.prepare("insert into WaifuItem (WaifuInfoId, ItemEmoji, Name, DateAdded) values ($id, $emoji, $name, $dateAdded)").run({ id: waifu.id, emoji: gift.emoji, name: gift.name, dateAdded });
+			const price = gift.negative
+				? Math.max(1, waifu.price - Math.floor(gift.price * negativeGiftEffect))
+				: waifu.price + Math.floor(gift.price * giftEffect);
+			this.db.prepare("update WaifuInfo set Price = $price where Id = $id").run({ price, id: waifu.id });
+			this.emitChange("waifu.changed", { userId: waifuId, before: waifu.price, after: price, reason });
+			return {
+				userId, currency,
+				waifu: { userId: waifuId, price },
+				item: { name: gift.name, emoji: gift.emoji, price: gift.price }
 			};
 		});
 	}
+
+	/**
+	 * Find an entry of the currency shop of a Discord guild.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} index Index of the shop entry.
+	 * @returns {Object} The shop entry as selected by the shop entry query.
+	 */
+	findShopEntry(guildId, index) {
+		const entry = this.db.prepare(`${shopEntryQuery} and a."Index" = $index`).get({ guildId, index });
+		if (!entry) throw new NotFoundError("Shop entry not found.", "ENTRY_NOT_FOUND");
+		return entry;
+	}
+
+	/**
+	 * Get the entries of the currency shop of a Discord guild, by index.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} startPosition Start position/offset of the page.
+	 * @param {Number} items Items per page.
+	 * @returns {Object} Shop entries page.
+	 */
+	getShopEntries(guildId, startPosition = 0, items = 10) {
+		this.checkEndpoint("getShopEntries");
+		this.checkIfGuildExists(guildId);
+		const entries = this.db.prepare(`${shopEntryQuery} order by a."Index" limit $items offset $startPosition`).all({ guildId, items, startPosition });
+		if (!entries.length) throw new NotFoundError("No shop entries found for this guild.", "SHOP_NOT_FOUND");
+		return entries.map(formatShopEntry);
+	}
+
+	/**
+	 * Get an entry of the currency shop of a Discord guild, with the items left in its list.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} index Index of the shop entry.
+	 * @returns {Object} Shop entry.
+	 */
+	getShopEntry(guildId, index) {
+		this.checkEndpoint("getShopEntry");
+		this.checkIfGuildExists(guildId);
+		const entry = this.findShopEntry(guildId, index);
+		const items = this.db.prepare("select Id as 'id', Text as 'text' from ShopEntryItem where ShopEntryId = $id order by Id").all({ id: entry.id });
+		return { ...formatShopEntry(entry), items };
+	}
+
+	/**
+	 * Add a role or list entry to the currency shop of a Discord guild, after its last entry.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {String} userId ID of the Discord user adding the entry.
+	 * @param {String} type Type of the entry, either role or list.
+	 * @param {Number} price Price of the entry.
+	 * @param {String} name Name of the list, or of the role.
+	 * @param {String} [roleId] ID of the Discord role, required for role entries.
+	 * @returns {Object} Shop entry.
+	 */
+	addShopEntry(guildId, userId, type, price, name, roleId) {
+		this.checkEndpoint("addShopEntry");
+		this.checkIfGuildExists(guildId);
+		if (!["role", "list"].includes(type))
+			throw new ValidationError("Shop entry type must be either role or list.");
+		if (type === "role" && typeof roleId !== "string")
+			throw new ValidationError("Role entries require the ID of the role.");
+		if (!Number.isSafeInteger(price) || price < 1)
+			throw new ValidationError("Shop entry price must be a positive integer.");
+		return this.transaction(() => {
+			const { index } = this.db.prepare("select coalesce(max(a.\"Index\"), -1) + 1 as 'index' from ShopEntry a, GuildConfigs b where a.GuildConfigId = b.Id and b.GuildId = $guildId").get({ guildId });
+			const dateAdded = new Date().toISOString().replace(/[TZ]/g, " ");
+			const { changes } = this.db.prepare("insert into ShopEntry (\"Index\", Price, Name, AuthorId, Type, RoleName, RoleId, GuildConfigId, DateAdded) select $index, $price, $name, $userId, $type, $roleName, $roleId, Id, $dateAdded from GuildConfigs where GuildId = $guildId").run({
+				index, price, userId, guildId, dateAdded,
+				type: shopEntryTypes.indexOf(type),
+				name: type === "role" ? "" : name,
+				roleName: type === "role" ? name : null,
+				roleId: type === "role" ? roleId : 0
+			});
+			if (!changes) throw new ConnectorError("Unable to add shop entry.");
+			return formatShopEntry(this.findShopEntry(guildId, index));
+		});
+	}
+
+	/**
+	 * Change the price or name of an entry of the currency shop of a Discord guild.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} index Index of the shop entry.
+	 * @param {Number} [price] New price of the entry.
+	 * @param {String} [name] New name of the list, or of the role.
+	 * @returns {Object} Shop entry.
+	 */
+	editShopEntry(guildId, index, price, name) {
+		this.checkEndpoint("editShopEntry");
+		this.checkIfGuildExists(guildId);
+		if (price === undefined && name === undefined)
+			throw new ValidationError("Specify a price or a name to change.");
+		if (price !== undefined && (!Number.isSafeInteger(price) || price < 1))
+			throw new ValidationError("Shop entry price must be a positive integer.");
+		return this.transaction(() => {
+			const entry = this.findShopEntry(guildId, index);
+			if (price !== undefined)
+				this.db.prepare("update ShopEntry set Price = $price where Id = $id").run({ price, id: entry.id });
+			if (name !== undefined)
+				this.db.prepare(`update ShopEntry set ${entry.type === 0 ? "RoleName" : "Name"} = $name where Id = $id`).run({ name, id: entry.id });
+			return formatShopEntry(this.findShopEntry(guildId, index));
+		});
+	}
+
+	/**
+	 * Remove an entry and the items in its list from the currency shop of a Discord guild. Other entries keep their index.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} index Index of the shop entry.
+	 * @returns {Object} Removed shop entry.
+	 */
+	removeShopEntry(guildId, index) {
+		this.checkEndpoint("removeShopEntry");
+		this.checkIfGuildExists(guildId);
+		return this.transaction(() => {
+			const entry = this.findShopEntry(guildId, index);
+			this.db.prepare("delete from ShopEntryItem where ShopEntryId = $id").run({ id: entry.id });
+			this.db.prepare("delete from ShopEntry where Id = $id").run({ id: entry.id });
+			return formatShopEntry(entry);
+		});
+	}
+
+	/**
+	 * Add an item to the list of a shop entry of a Discord guild.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} index Index of the shop entry.
+	 * @param {String} text Text of the item.
+	 * @returns {Object} Added item.
+	 */
+	addShopEntryItem(guildId, index, text) {
+		this.checkEndpoint("addShopEntryItem");
+		this.checkIfGuildExists(guildId);
+		if (typeof text !== "string" || !text.trim())
+			throw new ValidationError("Item text must be a non empty string.");
+		return this.transaction(() => {
+			const entry = this.findShopEntry(guildId, index);
+			if (entry.type !== 1)
+				throw new ValidationError("Items can only be added to list entries.");
+			if (this.db.prepare("select Id from ShopEntryItem where ShopEntryId = $id and Text = $text").get({ id: entry.id, text }))
+				throw new ConflictError("The list already has this item.", "ITEM_EXISTS");
+			const dateAdded = new Date().toISOString().replace(/[TZ]/g, " ");
+			const { lastInsertRowid } = this.db.prepare("insert into ShopEntryItem (Text, ShopEntryId, DateAdded) values ($text, $id, $dateAdded)").run({ text, id: entry.id, dateAdded });
+			return { id: lastInsertRowid, text };
+		});
+	}
+
+	/**
+	 * Remove an item from the list of a shop entry of a Discord guild.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} index Index of the shop entry.
+	 * @param {Number} itemId ID of the item.
+	 * @returns {Object} Removed item.
+	 */
+	removeShopEntryItem(guildId, index, itemId) {
+		this.checkEndpoint("removeShopEntryItem");
+		this.checkIfGuildExists(guildId);
+		return this.transaction(() => {
+			const entry = this.findShopEntry(guildId, index);
+			const item = this.db.prepare("select Id as 'id', Text as 'text' from ShopEntryItem where Id = $itemId and ShopEntryId = $id").get({ itemId, id: entry.id });
+			if (!item) throw new NotFoundError("Item not found in this shop entry.", "ITEM_NOT_FOUND");
+			this.db.prepare("delete from ShopEntryItem where Id = $id").run({ id: item.id });
+			return item;
+		});
+	}
+
+	/**
+	 * Buy an entry of the currency shop of a Discord guild on behalf of a user, giving its price to the bot.
+	 * List entries hand out their oldest item, removing it from the list. Role entries only record the purchase, as the role has to be granted by the bot.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} index Index of the shop entry.
+	 * @param {String} userId ID of the Discord user buying the entry.
+	 * @returns {Object} The purchase, with the role to grant or the item handed out, and the new balance of the user.
+	 */
+	buyShopEntry(guildId, index, userId) {
+		this.checkEndpoint("buyShopEntry");
+		this.checkIfGuildExists(guildId);
+		this.checkIfUserExists(userId);
+		return this.transaction(() => {
+			const entry = this.findShopEntry(guildId, index);
+			if (entry.type > 1)
+				throw new ValidationError("Only role and list entries can be bought.");
+			let item = null;
+			if (entry.type === 1) {
+				item = this.db.prepare("select Id as 'id', Text as 'text' from ShopEntryItem where ShopEntryId = $id order by Id limit 1").get({ id: entry.id });
+				if (!item) throw new ConflictError("This shop entry is out of stock.", "OUT_OF_STOCK");
+				this.db.prepare("delete from ShopEntryItem where Id = $id").run({ id: item.id });
+			}
+			const currency = this.chargeCurrency(userId, entry.price, `Shop purchase: ${entry.name}`);
+			this.meter("currency", entry.price);
+			const { type, name, price, roleId } = formatShopEntry(entry);
+			const purchase = { guildId, userId, index, type, name, price, roleId, item: item ? item.text : null };
+			this.emitChange("shop.purchased", purchase);
+			return { ...purchase, currency };
+		});
+	}
+
+	/**
+	 * Get the quotes of a Discord guild, by keyword.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {String} [keyword] Keyword to list the quotes of, ignoring case. Lists every quote if not specified.
+	 * @param {Number} startPosition Start position/offset of the page.
+	 * @param {Number} items Items per page.
+	 * @returns {Object} Quotes page.
+	 */
+	getQuotes(guildId, keyword, startPosition = 0, items = 10) {
+		this.checkEndpoint("getQuotes");
+		this.checkIfGuildExists(guildId);
+		const quotes = keyword === undefined
+			? this.db.prepare(`${quoteQuery} order by Keyword, Id limit $items offset $startPosition`).all({ guildId, items, startPosition })
+			: this.db.prepare(`${quoteQuery} and Keyword = $keyword order by Id limit $items offset $startPosition`).all({ guildId, keyword: keyword.toUpperCase(), items, startPosition });
+		if (!quotes.length) throw new NotFoundError("No quotes found for this guild.", "QUOTES_NOT_FOUND");
+		return quotes;
+	}
+
+	/**
+	 * Search the quotes of a Discord guild for a text.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {String} text Text the quotes must contain, ignoring case.
+	 * @param {String} [keyword] Keyword to search the quotes of, ignoring case. Searches every quote if not specified.
+	 * @param {Number} startPosition Start position/offset of the page.
+	 * @param {Number} items Items per page.
+	 * @returns {Object} Quotes page.
+	 */
+	searchQuotes(guildId, text, keyword, startPosition = 0, items = 10) {
+		this.checkEndpoint("searchQuotes");
+		this.checkIfGuildExists(guildId);
+		if (typeof text !== "string" || !text.trim())
+			throw new ValidationError("Search text must be a non empty string.");
+		const search = `%${text.replace(/[\\%_]/g, "\\$&")}%`;
+		const quotes = keyword === undefined
+			? this.db.prepare(`${quoteQuery} and Text like $search escape '\\' order by Keyword, Id limit $items offset $startPosition`).all({ guildId, search, items, startPosition })
+			: this.db.prepare(`${quoteQuery} and Text like $search escape '\\' and Keyword = $keyword order by Id limit $items offset $startPosition`).all({ guildId, search, keyword: keyword.toUpperCase(), items, startPosition });
+		if (!quotes.length) throw new NotFoundError("No quotes found for this search.", "QUOTES_NOT_FOUND");
+		return quotes;
+	}
+
+	/**
+	 * Add a quote to a Discord guild. Keywords are stored in upper case, like NadekoBot does.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {String} userId ID of the Discord user who authored the quote.
+	 * @param {String} keyword Keyword of the quote.
+	 * @param {String} text Text of the quote.
+	 * @param {String} [authorName] Name of the author. Defaults to the author's username, and is required if the author is not in the database.
+	 * @returns {Object} Quote.
+	 */
+	addQuote(guildId, userId, keyword, text, authorName) {
+		this.checkEndpoint("addQuote");
+		this.checkIfGuildExists(guildId);
+		if (typeof userId !== "string") throw new ValidationError("User IDs must be provided as strings.");
+		if (typeof keyword !== "string" || !keyword.trim() || typeof text !== "string" || !text.trim())
+			throw new ValidationError("Quotes require a non empty keyword and text.");
+		const user = this.db.prepare("select Username as 'username' from DiscordUser where UserId = $userId").get({ userId });
+		const name = authorName !== undefined ? authorName : user && user.username;
+		if (typeof name !== "string" || !name)
+			throw new ValidationError("Specify the name of the author, as they are not in the database.");
+		const dateAdded = new Date().toISOString().replace(/[TZ]/g, " ");
+		const { lastInsertRowid } = this.db.prepare("insert into Quotes (GuildId, Keyword, AuthorName, AuthorId, Text, DateAdded) values ($guildId, $keyword, $name, $userId, $text, $dateAdded)").run({ guildId, keyword: keyword.toUpperCase(), name, userId, text, dateAdded });
+		return this.db.prepare(`${quoteQuery} and Id = $id`).get({ guildId, id: lastInsertRowid });
+	}
+
+	/**
+	 * Delete a quote of a Discord guild.
+	 * @param {String} guildId ID of the Discord guild.
+	 * @param {Number} id ID of the quote.
+	 * @returns {Object} Deleted quote.
+	 */
+	deleteQuote(guildId, id) {
+		this.checkEndpoint("deleteQuote");
+		this.checkIfGuildExists(guildId);
+		return this.transaction(() => {
+			const quote = this.db.prepare(`${quoteQuery} and Id = $id`).get({ guildId, id });
+			if (!quote) throw new NotFoundError("Quote not found in this guild.", "QUOTE_NOT_FOUND");
+			this.db.prepare("delete from Quotes where Id = $id").run({ id });
+			return quote;
+		});
+	}
+
+	/**
+	 * Get the query selecting the custom reactions of a Discord guild, or the global ones.
+	 * @param {String} [guildId] ID of the Discord guild, or none for global custom reactions.
+	 * @returns {String} The query, taking the guild ID as a parameter for guild custom reactions.
+	 */
+	getCustomReactionQuery(guildId) {
+		return `select Id as 'id', cast(GuildId as text) as 'guildId', Trigger as 'trigger', Response as 'response', ${Object.entries(customReactionOptions).map(([option, column]) => `${column} as '${option}'`).join(", ")}, Reactions as 'reactions' from ${this.table("CustomReactions")} where ${guildId === undefined ? "(GuildId is null or GuildId = 0)" : "GuildId = $guildId"}`;
+	}
+
+	/**
+	 * Find a custom reaction of a Discord guild, or a global one.
+	 * @param {String} [guildId] ID of the Discord guild, or none for global custom reactions.
+	 * @param {Number} id ID of the custom reaction.
+	 * @returns {Object} Custom reaction.
+	 */
+	findCustomReaction(guildId, id) {
+		const reaction = this.db.prepare(`${this.getCustomReactionQuery(guildId)} and Id = $id`).get(guildId === undefined ? { id } : { guildId, id });
+		if (!reaction) throw new NotFoundError("Custom reaction not found.", "REACTION_NOT_FOUND");
+		return formatCustomReaction(reaction);
+	}
+
+	/**
+	 * Get the custom reactions of a Discord guild, or the global ones, by trigger.
+	 * @param {String} [guildId] ID of the Discord guild, or none for global custom reactions.
+	 * @param {Number} startPosition Start position/offset of the page.
+	 * @param {Number} items Items per page.
+	 * @returns {Object} Custom reactions page.
+	 */
+	getCustomReactions(guildId, startPosition = 0, items = 10) {
+		this.checkEndpoint("getCustomReactions");
+		if (guildId !== undefined) this.checkIfGuildExists(guildId);
+		const reactions = this.db.prepare(`${this.getCustomReactionQuery(guildId)} order by Trigger, Id limit $items offset $startPosition`).all(guildId === undefined ? { items, startPosition } : { guildId, items, startPosition });
+		if (!reactions.length) throw new NotFoundError("No custom reactions found.", "REACTIONS_NOT_FOUND");
+		return reactions.map(formatCustomReaction);
+	}
+
+	/**
+	 * Add a custom reaction to a Discord guild, or a global one. Triggers are stored in lower case, like NadekoBot does.
+	 * @param {String} [guildId] ID of the Discord guild, or none for a global custom reaction.
+	 * @param {String} trigger Trigger of the custom reaction.
+	 * @param {String} response Response of the custom reaction.
+	 * @returns {Object} Custom reaction.
+	 */
+	addCustomReaction(guildId, trigger, response) {
+		this.checkEndpoint("addCustomReaction");
+		if (guildId !== undefined) this.checkIfGuildExists(guildId);
+		if (typeof trigger !== "string" || !trigger.trim() || typeof response !== "string" || !response.trim())
+			throw new ValidationError("Custom reactions require a non empty trigger and response.");
+		const dateAdded = new Date().toISOString().replace(/[TZ]/g, " ");
+		const table = this.table("CustomReactions");
+		const defaults = Object.entries(customReactionDefaults).filter(([column]) => this.schema.columns[table].includes(column));
+		const columns = ["GuildId", "Trigger", "Response", "DateAdded", ...defaults.map(([column]) => column)];
+		const { lastInsertRowid } = this.db.prepare(`insert into ${table} (${columns.join(", ")}) values (${columns.map(column => `$${column}`).join(", ")})`).run({
+			GuildId: guildId === undefined ? null : guildId,
+			Trigger: trigger.toLowerCase(), Response: response, DateAdded: dateAdded,
+			...Object.fromEntries(defaults)
+		});
+		return this.findCustomReaction(guildId, lastInsertRowid);
+	}
+
+	/**
+	 * Change the response or options of a custom reaction of a Discord guild, or of a global one.
+	 * @param {String} [guildId] ID of the Discord guild, or none for a global custom reaction.
+	 * @param {Number} id ID of the custom reaction.
+	 * @param {String} [response] New response of the custom reaction.
+	 * @param {Boolean} [autoDeleteTrigger] Whether to delete the message triggering the custom reaction.
+	 * @param {Boolean} [dmResponse] Whether to send the response in a direct message.
+	 * @param {Boolean} [containsAnywhere] Whether the trigger may appear anywhere in a message.
+	 * @param {Boolean} [allowTarget] Whether a message may mention a target after the trigger.
+	 * @returns {Object} Custom reaction.
+	 */
+	editCustomReaction(guildId, id, response, autoDeleteTrigger, dmResponse, containsAnywhere, allowTarget) {
+		this.checkEndpoint("editCustomReaction");
+		if (guildId !== undefined) this.checkIfGuildExists(guildId);
+		const options = Object.entries({ autoDeleteTrigger, dmResponse, containsAnywhere, allowTarget }).filter(([, value]) => value !== undefined);
+		if (response === undefined && !options.length)
+			throw new ValidationError("Specify a response or an option to change.");
+		if (response !== undefined && (typeof response !== "string" || !response.trim()))
+			throw new ValidationError("Custom reaction responses must be non empty strings.");
+		if (options.some(([, value]) => typeof value !== "boolean"))
+			throw new ValidationError("Custom reaction options must be booleans.");
+		const changes = [...(response === undefined ? [] : [["Response", response]]), ...options.map(([option, value]) => [customReactionOptions[option], Number(value)])];
+		return this.transaction(() => {
+			this.findCustomReaction(guildId, id);
+			this.db.prepare(`update ${this.table("CustomReactions")} set ${changes.map(([column]) => `${column} = $${column}`).join(", ")} where Id = $id`).run({ ...Object.fromEntries(changes), id });
+			return this.findCustomReaction(guildId, id);
+		});
+	}
+
+	/**
+	 * Delete a custom reaction of a Discord guild, or a global one.
+	 * @param {String} [guildId] ID of the Discord guild, or none for a global custom reaction.
+	 * @param {Number} id ID of the custom reaction.
+	 * @returns {Object} Deleted custom reaction.
+	 */
+	deleteCustomReaction(guildId, id) {
+		this.checkEndpoint("deleteCustomReaction");
+		if (guildId !== undefined) this.checkIfGuildExists(guildId);
+		return this.transaction(() => {
+			const reaction = this.findCustomReaction(guildId, id);
+			this.db.prepare(`delete from ${this.table("CustomReactions")} where Id = $id`).run({ id });
+			return reaction;
+		});
+	}
+
+	/**
+	 * Get entries from the audit log of mutating calls, newest first.
+	 * @param {Object} filter Filters to apply, any of userId, guildId, endpoint, from and to.
+	 * @param {Number} startPosition Start position/offset of the page.
+	 * @param {Number} items Items per page.
+	 * @returns {Object} Audit log page.
+	 */
+	getAuditLog(filter = {}, startPosition = 0, items = 10) {
+		this.checkEndpoint("getAuditLog");
+		if (!filter || typeof filter !== "object")
+			throw new ValidationError("Filter must be an object.");
+		for (const property of ["userId", "guildId", "endpoint"])
+			if (filter[property] !== undefined && typeof filter[property] !== "string")
+				throw new ValidationError(`Filter property ${property} must be a string.`);
+		const dates = {};
+		for (const property of ["from", "to"]) {
+			if (filter[property] === undefined) continue;
+			const date = new Date(filter[property]);
+			if (isNaN(date)) throw new ValidationError(`Filter property ${property} must be a valid date.`);
+			dates[property] = date.toISOString();
+		}
+		const entries = this.store.getAuditEntries({ ...filter, ...dates }, startPosition, items);
+		if (!entries.length) throw new NotFoundError("No audit log entries found.");
+		return entries;
+	}
 }
 
 module.exports = Connector;
\ No newline at end of file
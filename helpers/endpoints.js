@@ -0,0 +1,893 @@
+/**
+ * Declarative schemas of every endpoint implemented in the Connector.
+ * Parameters are listed in the order the Connector methods take them.
+ * Each parameter has a type, an optional default or required flag, a description and an error message.
+ * Parameters may be constrained further with the JSON schema keywords minimum and maximum (integers), minLength, maxLength and pattern (strings), and minItems and maxItems (arrays).
+ * Array parameters describe their elements with items, and each endpoint describes its result with a JSON schema, used for the OpenAPI document and the client typings.
+ * Result schemas use the keywords type, properties, items, enum, nullable and oneOf. Every property listed is always present, and schemas with a title are named types.
+ * Write endpoints are disabled when the connector is read-only and require a unique jti claim.
+ * Endpoints are unsupported when the NadekoBot database lacks any of the tables they use, unless all of the YAML config files they can read instead exist (gambling for gambling.yml).
+ * Tables are named as in version 2 of the schema, and renamed by the adapter of the detected version.
+ */
+
+const snowflake = "^\\d{17,20}$";
+
+const userId = {
+	type: "string",
+	pattern: snowflake,
+	description: "ID of the Discord user.",
+	error: "userId must be a Discord ID specified as a string to avoid precision loss."
+};
+
+const guildId = {
+	type: "string",
+	pattern: snowflake,
+	description: "ID of the Discord guild.",
+	error: "guildId must be a Discord ID specified as a string to avoid precision loss."
+};
+
+const roleId = {
+	type: "string",
+	pattern: snowflake,
+	description: "ID of the Discord role.",
+	error: "roleId must be a Discord ID specified as a string to avoid precision loss."
+};
+
+const currency = {
+	type: "integer",
+	minimum: -Number.MAX_SAFE_INTEGER,
+	maximum: Number.MAX_SAFE_INTEGER,
+	description: "Currency amount.",
+	error: "currency must be a negative or positive integer value."
+};
+
+const reason = {
+	type: "string",
+	pattern: "\\S",
+	maxLength: 500,
+	description: "Reason for the transaction.",
+	error: "reason for the transaction must be a non empty string of at most 500 characters."
+};
+
+const xp = {
+	type: "integer",
+	minimum: -1000000000,
+	maximum: 1000000000,
+	description: "XP amount.",
+	error: "xp must be a positive or negative integer value."
+};
+
+const clubName = {
+	type: "string",
+	pattern: "\\S",
+	description: "Name of the club, in name#discrim format before NadekoBot 4.",
+	error: "name must be the name of the club as a string, in name#discrim format before NadekoBot 4."
+};
+
+const waifuTables = ["DiscordUser", "WaifuInfo", "WaifuItem"];
+
+const shopIndex = {
+	type: "integer",
+	minimum: 0,
+	maximum: 1000000,
+	description: "Index of the shop entry, as listed by getShopEntries.",
+	error: "index must be the index of a shop entry as a positive integer value."
+};
+
+const shopPrice = {
+	type: "integer",
+	minimum: 1,
+	maximum: Number.MAX_SAFE_INTEGER,
+	description: "Price of the shop entry.",
+	error: "price must be a positive integer value."
+};
+
+const shopName = {
+	type: "string",
+	pattern: "\\S",
+	maxLength: 100,
+	description: "Name of the list, or of the role, of the shop entry.",
+	error: "name must be a non empty string of at most 100 characters."
+};
+
+const optionalGuildId = {
+	...guildId,
+	required: false,
+	description: "ID of the Discord guild, or none for global custom reactions.",
+	error: "guildId must be a Discord ID specified as a string to avoid precision loss, or left out for global custom reactions."
+};
+
+const keyword = {
+	type: "string",
+	pattern: "\\S",
+	maxLength: 100,
+	description: "Keyword of the quote.",
+	error: "keyword must be a non empty string of at most 100 characters."
+};
+
+const customReactionId = {
+	type: "integer",
+	minimum: 1,
+	description: "ID of the custom reaction.",
+	error: "id must be the ID of a custom reaction as a positive integer value."
+};
+
+const response = {
+	type: "string",
+	pattern: "\\S",
+	maxLength: 2000,
+	description: "Response of the custom reaction.",
+	error: "response must be a non empty string of at most 2000 characters."
+};
+
+const customReactionOption = description => ({
+	type: "boolean",
+	required: false,
+	description,
+	error: "Custom reaction options must be booleans."
+});
+
+const level = {
+	type: "integer",
+	minimum: 1,
+	maximum: 1000000,
+	description: "Level the reward is given at.",
+	error: "level must be a positive integer value."
+};
+
+const exclusionType = {
+	type: "string",
+	pattern: "^(channel|role)$",
+	description: "Type of the excluded item, either channel or role. NadekoBot cannot exclude users from XP.",
+	error: "type must be either channel or role, as NadekoBot cannot exclude users from XP."
+};
+
+const exclusionId = {
+	type: "string",
+	pattern: snowflake,
+	description: "ID of the excluded Discord channel or role.",
+	error: "id must be a Discord ID specified as a string to avoid precision loss."
+};
+
+const startPosition = {
+	type: "integer",
+	default: 0,
+	minimum: 0,
+	maximum: 100000,
+	description: "Start position/offset of the page.",
+	error: "startPosition must be an integer value between 0 and 100000."
+};
+
+const items = {
+	type: "integer",
+	default: 10,
+	minimum: 1,
+	maximum: 100,
+	description: "Items per page.",
+	error: "items must be an integer value between 1 and 100."
+};
+
+const string = { type: "string" };
+const integer = { type: "integer" };
+const number = { type: "number" };
+const boolean = { type: "boolean" };
+const any = {};
+const record = { type: "object" };
+const nullable = schema => ({ ...schema, nullable: true });
+const list = schema => ({ type: "array", items: schema });
+const object = (title, properties) => ({ type: "object", ...(title ? { title } : {}), properties });
+
+const levelInfo = { level: integer, levelXp: integer, requiredXp: integer };
+
+const balance = object("Balance", { userId: string, currency: integer });
+
+const guildXp = object("GuildXp", { guildXp: integer, awardedXp: integer, totalXp: integer, ...levelInfo, rank: integer });
+
+const rank = object("Rank", { userId: string, rank: integer });
+
+const roleReward = object("XpRoleReward", { level: integer, roleId: string });
+
+const currencyReward = object("XpCurrencyReward", { level: integer, amount: integer });
+
+const exclusion = object("XpExclusion", { type: { type: "string", enum: ["channel", "role"] }, id: string });
+
+const xpSettings = object("XpSettings", { serverExcluded: boolean, notifyMessage: nullable(string), exclusions: list(exclusion) });
+
+const club = object("Club", {
+	name: string, owner: string, description: nullable(string), icon: nullable(string),
+	xp: integer, levelRequirement: integer, ...levelInfo, rank: integer
+});
+
+const waifuItem = object("WaifuItem", { name: string, emoji: string, count: integer });
+
+const waifuPrice = object("WaifuPrice", { userId: string, price: integer });
+
+const shopEntryType = { type: "string", enum: ["role", "list", "command"], nullable: true };
+
+const shopEntryProperties = { index: integer, type: shopEntryType, name: nullable(string), price: integer, roleId: nullable(string), authorId: string };
+
+const shopEntry = object("ShopEntry", { ...shopEntryProperties, items: integer });
+
+const shopEntryItem = object("ShopEntryItem", { id: integer, text: string });
+
+const quote = object("Quote", { id: integer, keyword: string, authorId: string, authorName: string, text: string, dateAdded: string });
+
+const customReaction = object("CustomReaction", {
+	id: integer, guildId: nullable(string), trigger: string, response: string,
+	autoDeleteTrigger: boolean, dmResponse: boolean, containsAnywhere: boolean, allowTarget: boolean,
+	reactions: list(string)
+});
+
+module.exports = {
+	getBotInfo: {
+		description: "Gets info about the bot.",
+		tables: ["BotConfig"],
+		configFiles: ["gambling", "xp"],
+		params: {},
+		result: object("BotInfo", {
+			id: string,
+			owners: list(string),
+			prefix: nullable(string),
+			currency: object(null, {
+				sign: nullable(string), name: nullable(string), pluralname: nullable(string),
+				bet: object(null, { minimum: nullable(number), maximum: nullable(number) }),
+				generation: object(null, { chance: nullable(number), cooldown: nullable(number), minimumDrop: nullable(number), maximumDrop: nullable(number) }),
+				timely: object(null, { amount: nullable(number), timeout: nullable(number) })
+			}),
+			xp: object(null, { perMessage: nullable(number), timeout: nullable(number) })
+		})
+	},
+	getTables: {
+		description: "Gets the tables present in the database.",
+		tables: [],
+		params: {},
+		result: object(null, { tables: list(string) })
+	},
+	getFields: {
+		description: "Gets the columns of the specified table with their types, nullability and primary keys, and its relations to other tables.",
+		tables: [],
+		params: {
+			table: {
+				type: "string",
+				minLength: 1,
+				description: "Name of the table.",
+				error: "table must be a name of a table present in the database. Use getTables() to get a list of tables."
+			}
+		},
+		result: object("TableFields", {
+			fields: list(string),
+			columns: list(object("Column", { name: string, type: string, nullable: boolean, primaryKey: boolean, default: nullable(string) })),
+			relations: list(object("Relation", { column: string, table: string, references: nullable(string), onUpdate: string, onDelete: string }))
+		})
+	},
+	getRows: {
+		description: "Gets a page of rows of an allowed table, filtered and sorted by its columns.",
+		tables: [],
+		params: {
+			table: {
+				type: "string",
+				minLength: 1,
+				description: "Name of the table. It must be in the bot's browsable tables.",
+				error: "table must be a name of a table the bot allows browsing."
+			},
+			filters: {
+				type: "array",
+				default: [],
+				maxItems: 20,
+				items: object(null, { column: string, op: { type: "string", enum: ["eq", "lt", "gt", "like", "in"] }, value: any }),
+				description: "Filters the rows must all match, each with a column, an op (eq, lt, gt, like or in) and a value. A null value with eq matches null columns, and in takes an array of values.",
+				error: "filters must be an array of at most 20 { column, op, value } objects."
+			},
+			orderBy: {
+				type: "string",
+				required: false,
+				minLength: 1,
+				description: "Column to sort the rows by. Defaults to the table's primary key.",
+				error: "orderBy must be a name of a column of the table."
+			},
+			descending: {
+				type: "boolean",
+				default: false,
+				description: "Whether to sort the rows in descending order.",
+				error: "descending must be a boolean."
+			},
+			startPosition,
+			items
+		},
+		result: object("Rows", { rows: list(record), total: integer })
+	},
+	execSql: {
+		description: "Execute an SQL statement. Queries return their rows, while statements returning no rows are executed in run mode if writes are allowed.",
+		tables: [],
+		write: true,
+		params: {
+			command: {
+				type: "string",
+				pattern: "\\S",
+				description: "The SQL command to execute.",
+				error: "command must be a valid SQL command string that can be executed on the database."
+			},
+			params: {
+				type: "object",
+				default: {},
+				description: "Values to bind to the named parameters of the statement, such as $userId, by name.",
+				error: "params must be an object of values to bind by parameter name."
+			},
+			mode: {
+				type: "string",
+				default: "query",
+				pattern: "^(query|run)$",
+				description: "Either query to return rows, or run to execute a statement returning no rows.",
+				error: "mode must be either query or run."
+			}
+		},
+		result: {
+			oneOf: [
+				object("SqlRows", { rows: list(record), affected: integer, truncated: boolean }),
+				object("SqlChanges", { changes: integer, lastInsertRowid: integer })
+			]
+		}
+	},
+	batch: {
+		description: "Execute several endpoints inside a single transaction. If any call fails, all of them are rolled back.",
+		tables: [],
+		write: true,
+		params: {
+			calls: {
+				type: "array",
+				minItems: 1,
+				maxItems: 100,
+				items: object(null, { endpoint: string, params: record }),
+				description: "Calls to execute, each an object with an endpoint name and its params.",
+				error: "calls must be an array of 1 to 100 { endpoint, params } objects."
+			}
+		},
+		result: list(object("BatchResult", { endpoint: string, result: any }))
+	},
+	getCurrency: {
+		description: "Get the currency of a Discord user.",
+		tables: ["DiscordUser"],
+		params: { userId },
+		result: balance
+	},
+	setCurrency: {
+		description: "Set the currency of a Discord user. Use addCurrency instead for normal transactions.",
+		tables: ["DiscordUser"],
+		write: true,
+		params: { userId, currency },
+		result: balance
+	},
+	addCurrency: {
+		description: "Add currency to a user, taking it from the bot.",
+		tables: ["DiscordUser", "CurrencyTransactions"],
+		write: true,
+		params: { userId, currency, reason },
+		result: balance
+	},
+	subtractCurrency: {
+		description: "Subtract currency from a user, giving it to the bot.",
+		tables: ["DiscordUser", "CurrencyTransactions"],
+		write: true,
+		params: { userId, currency, reason },
+		result: balance
+	},
+	transferCurrency: {
+		description: "Transfer currency directly from one user to another.",
+		tables: ["DiscordUser", "CurrencyTransactions"],
+		write: true,
+		params: {
+			fromUserId: {
+				...userId,
+				description: "ID of the Discord user sending the currency.",
+				error: "fromUserId must be a Discord ID specified as a string to avoid precision loss."
+			},
+			toUserId: {
+				...userId,
+				description: "ID of the Discord user receiving the currency.",
+				error: "toUserId must be a Discord ID specified as a string to avoid precision loss."
+			},
+			amount: {
+				type: "integer",
+				minimum: 1,
+				maximum: Number.MAX_SAFE_INTEGER,
+				description: "Currency amount to be transferred.",
+				error: "amount must be a positive integer value."
+			},
+			reason
+		},
+		result: object("Transfer", { from: balance, to: balance })
+	},
+	createTransaction: {
+		description: "Create a transaction for a Discord user.",
+		tables: ["CurrencyTransactions"],
+		write: true,
+		params: { userId, currency, reason },
+		result: object("CreatedTransaction", { userId: string, transactionId: integer })
+	},
+	getTransactions: {
+		description: "Get transactions of a Discord user.",
+		tables: ["DiscordUser", "CurrencyTransactions"],
+		params: { userId, startPosition, items },
+		result: list(object("Transaction", { transactionId: integer, amount: integer, reason: nullable(string), dateAdded: string }))
+	},
+	getGuildRank: {
+		description: "Get ranking of a Discord user in a specific guild.",
+		tables: ["DiscordUser", "GuildConfigs", "UserXpStats"],
+		params: { userId, guildId },
+		result: rank
+	},
+	getGuildXp: {
+		description: "Get the guild XP of a Discord user.",
+		tables: ["DiscordUser", "GuildConfigs", "UserXpStats"],
+		params: { userId, guildId },
+		result: guildXp
+	},
+	setGuildXp: {
+		description: "Set the guild XP of a Discord user.",
+		tables: ["DiscordUser", "GuildConfigs", "UserXpStats"],
+		write: true,
+		params: {
+			userId, guildId, xp,
+			awardedXp: {
+				...xp,
+				description: "XP awarded to the Discord user.",
+				error: "awardedXp must be a positive or negative integer value."
+			}
+		},
+		result: guildXp
+	},
+	addGuildXp: {
+		description: "Add guild XP to a Discord user.",
+		tables: ["DiscordUser", "GuildConfigs", "UserXpStats"],
+		write: true,
+		params: { userId, guildId, xp },
+		result: guildXp
+	},
+	subtractGuildXp: {
+		description: "Subtract guild XP from a Discord user.",
+		tables: ["DiscordUser", "GuildConfigs", "UserXpStats"],
+		write: true,
+		params: { userId, guildId, xp },
+		result: guildXp
+	},
+	awardGuildXp: {
+		description: "Award guild XP to a Discord user, subtracting it if negative.",
+		tables: ["DiscordUser", "GuildConfigs", "UserXpStats"],
+		write: true,
+		params: { userId, guildId, xp },
+		result: guildXp
+	},
+	getGuildXpLeaderboard: {
+		description: "Get XP leaderboard of a Discord guild.",
+		tables: ["DiscordUser", "GuildConfigs", "UserXpStats"],
+		params: { guildId, startPosition, items },
+		result: list(object("GuildXpLeaderboardEntry", { userId: string, xp: integer, awardedXp: integer, ...levelInfo, rank: integer }))
+	},
+	getGuildXpRoleRewards: {
+		description: "Get XP role rewards of a Discord guild.",
+		tables: ["GuildConfigs", "XpSettings", "XpRoleReward"],
+		params: { guildId, startPosition, items },
+		result: list(object("DatedXpRoleReward", { ...roleReward.properties, dateAdded: string }))
+	},
+	getGuildXpCurrencyRewards: {
+		description: "Get XP currency rewards of a Discord guild.",
+		tables: ["GuildConfigs", "XpSettings", "XpCurrencyReward"],
+		params: { guildId, startPosition, items },
+		result: list(object("DatedXpCurrencyReward", { ...currencyReward.properties, dateAdded: string }))
+	},
+	setGuildXpRoleReward: {
+		description: "Set the XP role reward of a Discord guild at a level, replacing the reward at that level.",
+		tables: ["GuildConfigs", "XpSettings", "XpRoleReward"],
+		write: true,
+		params: { guildId, level, roleId },
+		result: roleReward
+	},
+	removeGuildXpRoleReward: {
+		description: "Remove the XP role reward of a Discord guild at a level.",
+		tables: ["GuildConfigs", "XpSettings", "XpRoleReward"],
+		write: true,
+		params: { guildId, level },
+		result: roleReward
+	},
+	setGuildXpCurrencyReward: {
+		description: "Set the XP currency reward of a Discord guild at a level, replacing the reward at that level.",
+		tables: ["GuildConfigs", "XpSettings", "XpCurrencyReward"],
+		write: true,
+		params: {
+			guildId, level,
+			amount: {
+				type: "integer",
+				minimum: 1,
+				maximum: Number.MAX_SAFE_INTEGER,
+				description: "Currency amount given at the level.",
+				error: "amount must be a positive integer value."
+			}
+		},
+		result: currencyReward
+	},
+	removeGuildXpCurrencyReward: {
+		description: "Remove the XP currency reward of a Discord guild at a level.",
+		tables: ["GuildConfigs", "XpSettings", "XpCurrencyReward"],
+		write: true,
+		params: { guildId, level },
+		result: currencyReward
+	},
+	getGuildXpSettings: {
+		description: "Get the XP settings of a Discord guild, with its excluded channels and roles.",
+		tables: ["GuildConfigs", "XpSettings", "ExcludedItem"],
+		params: { guildId },
+		result: xpSettings
+	},
+	setGuildXpSettings: {
+		description: "Change whether a Discord guild is excluded from XP, or its level up message.",
+		tables: ["GuildConfigs", "XpSettings", "ExcludedItem"],
+		write: true,
+		params: {
+			guildId,
+			serverExcluded: {
+				type: "boolean",
+				required: false,
+				description: "Whether the guild is excluded from gaining XP.",
+				error: "serverExcluded must be a boolean."
+			},
+			notifyMessage: {
+				type: "string",
+				pattern: "\\S",
+				maxLength: 2000,
+				required: false,
+				description: "Message sent when a user levels up in the guild.",
+				error: "notifyMessage must be a non empty string of at most 2000 characters."
+			}
+		},
+		result: xpSettings
+	},
+	addGuildXpExclusion: {
+		description: "Exclude a channel or role of a Discord guild from gaining XP. Users cannot be excluded.",
+		tables: ["GuildConfigs", "XpSettings", "ExcludedItem"],
+		write: true,
+		params: { guildId, type: exclusionType, id: exclusionId },
+		result: exclusion
+	},
+	removeGuildXpExclusion: {
+		description: "Stop excluding a channel or role of a Discord guild from gaining XP.",
+		tables: ["GuildConfigs", "XpSettings", "ExcludedItem"],
+		write: true,
+		params: { guildId, type: exclusionType, id: exclusionId },
+		result: exclusion
+	},
+	getGlobalRank: {
+		description: "Get global ranking of a Discord user.",
+		tables: ["DiscordUser"],
+		params: { userId },
+		result: rank
+	},
+	getGlobalXp: {
+		description: "Get the global XP of a Discord user.",
+		tables: ["DiscordUser"],
+		params: { userId },
+		result: object("GlobalXp", { globalXp: integer, ...levelInfo, rank: integer })
+	},
+	getGlobalXpLeaderboard: {
+		description: "Get the global XP leaderboard.",
+		tables: ["DiscordUser"],
+		params: { startPosition, items },
+		result: list(object("GlobalXpLeaderboardEntry", { userId: string, globalXp: integer, ...levelInfo, rank: integer }))
+	},
+	getClubLeaderboard: {
+		description: "Get club leaderboard.",
+		tables: ["DiscordUser", "Clubs"],
+		params: { startPosition, items },
+		result: list(club)
+	},
+	getClubInfo: {
+		description: "Get club information by name.",
+		tables: ["DiscordUser", "Clubs"],
+		params: { name: clubName },
+		result: club
+	},
+	getClubInfoByUser: {
+		description: "Get club information by club member.",
+		tables: ["DiscordUser", "Clubs"],
+		params: { userId },
+		result: club
+	},
+	getClubMembers: {
+		description: "Get club members by name.",
+		tables: ["DiscordUser", "Clubs"],
+		params: { name: clubName, startPosition, items },
+		result: list(object("ClubMember", { userId: string, admin: boolean, xp: integer, level: integer, levelXp: integer, rank: integer }))
+	},
+	getWaifuInfo: {
+		description: "Get the waifu info of a Discord user, with their price, claimer, affinity, claimed waifus and received gifts.",
+		tables: waifuTables,
+		params: { userId },
+		result: object("WaifuInfo", { userId: string, price: integer, claimerId: nullable(string), affinityId: nullable(string), claims: list(string), items: list(waifuItem) })
+	},
+	getWaifuLeaderboard: {
+		description: "Get the waifu leaderboard, by price.",
+		tables: waifuTables,
+		params: { startPosition, items },
+		result: list(object("WaifuLeaderboardEntry", { userId: string, price: integer, claimerId: nullable(string), affinityId: nullable(string), rank: integer }))
+	},
+	getWaifuItems: {
+		description: "Get the gifts a Discord user received as a waifu.",
+		tables: waifuTables,
+		params: { userId },
+		result: list(waifuItem)
+	},
+	getWaifuHistory: {
+		description: "Get the claim and affinity changes of a Discord user, newest first.",
+		tables: ["DiscordUser", "WaifuUpdates"],
+		params: { userId, startPosition, items },
+		result: list(object("WaifuUpdate", { type: { type: "string", enum: ["affinityChanged", "claimed"], nullable: true }, oldId: nullable(string), newId: nullable(string), dateAdded: string }))
+	},
+	setWaifuPrice: {
+		description: "Set the waifu price of a Discord user.",
+		tables: waifuTables,
+		write: true,
+		params: {
+			userId,
+			price: {
+				type: "integer",
+				minimum: 1,
+				maximum: Number.MAX_SAFE_INTEGER,
+				description: "Waifu price to be set.",
+				error: "price must be a positive integer value."
+			}
+		},
+		result: waifuPrice
+	},
+	giftWaifuItem: {
+		description: "Buy a gift for a waifu on behalf of a Discord user, giving its price to the bot and changing the waifu's price.",
+		tables: [...waifuTables, "CurrencyTransactions"],
+		write: true,
+		params: {
+			userId: {
+				...userId,
+				description: "ID of the Discord user buying the gift.",
+				error: "userId must be a Discord ID specified as a string to avoid precision loss."
+			},
+			waifuId: {
+				...userId,
+				description: "ID of the Discord user receiving the gift.",
+				error: "waifuId must be a Discord ID specified as a string to avoid precision loss."
+			},
+			item: {
+				type: "string",
+				pattern: "\\S",
+				maxLength: 100,
+				description: "Name of the gift, as listed in gambling.yml or NadekoBot's default gifts.",
+				error: "item must be the name of a gift as a string."
+			}
+		},
+		result: object("WaifuGift", { userId: string, currency: integer, waifu: waifuPrice, item: object(null, { name: string, emoji: string, price: integer }) })
+	},
+	getShopEntries: {
+		description: "Get the entries of the currency shop of a Discord guild, by index.",
+		tables: ["GuildConfigs", "ShopEntry", "ShopEntryItem"],
+		params: { guildId, startPosition, items },
+		result: list(shopEntry)
+	},
+	getShopEntry: {
+		description: "Get an entry of the currency shop of a Discord guild, with the items left in its list.",
+		tables: ["GuildConfigs", "ShopEntry", "ShopEntryItem"],
+		params: { guildId, index: shopIndex },
+		result: object("ShopEntryWithItems", { ...shopEntryProperties, items: list(shopEntryItem) })
+	},
+	addShopEntry: {
+		description: "Add a role or list entry to the currency shop of a Discord guild.",
+		tables: ["GuildConfigs", "ShopEntry"],
+		write: true,
+		params: {
+			guildId,
+			userId: {
+				...userId,
+				description: "ID of the Discord user adding the entry.",
+				error: "userId must be a Discord ID specified as a string to avoid precision loss."
+			},
+			type: {
+				type: "string",
+				pattern: "^(role|list)$",
+				description: "Type of the entry, either role or list.",
+				error: "type must be either role or list."
+			},
+			price: shopPrice,
+			name: shopName,
+			roleId: { ...roleId, required: false, description: "ID of the Discord role sold by role entries." }
+		},
+		result: shopEntry
+	},
+	editShopEntry: {
+		description: "Change the price or name of an entry of the currency shop of a Discord guild.",
+		tables: ["GuildConfigs", "ShopEntry", "ShopEntryItem"],
+		write: true,
+		params: {
+			guildId,
+			index: shopIndex,
+			price: { ...shopPrice, required: false },
+			name: { ...shopName, required: false }
+		},
+		result: shopEntry
+	},
+	removeShopEntry: {
+		description: "Remove an entry and the items in its list from the currency shop of a Discord guild.",
+		tables: ["GuildConfigs", "ShopEntry", "ShopEntryItem"],
+		write: true,
+		params: { guildId, index: shopIndex },
+		result: shopEntry
+	},
+	addShopEntryItem: {
+		description: "Add an item to the list of a shop entry of a Discord guild.",
+		tables: ["GuildConfigs", "ShopEntry", "ShopEntryItem"],
+		write: true,
+		params: {
+			guildId,
+			index: shopIndex,
+			text: {
+				type: "string",
+				pattern: "\\S",
+				maxLength: 1000,
+				description: "Text of the item, handed out to the user buying it.",
+				error: "text must be a non empty string of at most 1000 characters."
+			}
+		},
+		result: shopEntryItem
+	},
+	removeShopEntryItem: {
+		description: "Remove an item from the list of a shop entry of a Discord guild.",
+		tables: ["GuildConfigs", "ShopEntry", "ShopEntryItem"],
+		write: true,
+		params: {
+			guildId,
+			index: shopIndex,
+			itemId: {
+				type: "integer",
+				minimum: 1,
+				description: "ID of the item, as listed by getShopEntry.",
+				error: "itemId must be the ID of an item as a positive integer value."
+			}
+		},
+		result: shopEntryItem
+	},
+	buyShopEntry: {
+		description: "Buy an entry of the currency shop of a Discord guild on behalf of a user, handing out an item of a list or recording the grant of a role.",
+		tables: ["DiscordUser", "CurrencyTransactions", "GuildConfigs", "ShopEntry", "ShopEntryItem"],
+		write: true,
+		params: { guildId, index: shopIndex, userId },
+		result: object("ShopPurchase", { guildId: string, userId: string, index: integer, type: shopEntryType, name: nullable(string), price: integer, roleId: nullable(string), item: nullable(string), currency: integer })
+	},
+	getQuotes: {
+		description: "Get the quotes of a Discord guild, by keyword.",
+		tables: ["GuildConfigs", "Quotes"],
+		params: {
+			guildId,
+			keyword: { ...keyword, required: false, description: "Keyword to list the quotes of. Lists every quote if not specified." },
+			startPosition, items
+		},
+		result: list(quote)
+	},
+	searchQuotes: {
+		description: "Search the quotes of a Discord guild for a text.",
+		tables: ["GuildConfigs", "Quotes"],
+		params: {
+			guildId,
+			text: {
+				type: "string",
+				pattern: "\\S",
+				maxLength: 200,
+				description: "Text the quotes must contain, ignoring case.",
+				error: "text must be a non empty string of at most 200 characters."
+			},
+			keyword: { ...keyword, required: false, description: "Keyword to search the quotes of. Searches every quote if not specified." },
+			startPosition, items
+		},
+		result: list(quote)
+	},
+	addQuote: {
+		description: "Add a quote to a Discord guild.",
+		tables: ["DiscordUser", "GuildConfigs", "Quotes"],
+		write: true,
+		params: {
+			guildId,
+			userId: {
+				...userId,
+				description: "ID of the Discord user who authored the quote.",
+				error: "userId must be a Discord ID specified as a string to avoid precision loss."
+			},
+			keyword,
+			text: {
+				type: "string",
+				pattern: "\\S",
+				maxLength: 2000,
+				description: "Text of the quote.",
+				error: "text must be a non empty string of at most 2000 characters."
+			},
+			authorName: {
+				type: "string",
+				pattern: "\\S",
+				maxLength: 100,
+				required: false,
+				description: "Name of the author. Defaults to the author's username.",
+				error: "authorName must be a non empty string of at most 100 characters."
+			}
+		},
+		result: quote
+	},
+	deleteQuote: {
+		description: "Delete a quote of a Discord guild.",
+		tables: ["GuildConfigs", "Quotes"],
+		write: true,
+		params: {
+			guildId,
+			id: {
+				type: "integer",
+				minimum: 1,
+				description: "ID of the quote.",
+				error: "id must be the ID of a quote as a positive integer value."
+			}
+		},
+		result: quote
+	},
+	getCustomReactions: {
+		description: "Get the custom reactions of a Discord guild, or the global ones, by trigger.",
+		tables: ["GuildConfigs", "CustomReactions"],
+		params: { guildId: optionalGuildId, startPosition, items },
+		result: list(customReaction)
+	},
+	addCustomReaction: {
+		description: "Add a custom reaction to a Discord guild, or a global one.",
+		tables: ["GuildConfigs", "CustomReactions"],
+		write: true,
+		params: {
+			guildId: optionalGuildId,
+			trigger: {
+				type: "string",
+				pattern: "\\S",
+				maxLength: 200,
+				description: "Trigger of the custom reaction, matched ignoring case.",
+				error: "trigger must be a non empty string of at most 200 characters."
+			},
+			response
+		},
+		result: customReaction
+	},
+	editCustomReaction: {
+		description: "Change the response or options of a custom reaction of a Discord guild, or of a global one.",
+		tables: ["GuildConfigs", "CustomReactions"],
+		write: true,
+		params: {
+			guildId: optionalGuildId,
+			id: customReactionId,
+			response: { ...response, required: false },
+			autoDeleteTrigger: customReactionOption("Whether to delete the message triggering the custom reaction."),
+			dmResponse: customReactionOption("Whether to send the response in a direct message."),
+			containsAnywhere: customReactionOption("Whether the trigger may appear anywhere in a message."),
+			allowTarget: customReactionOption("Whether a message may mention a target after the trigger.")
+		},
+		result: customReaction
+	},
+	deleteCustomReaction: {
+		description: "Delete a custom reaction of a Discord guild, or a global one.",
+		tables: ["GuildConfigs", "CustomReactions"],
+		write: true,
+		params: { guildId: optionalGuildId, id: customReactionId },
+		result: customReaction
+	},
+	getAuditLog: {
+		description: "Get entries from the audit log of mutating calls, newest first.",
+		tables: [],
+		params: {
+			filter: {
+				type: "object",
+				default: {},
+				description: "Filters to apply, any of userId, guildId, endpoint, from and to.",
+				error: "filter must be an object with any of userId, guildId, endpoint, from and to."
+			},
+			startPosition, items
+		},
+		result: list(object("AuditEntry", {
+			id: integer, endpoint: string, claims: record, params: record, before: nullable(record), after: nullable(record),
+			outcome: { type: "string", enum: ["success", "error"] }, error: nullable(string), dateAdded: string
+		}))
+	}
+};
\ No newline at end of file
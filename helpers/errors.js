@@ -0,0 +1,90 @@
+/**
+ * Base class of errors raised while handling a request.
+ * Each error has a stable machine-readable code and the HTTP status it is reported with.
+ */
+class ConnectorError extends Error {
+	/**
+	 * Create a new connector error.
+	 * @param {String} message Description of the error.
+	 * @param {String} [code="INTERNAL_ERROR"] Machine-readable error code.
+	 * @param {Number} [status=500] HTTP status code of the error.
+	 */
+	constructor(message, code = "INTERNAL_ERROR", status = 500) {
+		super(message);
+		this.name = this.constructor.name;
+		this.code = code;
+		this.status = status;
+	}
+}
+
+/**
+ * Thrown when the parameters of a request are invalid.
+ */
+class ValidationError extends ConnectorError {
+	constructor(message, code = "INVALID_PARAMS") {
+		super(message, code, 400);
+	}
+}
+
+/**
+ * Thrown when a request has a missing, invalid or expired token.
+ */
+class AuthenticationError extends ConnectorError {
+	constructor(message, code = "TOKEN_INVALID") {
+		super(message, code, 401);
+	}
+}
+
+/**
+ * Thrown when a request is not allowed, either by the token scope or because the endpoint is disabled.
+ */
+class PermissionError extends ConnectorError {
+	constructor(message, code = "SCOPE_DENIED") {
+		super(message, code, 403);
+	}
+}
+
+/**
+ * Thrown when a requested user, guild or other entity does not exist.
+ */
+class NotFoundError extends ConnectorError {
+	constructor(message, code = "NOT_FOUND") {
+		super(message, code, 404);
+	}
+}
+
+/**
+ * Thrown when a request conflicts with an earlier request, such as a reused idempotency key.
+ */
+class ConflictError extends ConnectorError {
+	constructor(message, code = "CONFLICT") {
+		super(message, code, 409);
+	}
+}
+
+/**
+ * Thrown when a user does not have enough currency for a request.
+ */
+class InsufficientFundsError extends ConnectorError {
+	constructor(message, code = "INSUFFICIENT_FUNDS") {
+		super(message, code, 422);
+	}
+}
+
+/**
+ * Thrown when a request exceeds a rate limit or quota.
+ */
+class RateLimitError extends ConnectorError {
+	/**
+	 * Create a new rate limit error.
+	 * @param {String} message Description of the exceeded limit.
+	 * @param {Number} retryAfter Seconds until the request may be retried.
+	 * @param {String} [code="RATE_LIMITED"] Machine-readable error code.
+	 */
+	constructor(message, retryAfter, code = "RATE_LIMITED") {
+		super(message, code, 429);
+		this.retryAfter = Math.max(1, Math.ceil(retryAfter));
+	}
+}
+
+module.exports = { ConnectorError, ValidationError, AuthenticationError, PermissionError, NotFoundError, ConflictError, InsufficientFundsError, RateLimitError };
\ No newline at end of file
@@ -1,6 +1,61 @@
 const { accessSync, readFileSync, writeFileSync, constants } = require("fs");
-const jsonbs = require("json-bigint")({ storeAsString: true });
+const JSONbig = require("json-bigint");
 const { resolve, parse } = require("path");
+const YAML = require("yaml");
+
+/**
+ * Convert integers parsed as bigints to numbers, or to strings if they are too large for numbers.
+ * @param {String} key Key of the value.
+ * @param {*} value Parsed value.
+ * @returns {*} The converted value.
+ */
+const reviveInteger = (key, value) => {
+	if (typeof value !== "bigint") return value;
+	return Number.isSafeInteger(Number(value)) ? Number(value) : value.toString();
+};
+
+/**
+ * Convert numbers parsed with arbitrary precision to numbers, or to strings if they are integers too large for numbers.
+ * @param {String} key Key of the value.
+ * @param {*} value Parsed value.
+ * @returns {*} The converted value.
+ */
+const reviveBigNumber = (key, value) => {
+	if (!value || !value._isBigNumber) return value;
+	return value.isInteger() && !Number.isSafeInteger(value.toNumber()) ? value.toFixed() : value.toNumber();
+};
+
+/**
+ * JSON parsers reading long numbers as bigints, or with arbitrary precision for long decimals that bigints cannot hold.
+ */
+const parsers = {
+	bigint: JSONbig({ useNativeBigInt: true }),
+	bigNumber: JSONbig()
+};
+
+/**
+ * Bigint-safe JSON parser and serializer, storing integers too large for numbers as strings.
+ */
+const jsonbs = {
+	parse: text => {
+		try {
+			return parsers.bigint.parse(text, reviveInteger);
+		}
+		catch (error) {
+			if (!(error instanceof SyntaxError)) throw error;
+			return parsers.bigNumber.parse(text, reviveBigNumber);
+		}
+	},
+	stringify: (...args) => parsers.bigint.stringify(...args)
+};
+
+/**
+ * Bigint-safe YAML parser and serializer, storing integers too large for numbers as strings like the JSON parser.
+ */
+const yamlbs = {
+	parse: text => YAML.parse(text, reviveInteger, { intAsBigInt: true }),
+	stringify: data => YAML.stringify(data)
+};
 
 /**
  * Represents a file.
@@ -20,6 +75,27 @@ module.exports = class File {
 		Object.assign(this, parse(this.path));
 	}
 
+	/**
+	 * Bigint-safe JSON parser used for .json files, storing integers too large for numbers as strings.
+	 */
+	static get json() {
+		return jsonbs;
+	}
+
+	/**
+	 * Bigint-safe YAML parser used for .yml and .yaml files, storing integers too large for numbers as strings.
+	 */
+	static get yaml() {
+		return yamlbs;
+	}
+
+	/**
+	 * Check if the file is a YAML file.
+	 */
+	get isYaml() {
+		return [".yml", ".yaml"].includes(this.ext.toLowerCase());
+	}
+
 	/**
 	 * Access a file in a given mode.
 	 * @param {Number} mode Mode to access the file with.
@@ -108,6 +184,8 @@ module.exports = class File {
 				return require(this.path);
 			if (this.ext.toLowerCase() === ".json")
 				return jsonbs.parse(this._read());
+			if (this.isYaml)
+				return yamlbs.parse(this._read());
 			return this._read();
 		}
 		catch (error) {
@@ -126,9 +204,12 @@ module.exports = class File {
 		if (!this.writable && !createFile)
 			throw new Error("File is not writable.");
 		try {
-			if (!writeAsText)
-				if ((typeof data === "object" || (data.prototype && typeof data.prototype === "object")) && this.ext.toLowerCase() === ".json")
+			if (!writeAsText && (typeof data === "object" || (data.prototype && typeof data.prototype === "object"))) {
+				if (this.ext.toLowerCase() === ".json")
 					return this._write(jsonbs.stringify(data, null, "\t"));
+				if (this.isYaml)
+					return this._write(yamlbs.stringify(data));
+			}
 			return this._write(data);
 		}
 		catch (error) {
@@ -0,0 +1,95 @@
+const express = require("express");
+const helmet = require("helmet");
+const isPortAvailable = require("is-port-available");
+
+const { validateConfig } = require("./config.js");
+const { NotFoundError } = require("./errors.js");
+const server = require("./server.js");
+
+/**
+ * Serves several bots from a single port, each under /bots/<name> with its own password, disabled endpoints and read-only flag.
+ */
+module.exports = class Host {
+	/**
+	 * Create a new host for several bots.
+	 * @param {Object} settings Host settings, as in the config file.
+	 * @param {Number} settings.port Port to listen on.
+	 * @param {[Object]} settings.bots Settings of each bot, as accepted by server, with a unique name instead of a port.
+	 * @param {(Boolean|String|Number)} [settings.trustProxy=false] Express trust proxy setting, shared by every bot.
+	 */
+	constructor(settings) {
+		validateConfig(settings);
+		if (settings.port === undefined)
+			throw new Error("A port must be specified to serve bots from a shared port.");
+		this.port = settings.port;
+		this.trustProxy = settings.trustProxy || false;
+		this.bots = settings.bots.map(bot => new server(bot, true));
+		this._initialized = false;
+	}
+
+	/**
+	 * Set up every bot and start listening.
+	 * @returns {Promise<Host>} The initialized host.
+	 */
+	async initialize() {
+		if (!(await isPortAvailable(this.port)))
+			throw new Error("Port unavailable.");
+
+		const ready = [];
+		try {
+			for (const bot of this.bots) ready.push(bot.setup());
+		}
+		catch (error) {
+			await Promise.all(ready.map(bot => bot.close()));
+			throw error;
+		}
+
+		this.app = express();
+		this.app.set("trust proxy", this.trustProxy);
+		this.app.use(helmet());
+		this.app.get(["/", "/bots"], (request, response) => response.json({ bots: this.bots.map(bot => bot.describe()) }));
+		for (const bot of this.bots) this.app.use(bot.path, bot.app);
+		this.app.use((request, response) => {
+			const error = new NotFoundError("Route not found.", "ROUTE_NOT_FOUND");
+			response.status(error.status).json({ error: error.name, code: error.code, message: error.message });
+		});
+
+		this.httpServer = this.app.listen(this.port);
+		this._initialized = true;
+		return this;
+	}
+
+	/**
+	 * Apply a reloaded config to the running bots without dropping the listener.
+	 * @param {Object} settings Host settings, as in the config file.
+	 * @returns {[String]} Changes that need a restart to apply.
+	 */
+	reload(settings) {
+		validateConfig(settings);
+		const restart = [];
+		if (settings.port !== this.port)
+			restart.push("port");
+		this.trustProxy = settings.trustProxy || false;
+		if (this.app) this.app.set("trust proxy", this.trustProxy);
+		const names = settings.bots.map(bot => bot.name);
+		for (const bot of this.bots) {
+			const index = names.indexOf(bot.name);
+			if (index === -1) restart.push(`bots.${bot.name} removed`);
+			else restart.push(...bot.reload(settings.bots[index]).map(setting => `bots.${bot.name}.${setting}`));
+		}
+		for (const name of names.filter(name => !this.bots.some(bot => bot.name === name)))
+			restart.push(`bots.${name} added`);
+		return restart;
+	}
+
+	/**
+	 * Stop listening and close every bot.
+	 */
+	async close() {
+		if (!this._initialized)
+			return;
+		await new Promise((resolve, reject) => this.httpServer.close(error => error ? reject(error) : resolve()));
+		await Promise.all(this.bots.map(bot => bot.close()));
+		this._initialized = false;
+	}
+};
\ No newline at end of file
@@ -0,0 +1,102 @@
+const buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the Prometheus text format.
+ * @param {String} value Value to escape.
+ * @returns {String} Escaped value.
+ */
+const escape = value => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+
+/**
+ * Format labels for the Prometheus text format.
+ * @param {Object} labels Labels to format.
+ * @returns {String} Formatted labels.
+ */
+const format = labels => `{${Object.entries(labels).map(([name, value]) => `${name}="${escape(value)}"`).join(",")}}`;
+
+/**
+ * Collects request and currency metrics for a bot and renders them in the Prometheus text format.
+ */
+module.exports = class Metrics {
+	/**
+	 * Create a new metrics collector.
+	 * @param {String} bot Name of the bot, added as a label to every metric.
+	 */
+	constructor(bot) {
+		this.bot = bot;
+		this.requests = new Map();
+		this.errors = new Map();
+		this.durations = new Map();
+		this.currency = { added: 0, removed: 0 };
+	}
+
+	/**
+	 * Count currency changes of users other than the bot itself, as the bot's balance mirrors them.
+	 * @param {Connector} connector Connector to listen to.
+	 */
+	listen(connector) {
+		connector.on("currency.changed", ({ userId, change }) => {
+			if (userId === connector.credentials.ClientId) return;
+			if (change > 0) this.currency.added += change;
+			else this.currency.removed -= change;
+		});
+	}
+
+	/**
+	 * Record a handled request.
+	 * @param {String} endpoint Endpoint that was called.
+	 * @param {Number} duration Time taken to handle the request in seconds.
+	 * @param {String} [error] Error code if the request failed.
+	 */
+	observeRequest(endpoint, duration, error) {
+		this.requests.set(endpoint, (this.requests.get(endpoint) || 0) + 1);
+		if (error) {
+			const key = JSON.stringify([endpoint, error]);
+			this.errors.set(key, (this.errors.get(key) || 0) + 1);
+		}
+		if (!this.durations.has(endpoint))
+			this.durations.set(endpoint, { buckets: buckets.map(() => 0), sum: 0, count: 0 });
+		const histogram = this.durations.get(endpoint);
+		buckets.forEach((bound, index) => {
+			if (duration <= bound) histogram.buckets[index]++;
+		});
+		histogram.sum += duration;
+		histogram.count++;
+	}
+
+	/**
+	 * Render every metric in the Prometheus text format.
+	 * @returns {String} The rendered metrics.
+	 */
+	render() {
+		const bot = this.bot;
+		const lines = [
+			"# HELP nadekoconnector_requests_total Requests handled, by endpoint.",
+			"# TYPE nadekoconnector_requests_total counter",
+			...[...this.requests].map(([endpoint, count]) => `nadekoconnector_requests_total${format({ bot, endpoint })} ${count}`),
+			"# HELP nadekoconnector_request_errors_total Requests that failed, by endpoint and error code.",
+			"# TYPE nadekoconnector_request_errors_total counter",
+			...[...this.errors].map(([key, count]) => {
+				const [endpoint, code] = JSON.parse(key);
+				return `nadekoconnector_request_errors_total${format({ bot, endpoint, code })} ${count}`;
+			}),
+			"# HELP nadekoconnector_request_duration_seconds Time taken to handle requests, by endpoint.",
+			"# TYPE nadekoconnector_request_duration_seconds histogram"
+		];
+		for (const [endpoint, histogram] of this.durations) {
+			buckets.forEach((bound, index) => lines.push(`nadekoconnector_request_duration_seconds_bucket${format({ bot, endpoint, le: bound })} ${histogram.buckets[index]}`));
+			lines.push(`nadekoconnector_request_duration_seconds_bucket${format({ bot, endpoint, le: "+Inf" })} ${histogram.count}`);
+			lines.push(`nadekoconnector_request_duration_seconds_sum${format({ bot, endpoint })} ${histogram.sum}`);
+			lines.push(`nadekoconnector_request_duration_seconds_count${format({ bot, endpoint })} ${histogram.count}`);
+		}
+		lines.push(
+			"# HELP nadekoconnector_currency_added_total Currency added to users other than the bot.",
+			"# TYPE nadekoconnector_currency_added_total counter",
+			`nadekoconnector_currency_added_total${format({ bot })} ${this.currency.added}`,
+			"# HELP nadekoconnector_currency_removed_total Currency removed from users other than the bot.",
+			"# TYPE nadekoconnector_currency_removed_total counter",
+			`nadekoconnector_currency_removed_total${format({ bot })} ${this.currency.removed}`
+		);
+		return `${lines.join("\n")}\n`;
+	}
+};
\ No newline at end of file
@@ -0,0 +1,178 @@
+const endpoints = require("./endpoints.js");
+const pkg = require("../package.json");
+
+const error = {
+	type: "object",
+	properties: {
+		error: { type: "string", description: "Name of the error." },
+		code: { type: "string", description: "Machine-readable error code, such as INSUFFICIENT_FUNDS." },
+		message: { type: "string", description: "Description of the error." }
+	},
+	required: ["error", "code", "message"]
+};
+
+/**
+ * Descriptions of the statuses errors are returned with.
+ */
+const errorStatuses = {
+	400: "Invalid parameters or token payload.",
+	401: "Missing, invalid or expired token.",
+	403: "Endpoint or parameters not allowed by the token's scope.",
+	404: "User, guild, route or other resource not found.",
+	408: "Query still reading rows after the SQL row deadline.",
+	409: "Idempotency key reused with different parameters, or a conflicting change.",
+	422: "Not enough currency for the change.",
+	429: "Rate limit or quota exceeded.",
+	500: "Unexpected error.",
+	501: "Endpoint not supported by the bot's database schema.",
+	503: "Connector not initialized, or too many event streams open."
+};
+
+/**
+ * Describe the error responses of an operation.
+ * @param {[Number]} [statuses] Statuses to describe, defaulting to all of them.
+ * @returns {Object} Error responses by status.
+ */
+const errorResponses = (statuses = Object.keys(errorStatuses)) => Object.fromEntries(statuses.map(status => [status, {
+	description: errorStatuses[status],
+	...(Number(status) === 429 ? { headers: { "Retry-After": { description: "Seconds to wait before retrying.", schema: { type: "integer" } } } } : {}),
+	content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+}]));
+
+/**
+ * Get the name of the schema describing the token payload of an endpoint.
+ * @param {String} endpoint Name of the endpoint.
+ * @returns {String} Name of the schema.
+ */
+const payloadName = endpoint => `${endpoint[0].toUpperCase()}${endpoint.slice(1)}Payload`;
+
+/**
+ * Convert the schema of an endpoint into a JSON schema of its token payload.
+ * @param {String} endpoint Name of the endpoint.
+ * @returns {Object} JSON schema of the token payload.
+ */
+const payloadSchema = endpoint => {
+	const { params, write } = endpoints[endpoint];
+	const properties = {}, required = [];
+	for (const [name, param] of Object.entries(params)) {
+		properties[name] = { type: param.type, description: param.description };
+		if (param.type === "array") properties[name].items = param.items || { type: "object" };
+		for (const keyword of ["default", "minimum", "maximum", "minLength", "maxLength", "pattern", "minItems", "maxItems"])
+			if (param[keyword] !== undefined) properties[name][keyword] = param[keyword];
+		if (param.default === undefined && param.required !== false) required.push(name);
+	}
+	if (write) {
+		properties.jti = { type: "string", description: "Unique idempotency key. Repeated calls with the same key return the original result." };
+		required.push("jti");
+	}
+	properties.scope = { $ref: "#/components/schemas/Scope" };
+	return { type: "object", properties, ...(required.length ? { required } : {}) };
+};
+
+/**
+ * Describe the operations of an endpoint.
+ * @param {String} endpoint Name of the endpoint.
+ * @returns {Object} GET and POST operations of the endpoint.
+ */
+const operations = endpoint => {
+	const { description, write, result } = endpoints[endpoint];
+	const operation = {
+		summary: description,
+		description: `Takes a JSON Web Token signed with the bot's password, whose payload matches the ${payloadName(endpoint)} schema.`,
+		tags: [write ? "write" : "read"],
+		responses: {
+			200: { description: "Result of the endpoint.", content: { "application/json": { schema: result } } },
+			...errorResponses(Object.keys(errorStatuses).filter(status => status !== "408" || endpoint === "execSql"))
+		}
+	};
+	return {
+		get: {
+			...operation,
+			operationId: `${endpoint}ByPath`,
+			parameters: [{ name: "token", in: "path", required: true, schema: { type: "string" }, description: "The signed token." }]
+		},
+		post: {
+			...operation,
+			operationId: endpoint,
+			security: [{ bearer: [] }],
+			requestBody: {
+				required: false,
+				description: "The signed token, if it is not sent in the Authorization header.",
+				content: {
+					"application/json": { schema: { type: "object", properties: { token: { type: "string" } }, required: ["token"] } },
+					"text/plain": { schema: { type: "string" } }
+				}
+			}
+		}
+	};
+};
+
+/**
+ * Generate an OpenAPI 3 document describing the given endpoints.
+ * @param {[String]} enabledEndpoints Endpoints to describe.
+ * @param {Object} [options={}] Other routes to describe.
+ * @param {Boolean} [options.health=false] Whether the health check is enabled.
+ * @param {Boolean} [options.metrics=false] Whether metrics are enabled.
+ * @param {String} [options.basePath=""] Path the routes are served under, for bots sharing a port.
+ * @returns {Object} The OpenAPI document.
+ */
+module.exports = (enabledEndpoints, { health = false, metrics = false, basePath = "" } = {}) => {
+	const paths = {};
+	for (const endpoint of enabledEndpoints) {
+		const { get, post } = operations(endpoint);
+		paths[`/${endpoint.toLowerCase()}`] = { post };
+		paths[`/${endpoint.toLowerCase()}/{token}`] = { get };
+	}
+	paths["/stream/{token}"] = {
+		get: {
+			summary: "Stream change events as Server-Sent Events.",
+			operationId: "stream",
+			tags: ["events"],
+			parameters: [{ name: "token", in: "path", required: true, schema: { type: "string" }, description: "The signed token." }],
+			responses: { 200: { description: "Stream of change events.", content: { "text/event-stream": {} } }, ...errorResponses([400, 401, 403, 500, 503]) }
+		}
+	};
+	if (health)
+		paths["/health"] = {
+			get: {
+				summary: "Check whether the connector is initialized and the database can be opened.",
+				operationId: "health",
+				tags: ["monitoring"],
+				responses: { 200: { description: "Healthy." }, 503: { description: "Unhealthy." } }
+			}
+		};
+	if (metrics)
+		paths["/metrics"] = {
+			get: {
+				summary: "Get metrics in the Prometheus text format.",
+				operationId: "metrics",
+				tags: ["monitoring"],
+				responses: { 200: { description: "Metrics.", content: { "text/plain": {} } } }
+			}
+		};
+
+	return {
+		openapi: "3.0.3",
+		info: { title: "NadekoConnector", version: pkg.version, description: pkg.description },
+		...(basePath ? { servers: [{ url: basePath }] } : {}),
+		paths,
+		components: {
+			securitySchemes: { bearer: { type: "http", scheme: "bearer", bearerFormat: "JWT" } },
+			schemas: {
+				Error: error,
+				Scope: {
+					type: "object",
+					description: "Optional restrictions on what the token can do.",
+					properties: {
+						endpoints: { type: "array", items: { type: "string" } },
+						guilds: { type: "array", items: { type: "string" } },
+						users: { type: "array", items: { type: "string" } },
+						maxCurrency: { type: "number", minimum: 0 },
+						readOnly: { type: "boolean" }
+					}
+				},
+				...Object.fromEntries(enabledEndpoints.map(endpoint => [payloadName(endpoint), payloadSchema(endpoint)]))
+			}
+		}
+	};
+};
\ No newline at end of file
@@ -0,0 +1,150 @@
+const { RateLimitError } = require("./errors.js");
+
+/**
+ * Validate a token bucket configuration.
+ * @param {Object} bucket Bucket configuration.
+ * @param {String} name Name of the bucket for error messages.
+ */
+const checkBucket = (bucket, name) => {
+	if (!bucket || typeof bucket.capacity !== "number" || bucket.capacity <= 0 || typeof bucket.refillRate !== "number" || bucket.refillRate <= 0)
+		throw new Error(`Invalid rate limit specified for ${name}. Expected capacity and refillRate to be positive numbers.`);
+};
+
+/**
+ * Enforces token bucket request limits per endpoint and rolling currency and XP quotas.
+ * Requests are limited both by token subject and by IP address.
+ */
+module.exports = class RateLimiter {
+	/**
+	 * Create a new rate limiter.
+	 * @param {Object} [settings={}] Rate limit settings.
+	 * @param {Object} [settings.requests] Default token bucket, with capacity, refillRate (per second) and per-endpoint overrides in endpoints.
+	 * @param {Object} [settings.quotas] Rolling quotas for currency and xp, each with a limit and a window in seconds.
+	 */
+	constructor(settings = {}) {
+		if (!settings || typeof settings !== "object")
+			throw new Error("Invalid rate limit settings specified.");
+		const { requests, quotas = {} } = settings;
+		if (requests) {
+			if (requests.capacity !== undefined || requests.refillRate !== undefined)
+				checkBucket(requests, "requests");
+			for (const [endpoint, bucket] of Object.entries(requests.endpoints || {}))
+				checkBucket(bucket, endpoint);
+		}
+		for (const [type, quota] of Object.entries(quotas)) {
+			if (!["currency", "xp"].includes(type))
+				throw new Error(`Invalid quota type ${type}. Expected currency or xp.`);
+			if (!quota || typeof quota.limit !== "number" || quota.limit < 0 || typeof quota.window !== "number" || quota.window <= 0)
+				throw new Error(`Invalid quota specified for ${type}. Expected limit and window to be positive numbers.`);
+		}
+		this.requests = requests || {};
+		this.quotas = quotas;
+		this._buckets = new Map();
+		this._usage = new Map();
+		this._sweeper = setInterval(() => this.sweep(), 60000);
+		this._sweeper.unref();
+	}
+
+	/**
+	 * Get the token bucket configuration for an endpoint.
+	 * @param {String} endpoint Name of the endpoint.
+	 * @returns {Object} Bucket configuration, or undefined if the endpoint is not limited.
+	 */
+	getBucket(endpoint) {
+		const endpoints = this.requests.endpoints || {};
+		if (endpoints[endpoint]) return endpoints[endpoint];
+		if (this.requests.capacity) return this.requests;
+	}
+
+	/**
+	 * Take a token from the buckets of every given key for an endpoint.
+	 * No tokens are taken unless every key has one available.
+	 * @param {String} endpoint Name of the endpoint.
+	 * @param {[String]} keys Keys identifying the caller, such as its subject and IP address.
+	 */
+	consume(endpoint, keys) {
+		const config = this.getBucket(endpoint);
+		if (!config) return;
+		const now = Date.now();
+		const buckets = keys.filter(Boolean).map(key => {
+			const id = `${key}:${endpoint}`;
+			const bucket = this._buckets.get(id) || { tokens: config.capacity, updated: now };
+			bucket.tokens = Math.min(config.capacity, bucket.tokens + (now - bucket.updated) / 1000 * config.refillRate);
+			bucket.updated = now;
+			this._buckets.set(id, bucket);
+			return bucket;
+		});
+		const empty = buckets.filter(bucket => bucket.tokens < 1);
+		if (empty.length)
+			throw new RateLimitError(`Rate limit exceeded for ${endpoint}.`, Math.max(...empty.map(bucket => (1 - bucket.tokens) / config.refillRate)));
+		buckets.forEach(bucket => bucket.tokens--);
+	}
+
+	/**
+	 * Check whether a subject may use the given amounts of its quotas.
+	 * @param {String} subject Subject of the token, or the caller's IP address.
+	 * @param {Object} usage Amounts of currency and xp the request would use.
+	 */
+	checkQuota(subject, usage) {
+		const now = Date.now();
+		for (const [type, quota] of Object.entries(this.quotas)) {
+			if (!usage[type]) continue;
+			const entries = this.getUsage(subject, type, quota, now);
+			let used = entries.reduce((total, entry) => total + entry.amount, 0);
+			if (used + usage[type] <= quota.limit) continue;
+			let retryAfter = quota.window;
+			for (const entry of entries) {
+				used -= entry.amount;
+				if (used + usage[type] <= quota.limit) {
+					retryAfter = (entry.time + quota.window * 1000 - now) / 1000;
+					break;
+				}
+			}
+			throw new RateLimitError(`Quota exceeded. At most ${quota.limit} ${type} may be changed every ${quota.window} seconds.`, retryAfter, "QUOTA_EXCEEDED");
+		}
+	}
+
+	/**
+	 * Record amounts of quotas used by a subject.
+	 * @param {String} subject Subject of the token, or the caller's IP address.
+	 * @param {Object} usage Amounts of currency and xp the request used.
+	 */
+	recordQuota(subject, usage) {
+		const now = Date.now();
+		for (const [type, quota] of Object.entries(this.quotas))
+			if (usage[type])
+				this.getUsage(subject, type, quota, now).push({ time: now, amount: usage[type] });
+	}
+
+	/**
+	 * Get the quota usage of a subject within the current window.
+	 * @param {String} subject Subject of the token, or the caller's IP address.
+	 * @param {String} type Type of quota.
+	 * @param {Object} quota Quota configuration.
+	 * @param {Number} now Current time in milliseconds.
+	 * @returns {[Object]} Usage entries, oldest first.
+	 */
+	getUsage(subject, type, quota, now) {
+		const id = `${subject}:${type}`;
+		const entries = (this._usage.get(id) || []).filter(entry => entry.time + quota.window * 1000 > now);
+		this._usage.set(id, entries);
+		return entries;
+	}
+
+	/**
+	 * Forget full buckets and expired quota usage.
+	 */
+	sweep() {
+		const now = Date.now();
+		for (const [id, bucket] of this._buckets) {
+			const config = this.getBucket(id.slice(id.lastIndexOf(":") + 1));
+			if (!config || bucket.tokens + (now - bucket.updated) / 1000 * config.refillRate >= config.capacity)
+				this._buckets.delete(id);
+		}
+		for (const [id] of this._usage) {
+			const type = id.slice(id.lastIndexOf(":") + 1);
+			if (!this.getUsage(id.slice(0, id.lastIndexOf(":")), type, this.quotas[type], now).length)
+				this._usage.delete(id);
+		}
+	}
+};
\ No newline at end of file
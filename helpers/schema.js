@@ -0,0 +1,70 @@
+/**
+ * Adapters for the parts of the NadekoBot schema that differ between versions.
+ * - Version 2 keeps the bot config in the BotConfig table.
+ * - Version 3 moved the bot config into YAML files and dropped the BotConfig table.
+ * - Version 4 dropped club discriminators, replaced the reason of currency transactions with a type and a note, and renamed custom reactions to expressions.
+ * Tables are named as in version 2 throughout the connector, and renamed tables are mapped to their name in each version.
+ */
+const adapters = {
+	2: {
+		/**
+		 * Get the SQL expression of a club's name.
+		 * @param {String} [prefix=""] Alias of the Clubs table, followed by a dot.
+		 * @returns {String} SQL expression of the name.
+		 */
+		clubName: (prefix = "") => `(${prefix}Name || '#' || ${prefix}Discrim)`,
+		clubNameFormat: "name#discrim",
+		transactionReason: "Reason",
+		insertTransaction: "insert into CurrencyTransactions (UserId, Amount, Reason, DateAdded) values ($userId, $currency, $reason, $dateAdded)",
+		tables: {}
+	}
+};
+adapters[3] = { ...adapters[2] };
+adapters[4] = {
+	...adapters[3],
+	clubName: (prefix = "") => `${prefix}Name`,
+	clubNameFormat: "name",
+	transactionReason: "Note",
+	insertTransaction: "insert into CurrencyTransactions (UserId, Amount, Type, Extra, OtherId, Note, DateAdded) values ($userId, $currency, 'connector', '', null, $reason, $dateAdded)",
+	tables: { CustomReactions: "Expressions" }
+};
+
+/**
+ * First Entity Framework migration of each schema version after version 2, newest first.
+ * Migration IDs start with the time they were created, so later migrations sort after earlier ones.
+ */
+const migrationVersions = [
+	["20220623090718_stondel-db-cache", 4],
+	["20210621042359_squash", 3]
+];
+
+/**
+ * Detect the version of the NadekoBot schema of a database.
+ * The version is chosen by the last migration in its migration history, or by probing its tables and columns if it has no migration history.
+ * @param {Database} db The NadekoBot database.
+ * @returns {Object} Detected version, or null if the database is not a NadekoBot database, along with its tables, their columns and the last applied migration.
+ */
+const detectSchema = db => {
+	const tables = db.prepare("select name from sqlite_master where type='table'").all().map(table => table.name);
+	const columns = Object.fromEntries(tables.map(table => [table, db.prepare("select name from pragma_table_info($table)").all({ table }).map(column => column.name)]));
+	const hasColumn = (table, column) => Boolean(columns[table] && columns[table].includes(column));
+	const migrations = tables.includes("__EFMigrationsHistory")
+		? db.prepare("select MigrationId as 'id' from __EFMigrationsHistory order by MigrationId").all().map(migration => migration.id)
+		: [];
+	const migration = migrations.length ? migrations[migrations.length - 1] : null;
+
+	const isNadeko = hasColumn("DiscordUser", "CurrencyAmount");
+	let version = null;
+	if (isNadeko && migration !== null) {
+		const first = migrationVersions.find(([id]) => migration >= id);
+		version = first ? first[1] : 2;
+	}
+	else if (isNadeko)
+		version = hasColumn("BotConfig", "CurrencySign") ? 2
+			: hasColumn("CurrencyTransactions", "Note") || (tables.includes("Clubs") && !hasColumn("Clubs", "Discrim")) ? 4
+				: 3;
+
+	return { version, tables, columns, migration };
+};
+
+module.exports = { adapters, detectSchema };
\ No newline at end of file
@@ -2,41 +2,69 @@ const express = require("express");
 const helmet = require("helmet");
 const morgan = require("morgan");
 
+const { join } = require("path");
 const isPortAvailable = require("is-port-available");
 const jwt = require("jsonwebtoken");
+const Database = require("better-sqlite3");
 
 const Connector = require("./connector.js");
+const endpoints = require("./endpoints.js");
+const { validateBot, getRestartSettings } = require("./config.js");
+const { ConnectorError, ValidationError, AuthenticationError, PermissionError, NotFoundError } = require("./errors.js");
 const File = require("./file.js");
+const Metrics = require("./metrics.js");
+const openapi = require("./openapi.js");
+const RateLimiter = require("./ratelimiter.js");
+const Webhooks = require("./webhooks.js");
+
+/**
+ * Longest delay setTimeout accepts in milliseconds. Longer delays fire immediately.
+ */
+const maxTimeout = 2 ** 31 - 1;
+
+/**
+ * Write endpoints whose currency changes are not measured, so tokens limited by maxCurrency may not call them.
+ */
+const unmeteredEndpoints = ["execSql", "createTransaction"];
 
 class server {
-	constructor(settings) {
-		if (!(settings instanceof Object))
-			throw new Error("Invalid settings specified.");
-
-		const requiredSettingsModel = {
-			port: "number",
-			password: "string",
-			databasePath: "string",
-			credentialsPath: "string"
-		};
-
-		for (const [property, type] of Object.entries(requiredSettingsModel)) {
-			if (typeof settings[property] !== type)
-				throw new Error(`Invalid type specified for ${property}. Expected:${type} Found: ${typeof settings[property]}`);
+	constructor(settings, mounted = false) {
+		validateBot(settings, mounted);
+		this.settings = settings;
+		this.mounted = mounted;
+		for (const property of ["port", "password", "databasePath", "credentialsPath"])
 			this[property] = settings[property];
-		}
-
-		if (!(settings.disabledEndpoints instanceof Array))
-			settings.disabledEndpoints = [];
-		this.disabledEndpoints = settings.disabledEndpoints;
+		this.disabledEndpoints = settings.disabledEndpoints || [];
 		this.readOnly = Boolean(settings.readOnly);
+		this.name = settings.name || String(this.port);
+		this.path = mounted ? `/bots/${this.name}` : "";
+		this.health = settings.health !== false;
+		this.metricsEnabled = settings.metrics !== false;
+		this.logRequests = settings.logRequests !== false;
+		this.webhookTargets = settings.webhooks || [];
+		this.rateLimiter = new RateLimiter(settings.rateLimits);
+		this.trustProxy = settings.trustProxy || false;
+		this.dataPath = settings.dataPath || join(__dirname, "..", "data", `${mounted ? this.name : this.port}.db`);
+		this.configPath = settings.configPath;
+		this.sql = settings.sql;
+		this.browsableTables = settings.browsableTables;
+		this.maxStreams = settings.maxStreams || 100;
+		this.streams = 0;
 		this._initialized = false;
 	}
 
 	async initialize() {
+		if (this.mounted)
+			throw new Error("Bots served from a shared port are initialized by their host.");
 		if (!(await isPortAvailable(this.port)))
 			throw new Error("Port unavailable.");
 
+		this.setup();
+		this.httpServer = this.app.listen(this.port);
+		return this;
+	}
+
+	setup() {
 		const credentials = new File(this.credentialsPath);
 		if (!credentials.exists) throw new Error("Credentials does not exist.");
 		if (!credentials.readable) throw new Error("Credentials is not readable.");
@@ -46,236 +74,315 @@ class server {
 		if (!database.readable) throw new Error("Database is not readable.");
 		if (!database.writable) this.readOnly = true;
 
-		this.connector = new Connector(this.databasePath, this.credentialsPath, this.disabledEndpoints, this.readOnly);
+		this.connector = new Connector(this.databasePath, this.credentialsPath, this.disabledEndpoints, this.readOnly, this.dataPath, this.configPath, this.sql, this.browsableTables);
 		this.connector.initialize();
 
+		this.webhooks = new Webhooks(this.connector.store, this.webhookTargets, this.password);
+		this.webhooks.listen(this.connector);
+		this.webhooks.start();
+
+		this.metrics = new Metrics(this.name);
+		this.metrics.listen(this.connector);
+
 		this.app = express();
+		if (!this.mounted) this.app.set("trust proxy", this.trustProxy);
 		this.app.use(helmet());
-		this.app.use(morgan("dev"));
+		if (this.logRequests) this.app.use(morgan("dev"));
 
-		this.connector.endpoints.forEach(endpoint => this.registerEndpoint(endpoint));
+		this.connector.allEndpoints.forEach(endpoint => this.registerEndpoint(endpoint));
+		this.registerStream();
+		this.registerOpenApi();
+		if (this.health) this.registerHealth();
+		if (this.metricsEnabled) this.registerMetrics();
+		this.app.use((request, response) => response.json(this.getErrorResponse(response, new NotFoundError("Route not found.", "ROUTE_NOT_FOUND"))));
 
-		this.app.listen(this.port);
 		this._initialized = true;
 		return this;
 	}
 
+	async close() {
+		if (!this._initialized)
+			return;
+		this.webhooks.stop();
+		if (this.httpServer)
+			await new Promise((resolve, reject) => this.httpServer.close(error => error ? reject(error) : resolve()));
+		this.connector.close();
+		this._initialized = false;
+	}
+
+	reload(settings) {
+		validateBot(settings, this.mounted);
+		const restart = getRestartSettings(this.settings, settings);
+		this.settings = { ...settings, ...Object.fromEntries(restart.map(setting => [setting, this.settings[setting]])) };
+		this.password = settings.password;
+		this.disabledEndpoints = settings.disabledEndpoints || [];
+		this.readOnly = Boolean(settings.readOnly) || !new File(this.databasePath).writable;
+		this.sql = settings.sql;
+		this.browsableTables = settings.browsableTables;
+		this.maxStreams = settings.maxStreams || 100;
+		if (this._initialized) {
+			this.webhooks.secret = this.password;
+			this.connector.configure(this.disabledEndpoints, this.readOnly, this.sql, this.browsableTables);
+		}
+		return restart;
+	}
+
+	describe() {
+		return { name: this.name, path: this.path, readOnly: this.readOnly, endpoints: this.connector.endpoints };
+	}
+
 	registerEndpoint(endpoint) {
 		if (!this.connector)
 			throw new Error("Server not initialized.");
 		if (typeof endpoint !== "string")
 			throw new Error("Invalid endpoint specified.");
-		this.app.get(`/${endpoint.toLowerCase()}/:token`, (request, response) => {
-			let result = {};
+		const route = `/${endpoint.toLowerCase()}`;
+		this.app.get(`${route}/:token`, (request, response) => this.respond(endpoint, request, response));
+		this.app.post(route, express.text({ type: () => true }), (request, response) => this.respond(endpoint, request, response));
+	}
+
+	registerStream() {
+		if (!this.connector)
+			throw new Error("Server not initialized.");
+		this.connector.setMaxListeners(0);
+		this.app.get(["/stream", "/stream/:token"], (request, response) => {
+			let query;
 			try {
-				const query = this.parseToken(request.params.token);
-				const properties = this.checkProperties(query, endpoint);
-				result = this.handleEndpoint(endpoint, query, properties);
+				query = this.parseToken(this.getToken(request));
+				const scope = this.validateScope(query.scope);
+				if (scope && scope.endpoints && !scope.endpoints.map(allowed => allowed.toLowerCase()).includes("stream"))
+					throw new PermissionError("Token is not allowed to access this endpoint.");
+				if (this.streams >= this.maxStreams)
+					throw new ConnectorError("Too many streams are open. Try again later.", "TOO_MANY_STREAMS", 503);
 			}
 			catch (error) {
-				result = { error: error.name, message: error.message };
+				return response.json(this.getErrorResponse(response, error));
+			}
+
+			response.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", "Connection": "keep-alive" });
+			response.flushHeaders();
+			this.streams++;
+			const scope = query.scope || {};
+			const listeners = Connector.events.map(event => [event, data => {
+				if (scope.guilds && !scope.guilds.includes(data.guildId)) return;
+				if (scope.users && !scope.users.includes(data.userId)) return;
+				response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+			}]);
+			listeners.forEach(([event, listener]) => this.connector.on(event, listener));
+			const heartbeat = setInterval(() => response.write(": heartbeat\n\n"), 30000);
+			let expiry = null;
+			const expire = () => {
+				const remaining = query.exp * 1000 - Date.now();
+				if (remaining <= 0) return response.end();
+				expiry = setTimeout(expire, Math.min(remaining, maxTimeout));
+			};
+			if (typeof query.exp === "number") expire();
+			request.on("close", () => {
+				clearInterval(heartbeat);
+				clearTimeout(expiry);
+				this.streams--;
+				listeners.forEach(([event, listener]) => this.connector.off(event, listener));
+			});
+		});
+	}
+
+	registerOpenApi() {
+		this.app.get("/openapi.json", (request, response) => response.json(openapi(this.connector.endpoints, { health: this.health, metrics: this.metricsEnabled, basePath: this.path })));
+	}
+
+	registerHealth() {
+		this.app.get("/health", (request, response) => {
+			const checks = { initialized: Boolean(this.connector && this.connector.initialized), database: true };
+			try {
+				const database = new Database(this.databasePath, { readonly: true, fileMustExist: true });
+				database.prepare("select count(*) from sqlite_master").get();
+				database.close();
 			}
-			finally {
-				response.json(result);
+			catch (error) {
+				checks.database = false;
 			}
+			const healthy = Object.values(checks).every(Boolean);
+			const schemaVersion = this.connector && this.connector.schema ? this.connector.schema.version : null;
+			response.status(healthy ? 200 : 503).json({ bot: this.name, status: healthy ? "ok" : "unavailable", schemaVersion, ...checks });
+		});
+	}
+
+	registerMetrics() {
+		this.app.get("/metrics", (request, response) => {
+			response.type("text/plain; version=0.0.4").send(this.metrics.render());
 		});
 	}
 
+	respond(endpoint, request, response) {
+		const start = process.hrtime.bigint();
+		let result = {};
+		try {
+			const query = this.parseToken(this.getToken(request));
+			this.connector.checkEndpoint(endpoint);
+			const params = this.checkProperties(query, endpoint);
+			this.checkScope(query.scope, endpoint, params);
+			this.checkReplay(query, endpoint);
+			this.rateLimiter.consume(endpoint, [typeof query.sub === "string" && `sub:${query.sub}`, `ip:${request.ip}`]);
+			const subject = typeof query.sub === "string" ? `sub:${query.sub}` : `ip:${request.ip}`;
+			const { result: endpointResult, usage } = this.connector.metered((call, total) => {
+				this.checkCurrencyScope(query.scope, call);
+				this.rateLimiter.checkQuota(subject, total);
+			}, () => this.handleEndpoint(endpoint, query, params));
+			this.rateLimiter.recordQuota(subject, usage);
+			result = endpointResult;
+		}
+		catch (error) {
+			result = this.getErrorResponse(response, error);
+		}
+		finally {
+			this.metrics.observeRequest(endpoint, Number(process.hrtime.bigint() - start) / 1e9, result && result.error ? result.code : null);
+			response.json(result);
+		}
+	}
+
+	getErrorResponse(response, error) {
+		if (!(error instanceof ConnectorError))
+			error = new ConnectorError(error.message);
+		response.status(error.status);
+		if (error.retryAfter)
+			response.set("Retry-After", String(error.retryAfter));
+		return { error: error.name, code: error.code, message: error.message };
+	}
+
+	getToken(request) {
+		if (request.params.token)
+			return request.params.token;
+		const authorization = request.get("Authorization");
+		if (authorization) {
+			const [scheme, token] = authorization.trim().split(/\s+/);
+			if (scheme.toLowerCase() !== "bearer" || !token)
+				throw new AuthenticationError("Authorization header must use the Bearer scheme.");
+			return token;
+		}
+		const body = typeof request.body === "string" ? request.body.trim() : "";
+		if (request.is("json")) {
+			let token;
+			try {
+				({ token } = File.json.parse(body || "{}"));
+			}
+			catch (error) {
+				throw new ValidationError("Request body must be valid JSON.", "INVALID_BODY");
+			}
+			if (typeof token !== "string")
+				throw new AuthenticationError("Request body must contain a token.", "TOKEN_MISSING");
+			return token;
+		}
+		if (!body)
+			throw new AuthenticationError("No token specified.", "TOKEN_MISSING");
+		return body;
+	}
+
 	parseToken(token) {
-		const query = jwt.verify(token, this.password);
+		let verified;
+		try {
+			verified = jwt.verify(token, this.password);
+		}
+		catch (error) {
+			if (error instanceof jwt.TokenExpiredError)
+				throw new AuthenticationError("Token has expired.", "TOKEN_EXPIRED");
+			if (error instanceof jwt.NotBeforeError)
+				throw new AuthenticationError("Token is not active yet.", "TOKEN_NOT_ACTIVE");
+			throw new AuthenticationError(`Invalid token. ${error.message}`);
+		}
+		if (!verified || typeof verified !== "object")
+			throw new AuthenticationError("Invalid token.");
+		const query = File.json.parse(Buffer.from(token.split(".")[1], "base64").toString());
 		if (!query || typeof query !== "object")
-			throw new Error("Invalid token.");
+			throw new AuthenticationError("Invalid token.");
 		return query;
 	}
 
 	checkProperties(query, endpoint) {
-		const keys = Object.keys(query).sort();
-		const requiredProperties = this.getRequiredProperties(endpoint);
-		for (const property of Object.keys(requiredProperties)) {
-			if (!(keys.includes(property) && typeof query[property] === requiredProperties[property].type))
-				throw new Error(`Invalid properties specified. \n${requiredProperties[property].error}`);
-		}
-		return Object.keys(requiredProperties);
+		return this.connector.checkParams(endpoint, query);
+	}
+
+	validateScope(scope) {
+		if (scope === undefined)
+			return;
+		if (!scope || typeof scope !== "object" || scope instanceof Array)
+			throw new ValidationError("Invalid token scope.", "INVALID_SCOPE");
+		const isList = list => list instanceof Array && list.every(item => typeof item === "string");
+		for (const property of ["endpoints", "guilds", "users"])
+			if (scope[property] !== undefined && !isList(scope[property]))
+				throw new ValidationError(`Invalid token scope. ${property} must be an array of strings.`, "INVALID_SCOPE");
+		if (scope.maxCurrency !== undefined && (typeof scope.maxCurrency !== "number" || scope.maxCurrency < 0))
+			throw new ValidationError("Invalid token scope. maxCurrency must be a non-negative number.", "INVALID_SCOPE");
+		if (scope.readOnly !== undefined && typeof scope.readOnly !== "boolean")
+			throw new ValidationError("Invalid token scope. readOnly must be a boolean.", "INVALID_SCOPE");
+		return scope;
 	}
 
-	getRequiredProperties(endpoint) {
-		switch (endpoint) {
-			case "getBotInfo":
-			case "getTables":
-				return {};
-			case "getFields":
-				return {
-					table: {
-						type: "string",
-						error: "table must be a name of a table present in the database. Use getTables() to get a list of tables."
-					}
-				};
-			case "execSql":
-				return {
-					command: {
-						type: "string",
-						error: "command must be a valid SQL command string that can be executed on the database."
-					}
-				};
-			case "getClubInfo":
-				return {
-					name: {
-						type: "string",
-						error: "name must be the name of the club in name#discrim format as a string."
-					}
-				};
-			case "getClubMembers":
-				return {
-					name: {
-						type: "string",
-						error: "name must be the name of the club in name#discrim format as a string."
-					},
-					startPosition: {
-						type: "number",
-						error: "startPosition must be a positive non-zero integer value."
-					},
-					items: {
-						type: "number",
-						error: "items must be a positive non-zero integer value."
-					}
-				};
-			case "getCurrency":
-			case "getGlobalRank":
-			case "getGlobalXp":
-			case "getClubInfoByUser":
-				return {
-					userId: {
-						type: "string",
-						error: "userId must be specified as a string to avoid precision loss."
-					}
-				};
-			case "setCurrency":
-				return {
-					userId: {
-						type: "string",
-						error: "userId must be specified as a string to avoid precision loss."
-					},
-					currency: {
-						type: "number",
-						error: "currency must be a negative or positive integer value."
-					}
-				};
-			case "createTransaction":
-			case "addCurrency":
-			case "subtractCurrency":
-				return {
-					userId: {
-						type: "string",
-						error: "userId must be specified as a string to avoid precision loss."
-					},
-					currency: {
-						type: "number",
-						error: "currency must be a negative or positive integer value."
-					},
-					reason: {
-						type: "string",
-						error: "reason for the transaction must be a non empty string."
-					}
-				};
-			case "getGuildXp":
-			case "getGuildRank":
-				return {
-					userId: {
-						type: "string",
-						error: "userId must be specified as a string to avoid precision loss."
-					},
-					guildId: {
-						type: "string",
-						error: "guildId must be specified as a string to avoid precision loss."
-					}
-				};
-			case "setGuildXp":
-				return {
-					userId: {
-						type: "string",
-						error: "userId must be specified as a string to avoid precision loss."
-					},
-					guildId: {
-						type: "string",
-						error: "guildId must be specified as a string to avoid precision loss."
-					},
-					xp: {
-						type: "number",
-						error: "xp must be a positive or negative integer value."
-					},
-					awardedXp: {
-						type: "number",
-						error: "awardedXp must be a positive or negative integer value."
-					}
-				};
-			case "addGuildXp":
-			case "subtractGuildXp":
-			case "awardGuildXp":
-				return {
-					userId: {
-						type: "string",
-						error: "userId must be specified as a string to avoid precision loss."
-					},
-					guildId: {
-						type: "string",
-						error: "guildId must be specified as a string to avoid precision loss."
-					},
-					xp: {
-						type: "number",
-						error: "xp must be a positive or negative integer value."
-					}
-				};
-			case "getGuildXpLeaderboard":
-			case "getGuildXpRoleRewards":
-			case "getGuildXpCurrencyRewards":
-				return {
-					guildId: {
-						type: "string",
-						error: "guildId must be specified as a string to avoid precision loss."
-					},
-					startPosition: {
-						type: "number",
-						error: "startPosition must be a positive non-zero integer value."
-					},
-					items: {
-						type: "number",
-						error: "items must be a positive non-zero integer value."
-					}
-				};
-			case "getTransactions":
-				return {
-					userId: {
-						type: "string",
-						error: "userId must be specified as a string to avoid precision loss."
-					},
-					startPosition: {
-						type: "number",
-						error: "startPosition must be a positive non-zero integer value."
-					},
-					items: {
-						type: "number",
-						error: "items must be a positive non-zero integer value."
-					}
-				};
-			case "getGlobalXpLeaderboard":
-			case "getClubLeaderboard":
-				return {
-					startPosition: {
-						type: "number",
-						error: "startPosition must be a positive non-zero integer value."
-					},
-					items: {
-						type: "number",
-						error: "items must be a positive non-zero integer value."
-					}
-				};
-			default:
-				throw new Error("Invalid endpoint specified.");
+	checkScope(scope, endpoint, params) {
+		if (!this.validateScope(scope))
+			return;
+		if (scope.readOnly && endpoints[endpoint].write)
+			throw new PermissionError("Token is restricted to read-only endpoints.");
+		if (scope.endpoints && !scope.endpoints.map(allowed => allowed.toLowerCase()).includes(endpoint.toLowerCase()))
+			throw new PermissionError("Token is not allowed to access this endpoint.");
+		if (scope.maxCurrency !== undefined && unmeteredEndpoints.includes(endpoint))
+			throw new PermissionError("Tokens with a maxCurrency are not allowed to access endpoints whose currency changes are not measured.");
+
+		const properties = Object.keys(endpoints[endpoint].params);
+		if (scope.guilds && endpoint !== "batch") {
+			if (!properties.includes("guildId"))
+				throw new PermissionError("Token is restricted to guild endpoints.");
+			if (!scope.guilds.includes(params.guildId))
+				throw new PermissionError("Token is not allowed to access this guild.");
 		}
+		if (scope.users && endpoint !== "batch") {
+			const userProperties = properties.filter(property => ["userId", "fromUserId", "toUserId"].includes(property));
+			if (!userProperties.length)
+				throw new PermissionError("Token is restricted to user endpoints.");
+			if (!userProperties.every(property => scope.users.includes(params[property])))
+				throw new PermissionError("Token is not allowed to access this user.");
+		}
+	}
+
+	checkCurrencyScope(scope, usage) {
+		if (scope && scope.maxCurrency !== undefined && usage.currency > scope.maxCurrency)
+			throw new PermissionError(`Token is not allowed to change more than ${scope.maxCurrency} currency per call.`);
+	}
+
+	checkReplay(query, endpoint) {
+		if (!endpoints[endpoint].write)
+			return;
+		if (typeof query.jti !== "string" || !query.jti)
+			throw new ValidationError("Write endpoints require a unique jti claim to prevent replays.", "JTI_REQUIRED");
+	}
+
+	getBatchCalls(calls, scope) {
+		if (!(calls instanceof Array) || !calls.length)
+			throw new ValidationError("calls must be a non-empty array of { endpoint, params } objects.");
+		return calls.map((call, index) => {
+			try {
+				if (!call || typeof call !== "object" || typeof call.endpoint !== "string")
+					throw new ValidationError("Each call must specify an endpoint.");
+				const endpoint = this.connector.endpoints.find(name => name.toLowerCase() === call.endpoint.toLowerCase());
+				if (!endpoint || endpoint === "batch")
+					throw new NotFoundError("Invalid endpoint specified.", "ENDPOINT_NOT_FOUND");
+				const params = this.checkProperties(call.params && typeof call.params === "object" ? call.params : {}, endpoint);
+				this.checkScope(scope, endpoint, params);
+				return { endpoint, params };
+			}
+			catch (error) {
+				error.message = `Call ${index}: ${error.message}`;
+				throw error;
+			}
+		});
 	}
 
-	handleEndpoint(endpoint, query, properties) {
-		return this.connector[endpoint](...properties.map(property => query[property]));
+	handleEndpoint(endpoint, query, params) {
+		if (endpoint === "batch")
+			params = { calls: this.getBatchCalls(params.calls, query.scope) };
+		if (!endpoints[endpoint].write)
+			return this.connector.call(endpoint, params);
+		const claims = Object.fromEntries(["iss", "sub", "aud", "jti", "iat", "nbf", "exp", "scope"].filter(claim => claim in query).map(claim => [claim, query[claim]]));
+		return this.connector.callOnce(query.jti, endpoint, params, query.exp, () => this.connector.audit(endpoint, params, claims, () => this.connector.call(endpoint, params)));
 	}
 }
 
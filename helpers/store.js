@@ -0,0 +1,213 @@
+const { mkdirSync } = require("fs");
+const { dirname, resolve } = require("path");
+const Database = require("better-sqlite3");
+
+/**
+ * Local SQLite database holding state owned by NadekoConnector itself.
+ * Kept separate from the NadekoBot database so the bot's schema is never modified.
+ */
+module.exports = class Store {
+	/**
+	 * Open or create a store at the given path.
+	 * @param {String} path Path to the store database (.db)
+	 */
+	constructor(path) {
+		if (typeof path !== "string" || !path) throw new Error("Invalid store path specified.");
+		this.path = resolve(path);
+		mkdirSync(dirname(this.path), { recursive: true });
+		this.db = new Database(this.path);
+		this.db.pragma("journal_mode=WAL");
+		this.db.exec(`create table if not exists IdempotencyKeys (
+			Key text primary key,
+			Endpoint text not null,
+			Params text not null,
+			Result text,
+			ExpiresAt integer,
+			DateAdded text not null
+		)`);
+		this.db.exec(`create table if not exists AuditLog (
+			Id integer primary key autoincrement,
+			Endpoint text not null,
+			Claims text not null,
+			Params text not null,
+			Users text not null,
+			Guilds text not null,
+			Before text,
+			After text,
+			Outcome text not null,
+			Error text,
+			DateAdded text not null
+		)`);
+		this.db.exec(`create table if not exists WebhookQueue (
+			Id integer primary key autoincrement,
+			Url text not null,
+			Event text not null,
+			Payload text not null,
+			Attempts integer not null default 0,
+			NextAttemptAt integer not null,
+			Failed integer not null default 0,
+			LastError text,
+			DateAdded text not null
+		)`);
+	}
+
+	/**
+	 * Get a stored idempotency key.
+	 * @param {String} key The idempotency key.
+	 * @returns {Object} The stored key, or undefined if it has not been used.
+	 */
+	getIdempotencyKey(key) {
+		return this.db.prepare("select Key as 'key', Endpoint as 'endpoint', Params as 'params', Result as 'result' from IdempotencyKeys where Key = $key").get({ key });
+	}
+
+	/**
+	 * Claim an idempotency key before the request it belongs to is executed.
+	 * @param {String} key The idempotency key.
+	 * @param {String} endpoint Endpoint the key is used for.
+	 * @param {String} params Serialized parameters of the request.
+	 * @param {Number} [expiresAt] Unix timestamp after which the key can be forgotten.
+	 */
+	claimIdempotencyKey(key, endpoint, params, expiresAt) {
+		const dateAdded = new Date().toISOString();
+		this.db.prepare("insert into IdempotencyKeys (Key, Endpoint, Params, ExpiresAt, DateAdded) values ($key, $endpoint, $params, $expiresAt, $dateAdded)")
+			.run({ key, endpoint, params, expiresAt: typeof expiresAt === "number" ? expiresAt : null, dateAdded });
+	}
+
+	/**
+	 * Store the result of the request an idempotency key was claimed for.
+	 * @param {String} key The idempotency key.
+	 * @param {*} result Result of the request.
+	 */
+	completeIdempotencyKey(key, result) {
+		this.db.prepare("update IdempotencyKeys set Result = $result where Key = $key").run({ key, result: JSON.stringify(result) });
+	}
+
+	/**
+	 * Release a claimed idempotency key so the request can be retried.
+	 * @param {String} key The idempotency key.
+	 */
+	releaseIdempotencyKey(key) {
+		this.db.prepare("delete from IdempotencyKeys where Key = $key and Result is null").run({ key });
+	}
+
+	/**
+	 * Remove idempotency keys whose tokens have expired, as those tokens can no longer be replayed.
+	 */
+	pruneIdempotencyKeys() {
+		this.db.prepare("delete from IdempotencyKeys where ExpiresAt is not null and ExpiresAt < $now").run({ now: Math.floor(Date.now() / 1000) });
+	}
+
+	/**
+	 * Add an entry to the audit log.
+	 * @param {Object} entry The audit log entry.
+	 * @param {String} entry.endpoint Endpoint that was called.
+	 * @param {Object} entry.claims Token claims identifying the caller.
+	 * @param {Object} entry.params Parameters the endpoint was called with.
+	 * @param {[String]} entry.users IDs of the Discord users the call affects.
+	 * @param {[String]} entry.guilds IDs of the Discord guilds the call affects.
+	 * @param {Object} entry.before State of the affected users before the call.
+	 * @param {Object} entry.after State of the affected users after the call.
+	 * @param {String} entry.outcome Either success or error.
+	 * @param {String} [entry.error] Error message if the call failed.
+	 */
+	addAuditEntry({ endpoint, claims, params, users, guilds, before, after, outcome, error }) {
+		this.db.prepare("insert into AuditLog (Endpoint, Claims, Params, Users, Guilds, Before, After, Outcome, Error, DateAdded) values ($endpoint, $claims, $params, $users, $guilds, $before, $after, $outcome, $error, $dateAdded)").run({
+			endpoint, outcome,
+			claims: JSON.stringify(claims),
+			params: JSON.stringify(params),
+			users: JSON.stringify(users),
+			guilds: JSON.stringify(guilds),
+			before: JSON.stringify(before),
+			after: JSON.stringify(after),
+			error: error || null,
+			dateAdded: new Date().toISOString()
+		});
+	}
+
+	/**
+	 * Get entries from the audit log, newest first.
+	 * @param {Object} filter Filters to apply.
+	 * @param {String} [filter.userId] Only include calls affecting this user.
+	 * @param {String} [filter.guildId] Only include calls affecting this guild.
+	 * @param {String} [filter.endpoint] Only include calls to this endpoint.
+	 * @param {String} [filter.from] Only include calls made at or after this ISO date.
+	 * @param {String} [filter.to] Only include calls made at or before this ISO date.
+	 * @param {Number} startPosition Start position/offset of the page.
+	 * @param {Number} items Items per page.
+	 * @returns {[Object]} Audit log entries.
+	 */
+	getAuditEntries({ userId = null, guildId = null, endpoint = null, from = null, to = null }, startPosition, items) {
+		return this.db.prepare(`select Id as 'id', Endpoint as 'endpoint', Claims as 'claims', Params as 'params', Before as 'before', After as 'after', Outcome as 'outcome', Error as 'error', DateAdded as 'dateAdded' from AuditLog
+			where ($userId is null or exists (select 1 from json_each(Users) where value = $userId))
+			and ($guildId is null or exists (select 1 from json_each(Guilds) where value = $guildId))
+			and ($endpoint is null or lower(Endpoint) = lower($endpoint))
+			and ($from is null or DateAdded >= $from)
+			and ($to is null or DateAdded <= $to)
+			order by Id desc limit $items offset $startPosition`)
+			.all({ userId, guildId, endpoint, from, to, startPosition, items })
+			.map(entry => ({
+				...entry,
+				claims: JSON.parse(entry.claims),
+				params: JSON.parse(entry.params),
+				before: JSON.parse(entry.before),
+				after: JSON.parse(entry.after)
+			}));
+	}
+
+	/**
+	 * Queue a webhook delivery.
+	 * @param {String} url URL to deliver the event to.
+	 * @param {String} event Name of the event.
+	 * @param {String} payload Serialized payload of the event.
+	 * @returns {Number} ID of the queued delivery.
+	 */
+	queueWebhook(url, event, payload) {
+		const { lastInsertRowid } = this.db.prepare("insert into WebhookQueue (Url, Event, Payload, NextAttemptAt, DateAdded) values ($url, $event, $payload, $now, $dateAdded)")
+			.run({ url, event, payload, now: Date.now(), dateAdded: new Date().toISOString() });
+		return lastInsertRowid;
+	}
+
+	/**
+	 * Get webhook deliveries that are due to be attempted.
+	 * @param {Number} limit Maximum number of deliveries to get.
+	 * @returns {[Object]} Due deliveries, oldest first.
+	 */
+	getDueWebhooks(limit) {
+		return this.db.prepare("select Id as 'id', Url as 'url', Event as 'event', Payload as 'payload', Attempts as 'attempts' from WebhookQueue where Failed = 0 and NextAttemptAt <= $now order by Id asc limit $limit")
+			.all({ now: Date.now(), limit });
+	}
+
+	/**
+	 * Get the time of the next pending webhook delivery attempt.
+	 * @returns {Number} Timestamp of the next attempt, or null if nothing is pending.
+	 */
+	getNextWebhookAttempt() {
+		return this.db.prepare("select min(NextAttemptAt) as 'next' from WebhookQueue where Failed = 0").get().next;
+	}
+
+	/**
+	 * Remove a delivered webhook from the queue.
+	 * @param {Number} id ID of the delivery.
+	 */
+	completeWebhook(id) {
+		this.db.prepare("delete from WebhookQueue where Id = $id").run({ id });
+	}
+
+	/**
+	 * Record a failed webhook delivery attempt.
+	 * @param {Number} id ID of the delivery.
+	 * @param {String} error Reason the attempt failed.
+	 * @param {Number} [nextAttemptAt] Time of the next attempt. The delivery is marked as failed if not specified.
+	 */
+	retryWebhook(id, error, nextAttemptAt) {
+		this.db.prepare("update WebhookQueue set Attempts = Attempts + 1, LastError = $error, NextAttemptAt = coalesce($nextAttemptAt, NextAttemptAt), Failed = $failed where Id = $id")
+			.run({ id, error, nextAttemptAt: nextAttemptAt || null, failed: nextAttemptAt ? 0 : 1 });
+	}
+
+	/**
+	 * Close the store.
+	 */
+	close() {
+		this.db.close();
+	}
+};
\ No newline at end of file
@@ -0,0 +1,252 @@
+const { writeFileSync } = require("fs");
+const { join } = require("path");
+
+const endpoints = require("./endpoints.js");
+const errors = require("./errors.js");
+
+/**
+ * TypeScript types of the parameter types of the endpoint schemas.
+ */
+const paramTypes = {
+	string: "string",
+	integer: "number",
+	number: "number",
+	boolean: "boolean",
+	object: "Record<string, unknown>",
+	array: "unknown[]"
+};
+
+/**
+ * Declarations of the error classes whose constructors differ from those of the other subclasses.
+ */
+const errorDeclarations = {
+	ConnectorError: [
+		"class ConnectorError extends Error {",
+		"\tconstructor(message: string, code?: string, status?: number);",
+		"\tcode: string;",
+		"\tstatus: number;",
+		"}"
+	],
+	RateLimitError: [
+		"class RateLimitError extends ConnectorError {",
+		"\tconstructor(message: string, retryAfter: number, code?: string);",
+		"\tretryAfter: number;",
+		"}"
+	]
+};
+
+/**
+ * Indent lines of a declaration.
+ * @param {[String]} lines Lines to indent.
+ * @param {Number} [depth=1] Number of tabs to indent with.
+ * @returns {[String]} The indented lines.
+ */
+const indent = (lines, depth = 1) => lines.map(line => line ? "\t".repeat(depth) + line : line);
+
+/**
+ * Format a description as a doc comment.
+ * @param {String} description The description.
+ * @returns {[String]} Lines of the doc comment.
+ */
+const docComment = description => [`/** ${description} */`];
+
+/**
+ * Collects the named types of result schemas while converting them into TypeScript types.
+ */
+class Declarations {
+	constructor() {
+		this.named = new Map();
+	}
+
+	/**
+	 * Convert a result schema into a TypeScript type, declaring the named types it contains.
+	 * @param {Object} schema The result schema.
+	 * @returns {String} The TypeScript type.
+	 */
+	type(schema) {
+		const type = this.baseType(schema);
+		return schema.nullable ? `${type} | null` : type;
+	}
+
+	/**
+	 * Convert a result schema into a TypeScript type, ignoring whether it is nullable.
+	 * @param {Object} schema The result schema.
+	 * @returns {String} The TypeScript type.
+	 */
+	baseType(schema) {
+		if (schema.oneOf)
+			return schema.oneOf.map(option => this.type(option)).join(" | ");
+		if (schema.enum)
+			return schema.enum.map(value => JSON.stringify(value)).join(" | ");
+		if (schema.type === "array") {
+			const items = this.type(schema.items);
+			return /[ |]/.test(items) && !/^\{.*\}$/.test(items) ? `Array<${items}>` : `${items}[]`;
+		}
+		if (schema.type === "object" && schema.properties) {
+			if (schema.title) return this.declare(schema);
+			return `{ ${Object.entries(schema.properties).map(([name, property]) => `${name}: ${this.type(property)}`).join("; ")} }`;
+		}
+		if (schema.type === "object") return "Record<string, unknown>";
+		return paramTypes[schema.type] || "unknown";
+	}
+
+	/**
+	 * Declare a named type once, checking that every schema with its title is the same.
+	 * @param {Object} schema The result schema, which has a title.
+	 * @returns {String} Name of the type, qualified by the Client namespace it is declared in.
+	 */
+	declare(schema) {
+		const { title } = schema, declared = this.named.get(title);
+		if (declared) {
+			if (JSON.stringify(declared.schema) !== JSON.stringify(schema))
+				throw new Error(`Result schemas titled ${title} differ.`);
+			return `Client.${title}`;
+		}
+		const entry = { schema, lines: [] };
+		this.named.set(title, entry);
+		entry.lines = [
+			`interface ${title} {`,
+			...indent(Object.entries(schema.properties).map(([name, property]) => `${name}: ${this.type(property)};`)),
+			"}"
+		];
+		return `Client.${title}`;
+	}
+
+	/**
+	 * Get the declarations of all named types, sorted by name.
+	 * @returns {[String]} Lines of the declarations.
+	 */
+	lines() {
+		return [...this.named.keys()].sort().reduce((lines, title) => [...lines, ...this.named.get(title).lines, ""], []);
+	}
+}
+
+/**
+ * Get the TypeScript type of an endpoint parameter.
+ * String parameters whose pattern only matches a list of words take those words.
+ * @param {Object} param Schema of the parameter.
+ * @param {Declarations} declarations Named types collected so far.
+ * @returns {String} The TypeScript type.
+ */
+const paramType = (param, declarations) => {
+	if (param.items) return declarations.type({ type: "array", items: param.items });
+	const words = /^\^\(([\w|]+)\)\$$/.exec(param.pattern || "");
+	if (param.type === "string" && words) return declarations.type({ type: "string", enum: words[1].split("|") });
+	return paramTypes[param.type];
+};
+
+/**
+ * Check whether an endpoint parameter may be left out.
+ * @param {Object} param Schema of the parameter.
+ * @returns {Boolean} Whether the parameter is optional.
+ */
+const isOptional = param => param.default !== undefined || param.required === false;
+
+/**
+ * Generate the declarations of the methods and parameters of an endpoint.
+ * Parameters followed by required ones take undefined instead of being optional, since the client skips undefined arguments.
+ * @param {String} endpoint Name of the endpoint.
+ * @param {Declarations} declarations Named types collected so far.
+ * @returns {Object} Lines of the method declaration and of the entry in the Endpoints interface.
+ */
+const endpointDeclarations = (endpoint, declarations) => {
+	const { description, params, result } = endpoints[endpoint];
+	const resultType = declarations.type(result);
+	const entries = Object.entries(params);
+	const args = entries.map(([name, param], index) => {
+		const type = paramType(param, declarations);
+		if (!isOptional(param)) return `${name}: ${type}`;
+		return entries.slice(index).every(([, later]) => isOptional(later)) ? `${name}?: ${type}` : `${name}: ${type} | undefined`;
+	});
+	const fields = entries.map(([name, param]) => `${name}${isOptional(param) ? "?" : ""}: ${paramType(param, declarations)}`);
+	return {
+		method: [...docComment(description), `${endpoint}(${args.join(", ")}): Promise<${resultType}>;`],
+		entry: [`${endpoint}: {`, ...indent([`params: ${fields.length ? `{ ${fields.join("; ")} }` : "{}"};`, `result: ${resultType};`]), "};"]
+	};
+};
+
+/**
+ * Generate TypeScript declarations of the client, with a typed method for every endpoint.
+ * @returns {String} Contents of the declaration file.
+ */
+const generateTypings = () => {
+	const declarations = new Declarations();
+	const methods = [], entries = [];
+	for (const endpoint of Object.keys(endpoints)) {
+		const { method, entry } = endpointDeclarations(endpoint, declarations);
+		methods.push(...method);
+		entries.push(...entry);
+	}
+	const errorClasses = Object.keys(errors).reduce((lines, name) => [
+		...lines,
+		...(errorDeclarations[name] || [`class ${name} extends ConnectorError {`, "\tconstructor(message: string, code?: string);", "}"])
+	], []);
+	return [
+		"// Generated from the endpoint schemas by helpers/typings.js. Run npm run typings after changing them.",
+		"",
+		"declare class Client {",
+		...indent([
+			"constructor(options: Client.Options);",
+			"url: string;",
+			"password: string;",
+			"expiresIn: number;",
+			"subject?: string;",
+			"scope?: Client.Scope;",
+			"timeout: number;",
+			"",
+			"static forBots(bots: Array<Client.Options & { name: string }>): Record<string, Client>;",
+			"static readonly endpoints: Client.Endpoint[];",
+			"",
+			"sign(endpoint: Client.Endpoint, params: Record<string, unknown>, jti?: string): string;",
+			"call<E extends Client.Endpoint>(endpoint: E, params?: Client.Endpoints[E][\"params\"], options?: { jti?: string }): Promise<Client.Endpoints[E][\"result\"]>;",
+			"request(path: string, token: string): Promise<unknown>;",
+			"getError(response: { statusCode?: number; headers: Record<string, string | string[] | undefined> }, body: unknown): Client.errors.ConnectorError;",
+			"",
+			...methods
+		]),
+		"}",
+		"",
+		"declare namespace Client {",
+		...indent([
+			"interface Options {",
+			...indent([
+				"url: string;",
+				"password: string;",
+				"expiresIn?: number;",
+				"subject?: string;",
+				"scope?: Scope;",
+				"timeout?: number;"
+			]),
+			"}",
+			"",
+			"interface Scope {",
+			...indent([
+				"endpoints?: Endpoint[];",
+				"guilds?: string[];",
+				"users?: string[];",
+				"maxCurrency?: number;",
+				"readOnly?: boolean;"
+			]),
+			"}",
+			"",
+			"type Endpoint = keyof Endpoints;",
+			"",
+			"interface Endpoints {",
+			...indent(entries),
+			"}",
+			"",
+			...declarations.lines(),
+			"namespace errors {",
+			...indent(errorClasses),
+			"}"
+		]),
+		"}",
+		"",
+		"export = Client;"
+	].join("\n");
+};
+
+if (require.main === module)
+	writeFileSync(join(__dirname, "client.d.ts"), generateTypings());
+
+module.exports = generateTypings;
\ No newline at end of file
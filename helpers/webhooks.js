@@ -0,0 +1,169 @@
+const { createHmac } = require("crypto");
+const http = require("http");
+const https = require("https");
+
+const Connector = require("./connector.js");
+
+/**
+ * Delivers connector change events to configured webhook targets.
+ * Deliveries are queued in the store so they survive restarts, and failed deliveries are retried with exponential backoff.
+ */
+module.exports = class Webhooks {
+	/**
+	 * Create a new webhook dispatcher.
+	 * @param {Store} store Store to queue deliveries in.
+	 * @param {[Object]} targets Webhook targets, each with a url and an optional array of events to deliver.
+	 * @param {String} secret Secret to sign payloads with.
+	 * @param {Object} [options={}] Delivery options.
+	 * @param {Number} [options.maxAttempts=10] Attempts before a delivery is marked as failed.
+	 * @param {Number} [options.retryDelay=1000] Delay before the first retry in milliseconds, doubled on every attempt.
+	 * @param {Number} [options.maxRetryDelay=3600000] Maximum delay between attempts in milliseconds.
+	 * @param {Number} [options.timeout=10000] Request timeout in milliseconds.
+	 */
+	constructor(store, targets, secret, options = {}) {
+		if (!(targets instanceof Array))
+			throw new Error("Webhook targets must be an array.");
+		for (const target of targets) {
+			if (!target || typeof target.url !== "string" || !/^https?:\/\//.test(target.url))
+				throw new Error("Each webhook target must have an http or https url.");
+			if (target.events !== undefined && !(target.events instanceof Array && target.events.every(event => Connector.events.includes(event))))
+				throw new Error(`Webhook events must be an array containing any of ${Connector.events.join(", ")}.`);
+		}
+		this.store = store;
+		this.targets = targets;
+		this.secret = secret;
+		this.maxAttempts = options.maxAttempts || 10;
+		this.retryDelay = options.retryDelay || 1000;
+		this.maxRetryDelay = options.maxRetryDelay || 3600000;
+		this.timeout = options.timeout || 10000;
+		this._timer = null;
+		this._processing = false;
+	}
+
+	/**
+	 * Queue deliveries for events emitted by a connector.
+	 * @param {Connector} connector Connector to listen to.
+	 */
+	listen(connector) {
+		for (const event of Connector.events)
+			connector.on(event, data => this.queue(event, data));
+	}
+
+	/**
+	 * Queue an event for every target subscribed to it.
+	 * @param {String} event Name of the event.
+	 * @param {Object} data Data describing the change.
+	 */
+	queue(event, data) {
+		const targets = this.targets.filter(target => !target.events || target.events.includes(event));
+		if (!targets.length) return;
+		const payload = JSON.stringify({ event, timestamp: new Date().toISOString(), data });
+		targets.forEach(target => this.store.queueWebhook(target.url, event, payload));
+		this.schedule(0);
+	}
+
+	/**
+	 * Start delivering queued events, including ones left over from a previous run.
+	 */
+	start() {
+		this._stopped = false;
+		this.schedule(0);
+	}
+
+	/**
+	 * Stop delivering queued events. Pending deliveries stay queued.
+	 */
+	stop() {
+		this._stopped = true;
+		clearTimeout(this._timer);
+		this._timer = null;
+	}
+
+	/**
+	 * Schedule the queue to be processed.
+	 * @param {Number} delay Delay in milliseconds.
+	 */
+	schedule(delay) {
+		if (this._stopped || this._processing) return;
+		clearTimeout(this._timer);
+		this._timer = setTimeout(() => this.process().catch(error => {
+			if (!this._stopped) console.error(`Webhook delivery failed. ${error.message}`);
+		}), Math.max(0, delay));
+		this._timer.unref();
+	}
+
+	/**
+	 * Attempt every due delivery, then schedule the next attempt.
+	 */
+	async process() {
+		this._timer = null;
+		this._processing = true;
+		try {
+			let deliveries;
+			while ((deliveries = this.store.getDueWebhooks(50)).length && !this._stopped)
+				await Promise.all(deliveries.map(delivery => this.deliver(delivery)));
+		}
+		finally {
+			this._processing = false;
+		}
+		if (this._stopped) return;
+		const next = this.store.getNextWebhookAttempt();
+		if (next !== null) this.schedule(next - Date.now());
+	}
+
+	/**
+	 * Attempt a single delivery and update its state in the queue.
+	 * Deliveries finishing after the dispatcher stopped are left queued, as the store may be closed by then.
+	 * @param {Object} delivery The queued delivery.
+	 */
+	async deliver(delivery) {
+		try {
+			await this.send(delivery);
+			if (this._stopped) return;
+			this.store.completeWebhook(delivery.id);
+		}
+		catch (error) {
+			if (this._stopped) return;
+			const attempts = delivery.attempts + 1;
+			const nextAttemptAt = attempts < this.maxAttempts ? Date.now() + Math.min(this.retryDelay * 2 ** (attempts - 1), this.maxRetryDelay) : null;
+			this.store.retryWebhook(delivery.id, error.message, nextAttemptAt);
+		}
+	}
+
+	/**
+	 * Sign a payload with the secret.
+	 * @param {String} payload The serialized payload.
+	 * @returns {String} Hex encoded HMAC-SHA256 signature.
+	 */
+	sign(payload) {
+		return createHmac("sha256", this.secret).update(payload).digest("hex");
+	}
+
+	/**
+	 * Send a delivery to its target.
+	 * @param {Object} delivery The queued delivery.
+	 * @returns {Promise} Resolves if the target responded with a 2xx status code.
+	 */
+	send({ id, url, event, payload }) {
+		return new Promise((resolve, reject) => {
+			const request = (url.startsWith("https:") ? https : http).request(url, {
+				method: "POST",
+				timeout: this.timeout,
+				headers: {
+					"Content-Type": "application/json",
+					"Content-Length": Buffer.byteLength(payload),
+					"X-NadekoConnector-Event": event,
+					"X-NadekoConnector-Delivery": String(id),
+					"X-NadekoConnector-Signature": `sha256=${this.sign(payload)}`
+				}
+			}, response => {
+				response.resume();
+				if (response.statusCode >= 200 && response.statusCode < 300) resolve();
+				else reject(new Error(`Webhook target responded with status ${response.statusCode}.`));
+			});
+			request.on("timeout", () => request.destroy(new Error("Webhook request timed out.")));
+			request.on("error", reject);
+			request.end(payload);
+		});
+	}
+};
\ No newline at end of file
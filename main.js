@@ -1,11 +1,72 @@
-const config = require("./config.json");
+const { watch } = require("fs");
+const { basename, dirname, join, resolve } = require("path");
+const { loadConfig } = require("./helpers/config.js");
+const Host = require("./helpers/host.js");
 const server = require("./helpers/server.js");
 const pkg = require("./package.json");
 
+const configPath = resolve(process.env.NADEKOCONNECTOR_CONFIG || join(__dirname, "config.json"));
+let host = null, servers = [];
+
 const startServers = async () => {
-	const servers = await Promise.all(config.bots.map(bot => new server(bot).initialize()));
+	const config = loadConfig(configPath);
 	console.log(`NadekoConnector ${pkg.version}\n${pkg.description}`);
-	console.log(`Listening on port${servers.map(s => s.port).length < 2 ? "" : "s"} ${servers.map(s => s.port).join(", ")}.`);
+	if (config.port !== undefined) {
+		host = await new Host(config).initialize();
+		servers = host.bots;
+		console.log(`Listening on port ${host.port} for bots ${servers.map(s => s.path).join(", ")}.`);
+	}
+	else {
+		servers = await Promise.all(config.bots.map(bot => new server(bot).initialize()));
+		console.log(`Listening on port${servers.map(s => s.port).length < 2 ? "" : "s"} ${servers.map(s => s.port).join(", ")}.`);
+	}
+	for (const bot of servers) {
+		const unsupported = Object.entries(bot.connector.unsupportedEndpoints);
+		if (unsupported.length)
+			console.log(`${bot.name}: NadekoBot schema version ${bot.connector.schema.version}, unsupported endpoints:\n${unsupported.map(([endpoint, reason]) => `  ${endpoint}: ${reason}`).join("\n")}`);
+	}
+};
+
+/**
+ * Apply the config file to the running bots, matching them by name or port.
+ * Disabled endpoints, read-only flags and passwords apply immediately, while other changes are logged as needing a restart.
+ */
+const reloadConfig = () => {
+	try {
+		const config = loadConfig(configPath);
+		let restart = [];
+		if (host)
+			restart = host.reload(config);
+		else {
+			if (config.port !== undefined) restart.push("port");
+			const keys = config.bots.map(bot => bot.name || String(bot.port));
+			for (const bot of servers) {
+				const index = keys.indexOf(bot.settings.name || String(bot.port));
+				if (index === -1) restart.push(`bots.${bot.name} removed`);
+				else restart.push(...bot.reload(config.bots[index]).map(setting => `bots.${bot.name}.${setting}`));
+			}
+			restart.push(...keys.filter(key => !servers.some(bot => (bot.settings.name || String(bot.port)) === key)).map(key => `bots.${key} added`));
+		}
+		console.log(`Reloaded config from ${configPath}.`);
+		if (restart.length)
+			console.log(`Restart to apply: ${restart.join(", ")}.`);
+	}
+	catch (error) {
+		console.error(`Config not reloaded. ${error.message}`);
+	}
+};
+
+const watchConfig = () => {
+	let timeout = null;
+	process.on("SIGHUP", reloadConfig);
+	watch(dirname(configPath), (eventType, fileName) => {
+		if (fileName !== basename(configPath)) return;
+		clearTimeout(timeout);
+		timeout = setTimeout(reloadConfig, 200);
+	});
 };
 
-startServers();
\ No newline at end of file
+startServers().then(watchConfig).catch(error => {
+	console.error(error.message);
+	process.exitCode = 1;
+});
\ No newline at end of file
@@ -0,0 +1,106 @@
+const assert = require("assert");
+const { spawnSync } = require("child_process");
+const { writeFileSync } = require("fs");
+const { join } = require("path");
+const jwt = require("jsonwebtoken");
+
+const Store = require("../helpers/store.js");
+const { createFixture, ids } = require("./fixture.js");
+
+describe("cli", function () {
+	this.timeout(20000);
+	const password = "test password";
+	let fixture, configPath;
+
+	/**
+	 * Run the command line tool with the fixture's config.
+	 * @param {[String]} args Command line arguments.
+	 * @returns {Object} Exit status and output of the tool.
+	 */
+	const cli = (...args) => {
+		const { status, stdout, stderr } = spawnSync(process.execPath, [join(__dirname, "../cli.js"), ...args, "--config", configPath], { encoding: "utf8", timeout: 20000 });
+		return { status, stdout: stdout.trim(), stderr: stderr.trim() };
+	};
+
+	const writeConfig = bots => writeFileSync(configPath, JSON.stringify({
+		bots: bots.map(bot => ({ password, databasePath: fixture.databasePath, credentialsPath: fixture.credentialsPath, dataPath: fixture.dataPath, ...bot }))
+	}));
+
+	beforeEach(() => {
+		fixture = createFixture();
+		configPath = join(fixture.directory, "config.json");
+		writeConfig([{ port: 3000, disabledEndpoints: ["execSql"] }]);
+	});
+
+	afterEach(() => fixture.remove());
+
+	it("prints its usage", () => {
+		const { status, stdout } = cli("--help");
+		assert.strictEqual(status, 0);
+		assert.ok(stdout.startsWith("Usage: nadeko-connector <command> [options]"));
+		assert.ok(stdout.includes("call <endpoint> [args...] [--params json] [--sub subject]"));
+	});
+
+	it("rejects unknown commands", () => {
+		const { status, stderr } = cli("nothing");
+		assert.strictEqual(status, 1);
+		assert.ok(stderr.startsWith("Unknown command nothing."));
+	});
+
+	it("issues scoped tokens signed with the bot's password", () => {
+		const { status, stdout } = cli("token", "--endpoints", "getCurrency, addCurrency", "--users", ids.alice, "--max-currency", "100", "--read-only", "--sub", "ops", "--expires", "60");
+		assert.strictEqual(status, 0);
+		const payload = jwt.verify(stdout, password);
+		assert.deepStrictEqual(payload.scope, { endpoints: ["getCurrency", "addCurrency"], users: [ids.alice], maxCurrency: 100, readOnly: true });
+		assert.deepStrictEqual([payload.sub, payload.exp - payload.iat], ["ops", 60]);
+	});
+
+	it("rejects invalid scopes", () => {
+		const { status, stderr } = cli("token", "--max-currency", "-1");
+		assert.strictEqual(status, 1);
+		assert.ok(stderr.includes("maxCurrency"), stderr);
+	});
+
+	it("verifies tokens", () => {
+		const valid = cli("verify", jwt.sign({ userId: ids.alice }, password));
+		assert.strictEqual(valid.status, 0);
+		assert.deepStrictEqual(JSON.parse(valid.stdout).payload.userId, ids.alice);
+		const invalid = cli("verify", jwt.sign({ userId: ids.alice }, "wrong"));
+		assert.strictEqual(invalid.status, 1);
+		assert.deepStrictEqual(JSON.parse(invalid.stdout).valid, false);
+	});
+
+	it("lists enabled and disabled endpoints", () => {
+		const { status, stdout } = cli("endpoints");
+		assert.strictEqual(status, 0);
+		assert.ok(stdout.includes("Enabled:\n  getBotInfo\n"));
+		assert.ok(stdout.includes("Disabled:\n  execSql\n"));
+		assert.ok(stdout.includes("Unsupported by NadekoBot schema version 2:\n  none"));
+	});
+
+	it("calls endpoints directly with positional or named arguments and audits writes", () => {
+		const added = cli("call", "addCurrency", ids.alice, "100", "event prize");
+		assert.strictEqual(added.status, 0, added.stderr);
+		assert.deepStrictEqual(JSON.parse(added.stdout), { userId: ids.alice, currency: 600 });
+		const fetched = cli("call", "getcurrency", "--params", JSON.stringify({ userId: ids.alice }));
+		assert.deepStrictEqual(JSON.parse(fetched.stdout), { userId: ids.alice, currency: 600 });
+		const store = new Store(fixture.dataPath);
+		const [entry] = store.getAuditEntries({}, 0, 10);
+		store.close();
+		assert.deepStrictEqual([entry.endpoint, entry.claims, entry.params.reason], ["addCurrency", { sub: "cli" }, "event prize"]);
+	});
+
+	it("reports errors with their codes", () => {
+		const { status, stderr } = cli("call", "subtractCurrency", ids.carol, "1", "Fine");
+		assert.strictEqual(status, 1);
+		assert.strictEqual(stderr, "INSUFFICIENT_FUNDS: User does not have the specified currency.");
+		assert.ok(cli("call", "nothing").stderr.startsWith("Unknown endpoint nothing."));
+	});
+
+	it("requires choosing a bot when the config has several", () => {
+		writeConfig([{ port: 3000 }, { port: 3001, dataPath: join(fixture.directory, "data", "other.db") }]);
+		assert.ok(cli("endpoints").stderr.startsWith("Config contains several bots. Specify one with --bot: 3000, 3001."));
+		assert.strictEqual(cli("endpoints", "--bot", "3001").status, 0);
+		assert.ok(cli("endpoints", "--bot", "3002").stderr.startsWith("Bot 3002 not found in config."));
+	});
+});
\ No newline at end of file
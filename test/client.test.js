@@ -0,0 +1,67 @@
+const assert = require("assert");
+const http = require("http");
+const jwt = require("jsonwebtoken");
+
+const Client = require("../helpers/client.js");
+const errors = require("../helpers/errors.js");
+
+describe("Client", () => {
+	const password = "test password";
+	const client = new Client({ url: "http://127.0.0.1:1/", password, subject: "tests", scope: { users: ["200000000000000001"] }, expiresIn: 30 });
+
+	it("rejects invalid options", () => {
+		assert.throws(() => new Client({ url: "127.0.0.1", password }), /Invalid url/);
+		assert.throws(() => new Client({ url: "http://127.0.0.1" }), /Invalid password/);
+		assert.throws(() => new Client({ url: "http://127.0.0.1", password, expiresIn: 0 }), /Invalid expiresIn/);
+		assert.throws(() => Client.forBots([{ name: "a", url: "http://127.0.0.1", password }, { name: "a", url: "http://127.0.0.1", password }]), /Duplicate bot name a/);
+	});
+
+	it("has a method for every endpoint and exposes the error classes", () => {
+		for (const endpoint of Client.endpoints)
+			assert.strictEqual(typeof client[endpoint], "function", `${endpoint} is missing`);
+		assert.strictEqual(Client.errors, errors);
+	});
+
+	it("signs short-lived tokens with its subject and scope", () => {
+		const payload = jwt.verify(client.sign("getCurrency", { userId: "200000000000000001" }), password);
+		assert.deepStrictEqual([payload.userId, payload.sub, payload.scope, payload.exp - payload.iat], ["200000000000000001", "tests", { users: ["200000000000000001"] }, 30]);
+		assert.ok(!("jti" in payload));
+	});
+
+	it("signs write tokens with a random or given jti", () => {
+		const first = jwt.verify(client.sign("addCurrency", {}), password).jti;
+		const second = jwt.verify(client.sign("addCurrency", {}), password).jti;
+		assert.match(first, /^[0-9a-f]{32}$/);
+		assert.notStrictEqual(first, second);
+		assert.strictEqual(jwt.verify(client.sign("addCurrency", {}, "retry"), password).jti, "retry");
+	});
+
+	it("rejects unknown endpoints without a request", async () => {
+		await assert.rejects(client.call("nothing"), error => error instanceof errors.NotFoundError && error.code === "ENDPOINT_NOT_FOUND");
+	});
+
+	it("converts error responses into typed errors", () => {
+		const response = (statusCode, headers = {}) => ({ statusCode, headers });
+		const rateLimited = client.getError(response(429, { "retry-after": "7" }), { error: "RateLimitError", code: "QUOTA_EXCEEDED", message: "Quota exceeded." });
+		assert.deepStrictEqual([rateLimited instanceof errors.RateLimitError, rateLimited.retryAfter, rateLimited.code], [true, 7, "QUOTA_EXCEEDED"]);
+		const notFound = client.getError(response(404), { error: "NotFoundError", code: "USER_NOT_FOUND", message: "User not found." });
+		assert.deepStrictEqual([notFound instanceof errors.NotFoundError, notFound.status, notFound.message], [true, 404, "User not found."]);
+		const unknown = client.getError(response(502), "Bad gateway");
+		assert.deepStrictEqual([unknown.constructor, unknown.status, unknown.message], [errors.ConnectorError, 502, "Server responded with status 502."]);
+	});
+
+	it("rejects responses that are not JSON and requests that time out", async () => {
+		const server = http.createServer((request, response) => {
+			if (request.url === "/getcurrency") response.end("<html>");
+		});
+		await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+		const local = new Client({ url: `http://127.0.0.1:${server.address().port}`, password, timeout: 100 });
+		try {
+			await assert.rejects(local.getCurrency("200000000000000001"), error => error.code === "INVALID_RESPONSE" && error.status === 200);
+			await assert.rejects(local.getBotInfo(), error => error.code === "TIMEOUT" && error.status === 504);
+		}
+		finally {
+			await new Promise(resolve => server.close(resolve));
+		}
+	});
+});
\ No newline at end of file
@@ -0,0 +1,94 @@
+const assert = require("assert");
+const { mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+
+const { applyEnvironment, loadConfig, validateBot, validateConfig } = require("../helpers/config.js");
+
+describe("config", () => {
+	const bot = { port: 3000, password: "password", databasePath: "/nadeko/NadekoBot.db", credentialsPath: "/nadeko/creds.yml" };
+	let directory;
+
+	beforeEach(() => {
+		directory = mkdtempSync(join(tmpdir(), "nadekoconnector-config-"));
+	});
+
+	afterEach(() => rmSync(directory, { recursive: true, force: true }));
+
+	describe("validation", () => {
+		it("accepts valid configs", () => {
+			assert.doesNotThrow(() => validateConfig({ bots: [bot, { ...bot, port: 3001, readOnly: true, disabledEndpoints: ["getbotinfo"] }] }));
+			assert.doesNotThrow(() => validateConfig({ port: 3000, bots: [{ ...bot, port: undefined, name: "nadeko" }] }));
+		});
+
+		it("reports every problem with its setting", () => {
+			assert.throws(() => validateConfig({ bots: [{ ...bot, port: "3000", password: undefined, readonly: true, disabledEndpoints: ["getCurrency", "nothing"] }] }), error => {
+				assert.deepStrictEqual(error.problems, [
+					"bots[0].readonly is not a known setting.",
+					"bots[0].port must be of type integer, found string.",
+					"bots[0].password is required.",
+					"bots[0].disabledEndpoints[1] is not an endpoint: nothing."
+				]);
+				assert.ok(error.message.startsWith("Invalid config:\n  - bots[0].readonly"));
+				return true;
+			});
+		});
+
+		it("requires bots and checks ports", () => {
+			assert.throws(() => validateConfig({}), /bots is required/);
+			assert.throws(() => validateConfig({ bots: [] }), /bots must have at least 1 item/);
+			assert.throws(() => validateConfig({ bots: [{ ...bot, port: 70000 }] }), /bots\[0\]\.port must be at most 65535/);
+			assert.throws(() => validateConfig({ bots: [bot, bot] }), /bots\[1\] has the same port as bots\[0\]: 3000/);
+			assert.throws(() => validateBot({ ...bot, port: undefined }), /bot\.port is required unless the config has a top-level port/);
+			assert.throws(() => validateBot({ ...bot, maxStreams: 0 }), /bot\.maxStreams must be at least 1/);
+			assert.throws(() => validateBot({ ...bot, sql: { maxRows: 0, writes: true } }), error => {
+				assert.deepStrictEqual(error.problems, ["bot.sql.writes is not a known setting.", "bot.sql.maxRows must be at least 1."]);
+				return true;
+			});
+		});
+	});
+
+	describe("environment overrides", () => {
+		it("overrides bot settings by name or port", () => {
+			const config = applyEnvironment({ bots: [{ ...bot, name: "my-bot" }, { ...bot, port: 3001 }] }, {
+				NADEKOCONNECTOR_MY_BOT_PASSWORD: "secret",
+				NADEKOCONNECTOR_MY_BOT_READ_ONLY: "true",
+				NADEKOCONNECTOR_3001_DISABLED_ENDPOINTS: "getBotInfo, execSql",
+				NADEKOCONNECTOR_3001_PORT: "4001"
+			});
+			assert.strictEqual(config.bots[0].password, "secret");
+			assert.strictEqual(config.bots[0].readOnly, true);
+			assert.deepStrictEqual(config.bots[1].disabledEndpoints, ["getBotInfo", "execSql"]);
+			assert.strictEqual(config.bots[1].port, 4001);
+		});
+
+		it("reads secrets from files", () => {
+			writeFileSync(join(directory, "password"), "from a file\n");
+			const config = applyEnvironment({ bots: [bot] }, { NADEKOCONNECTOR_3000_PASSWORD_FILE: join(directory, "password") });
+			assert.strictEqual(config.bots[0].password, "from a file");
+			assert.throws(() => applyEnvironment({ bots: [bot] }, { NADEKOCONNECTOR_3000_PASSWORD_FILE: join(directory, "missing") }), /Could not read NADEKOCONNECTOR_3000_PASSWORD_FILE/);
+		});
+
+		it("overrides top-level settings", () => {
+			const config = applyEnvironment({ bots: [{ ...bot, name: "nadeko" }] }, { NADEKOCONNECTOR_PORT: "8080", NADEKOCONNECTOR_TRUST_PROXY: "loopback" });
+			assert.strictEqual(config.port, 8080);
+			assert.strictEqual(config.trustProxy, "loopback");
+		});
+	});
+
+	describe("loading", () => {
+		it("loads config files without passwords, using the environment", () => {
+			const path = join(directory, "config.json");
+			writeFileSync(path, JSON.stringify({ bots: [{ ...bot, password: undefined }] }));
+			assert.throws(() => loadConfig(path, {}), /bots\[0\]\.password is required/);
+			assert.strictEqual(loadConfig(path, { NADEKOCONNECTOR_3000_PASSWORD: "secret" }).bots[0].password, "secret");
+		});
+
+		it("reports invalid files", () => {
+			const path = join(directory, "config.json");
+			writeFileSync(path, "{ bots: ");
+			assert.throws(() => loadConfig(path, {}), /could not be read/);
+			assert.throws(() => loadConfig(join(directory, "missing.json"), {}), /could not be read/);
+		});
+	});
+});
\ No newline at end of file
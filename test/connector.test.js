@@ -0,0 +1,1034 @@
+const assert = require("assert");
+const { unlinkSync, writeFileSync } = require("fs");
+const { join } = require("path");
+
+const Connector = require("../helpers/connector.js");
+const endpoints = require("../helpers/endpoints.js");
+const { ConflictError, ConnectorError, InsufficientFundsError, NotFoundError, PermissionError, ValidationError } = require("../helpers/errors.js");
+const { createFixture, ids } = require("./fixture.js");
+
+describe("Connector", () => {
+	let fixture, connector;
+
+	const createConnector = (disabledEndpoints = [], readOnly = false) => {
+		const instance = new Connector(fixture.databasePath, fixture.credentialsPath, disabledEndpoints, readOnly, fixture.dataPath);
+		instance.initialize();
+		return instance;
+	};
+
+	const balance = userId => connector.getCurrency(userId).currency;
+
+	const rejects = (callback, ErrorClass, code) => assert.throws(callback, error => {
+		assert.ok(error instanceof ErrorClass, `Expected ${ErrorClass.name}, got ${error.name}: ${error.message}`);
+		if (code) assert.strictEqual(error.code, code);
+		return true;
+	});
+
+	beforeEach(() => {
+		fixture = createFixture();
+		connector = createConnector();
+	});
+
+	afterEach(() => {
+		connector.close();
+		fixture.remove();
+	});
+
+	describe("calcLevel", () => {
+		it("starts at level 0", () => {
+			assert.deepStrictEqual(connector.calcLevel(0), { level: 0, levelXp: 0, requiredXp: 36 });
+		});
+
+		it("levels up exactly at the required XP", () => {
+			assert.deepStrictEqual(connector.calcLevel(35), { level: 0, levelXp: 35, requiredXp: 36 });
+			assert.deepStrictEqual(connector.calcLevel(36), { level: 1, levelXp: 0, requiredXp: 45 });
+			assert.deepStrictEqual(connector.calcLevel(81), { level: 2, levelXp: 0, requiredXp: 54 });
+		});
+
+		it("increases the required XP by a quarter of the base XP every level", () => {
+			const { level, requiredXp } = connector.calcLevel(1200);
+			assert.strictEqual(level, 13);
+			assert.strictEqual(requiredXp, 36 + 9 * 13);
+		});
+
+		it("supports a different base XP", () => {
+			assert.deepStrictEqual(connector.calcLevel(100, 100), { level: 1, levelXp: 0, requiredXp: 125 });
+		});
+
+		it("rejects negative XP", () => {
+			rejects(() => connector.calcLevel(-1), ValidationError);
+			rejects(() => connector.calcLevel("1"), ValidationError);
+		});
+	});
+
+	describe("initialization and endpoints", () => {
+		it("rejects calls before it is initialized", () => {
+			const uninitialized = new Connector(fixture.databasePath, fixture.credentialsPath, [], false, fixture.dataPath);
+			assert.throws(() => uninitialized.getCurrency(ids.alice), error => error.code === "NOT_INITIALIZED" && error.status === 503);
+			uninitialized.db.close();
+			uninitialized.store.close();
+		});
+
+		it("lists every endpoint with a schema", () => {
+			assert.deepStrictEqual(connector.allEndpoints, Object.keys(endpoints));
+			for (const endpoint of connector.allEndpoints)
+				assert.strictEqual(typeof connector[endpoint], "function", `${endpoint} is not implemented`);
+		});
+
+		it("rejects disabled endpoints", () => {
+			const disabled = createConnector(["getCurrency"]);
+			assert.ok(!disabled.endpoints.includes("getCurrency"));
+			rejects(() => disabled.getCurrency(ids.alice), PermissionError, "ENDPOINT_DISABLED");
+			disabled.close();
+		});
+
+		it("disables write endpoints when read-only", () => {
+			const readOnly = createConnector([], true);
+			const writeEndpoints = Object.keys(endpoints).filter(endpoint => endpoints[endpoint].write);
+			assert.deepStrictEqual(readOnly.disabledEndpoints, writeEndpoints);
+			rejects(() => readOnly.addCurrency(ids.alice, 1, "Test"), PermissionError, "ENDPOINT_DISABLED");
+			assert.strictEqual(readOnly.getCurrency(ids.alice).currency, 500);
+			readOnly.close();
+		});
+	});
+
+	describe("checkParams", () => {
+		it("returns parameters in the order the endpoint takes them and applies defaults", () => {
+			const params = connector.checkParams("getTransactions", { items: 5, userId: ids.alice });
+			assert.deepStrictEqual(Object.entries(params), [["userId", ids.alice], ["startPosition", 0], ["items", 5]]);
+		});
+
+		it("rejects unknown endpoints", () => {
+			rejects(() => connector.checkParams("dropTables", {}), NotFoundError, "ENDPOINT_NOT_FOUND");
+		});
+
+		it("rejects missing parameters", () => {
+			rejects(() => connector.checkParams("getCurrency", {}), ValidationError, "INVALID_PARAMS");
+		});
+
+		it("rejects IDs that are not Discord IDs given as strings", () => {
+			for (const userId of [Number(ids.alice), "123", "abc", `${ids.alice}0000`])
+				rejects(() => connector.checkParams("getCurrency", { userId }), ValidationError);
+		});
+
+		it("rejects amounts that are not safe integers", () => {
+			for (const currency of [1.5, NaN, Infinity, "10", 2 ** 53])
+				rejects(() => connector.checkParams("addCurrency", { userId: ids.alice, currency, reason: "Test" }), ValidationError);
+			rejects(() => connector.checkParams("transferCurrency", { fromUserId: ids.alice, toUserId: ids.bob, amount: 0, reason: "Test" }), ValidationError);
+		});
+
+		it("rejects blank or overly long reasons", () => {
+			for (const reason of ["", "   ", "x".repeat(501)])
+				rejects(() => connector.checkParams("addCurrency", { userId: ids.alice, currency: 1, reason }), ValidationError);
+		});
+
+		it("bounds pagination", () => {
+			for (const page of [{ startPosition: -1 }, { startPosition: 100001 }, { items: 0 }, { items: 101 }, { items: 2.5 }])
+				rejects(() => connector.checkParams("getGlobalXpLeaderboard", page), ValidationError, "INVALID_PARAMS");
+			assert.deepStrictEqual(connector.checkParams("getGlobalXpLeaderboard", { items: 100 }), { startPosition: 0, items: 100 });
+			assert.deepStrictEqual(connector.checkParams("getGlobalXpLeaderboard", { startPosition: 100000 }), { startPosition: 100000, items: 10 });
+		});
+
+		it("rejects blank club names", () => {
+			rejects(() => connector.checkParams("getClubInfo", { name: " " }), ValidationError);
+		});
+	});
+
+	describe("getBotInfo", () => {
+		it("returns the bot's credentials and config", () => {
+			const info = connector.getBotInfo();
+			assert.strictEqual(info.id, ids.bot);
+			assert.deepStrictEqual(info.owners, [ids.owner]);
+			assert.strictEqual(info.currency.sign, "🌸");
+			assert.strictEqual(info.currency.name, "Flower");
+			assert.deepStrictEqual(info.currency.timely, { amount: 50, timeout: 24 });
+			assert.deepStrictEqual(info.xp, { perMessage: 3, timeout: 5 });
+		});
+	});
+
+	describe("getTables, getFields, getRows and execSql", () => {
+		it("lists tables", () => {
+			const { tables } = connector.getTables();
+			for (const table of ["BotConfig", "Clubs", "CurrencyTransactions", "DiscordUser", "GuildConfigs", "UserXpStats", "XpCurrencyReward", "XpRoleReward", "XpSettings"])
+				assert.ok(tables.includes(table), `${table} is missing`);
+		});
+
+		it("lists fields of a table", () => {
+			const { fields } = connector.getFields("Clubs");
+			assert.ok(fields.includes("Name"));
+			assert.ok(fields.includes("Discrim"));
+		});
+
+		it("describes the columns and relations of a table", () => {
+			const { columns, relations } = connector.getFields("DiscordUser");
+			assert.deepStrictEqual(columns.find(column => column.name === "Id"), { name: "Id", type: "integer", nullable: false, primaryKey: true, default: null });
+			assert.deepStrictEqual(columns.find(column => column.name === "IsClubAdmin"), { name: "IsClubAdmin", type: "integer", nullable: false, primaryKey: false, default: "0" });
+			assert.deepStrictEqual(columns.find(column => column.name === "Username"), { name: "Username", type: "text", nullable: true, primaryKey: false, default: null });
+			assert.deepStrictEqual(relations, [{ column: "ClubId", table: "Clubs", references: "Id", onUpdate: "NO ACTION", onDelete: "NO ACTION" }]);
+		});
+
+		it("browses rows of a table with filters", () => {
+			const users = connector.getRows("DiscordUser", [{ column: "TotalXp", op: "gt", value: 100 }], "TotalXp", true);
+			assert.strictEqual(users.total, 3);
+			assert.deepStrictEqual(users.rows.map(user => user.Username), ["Alice", "Bob", "Dave"]);
+			assert.strictEqual(users.rows[0].UserId, ids.alice);
+			assert.strictEqual(users.rows[0].CurrencyAmount, 500);
+
+			const page = connector.getRows("discorduser", [{ column: "userid", op: "in", value: [ids.bob, ids.carol] }, { column: "Username", op: "like", value: "%o%" }], undefined, false, 0, 1);
+			assert.deepStrictEqual({ total: page.total, names: page.rows.map(user => user.Username) }, { total: 2, names: ["Bob"] });
+			assert.deepStrictEqual(connector.getRows("Clubs", [{ column: "Description", op: "eq", value: null }]).rows.map(club => club.Name), ["Rogues"]);
+			assert.deepStrictEqual(connector.getRows("CurrencyTransactions", [{ column: "Amount", op: "lt", value: 0 }]).rows.map(transaction => transaction.Reason), ["Bet"]);
+		});
+
+		it("rejects invalid filters and tables that are not browsable", () => {
+			rejects(() => connector.getRows("DiscordUser", [{ column: "Password", op: "eq", value: 1 }]), ValidationError);
+			rejects(() => connector.getRows("DiscordUser", [{ column: "UserId", op: "ne", value: 1 }]), ValidationError);
+			rejects(() => connector.getRows("DiscordUser", [{ column: "UserId", op: "in", value: [] }]), ValidationError);
+			rejects(() => connector.getRows("DiscordUser", [{ column: "UserId", op: "lt", value: null }]), ValidationError);
+			rejects(() => connector.getRows("DiscordUser", [{ column: "UserId", op: "eq", value: { "1": 1 } }]), ValidationError);
+			rejects(() => connector.getRows("DiscordUser", [], "Id; drop table DiscordUser"), ValidationError);
+			rejects(() => connector.getRows("__EFMigrationsHistory"), PermissionError, "TABLE_NOT_ALLOWED");
+			rejects(() => connector.getRows("sqlite_master"), PermissionError, "TABLE_NOT_ALLOWED");
+			connector.configure([], false, {}, ["Nope", "Clubs"]);
+			rejects(() => connector.getRows("DiscordUser"), PermissionError, "TABLE_NOT_ALLOWED");
+			rejects(() => connector.getRows("Nope"), NotFoundError, "TABLE_NOT_FOUND");
+			assert.strictEqual(connector.getRows("Clubs").total, 2);
+		});
+
+		it("rejects unknown tables", () => {
+			rejects(() => connector.getFields("Nope"), NotFoundError, "TABLE_NOT_FOUND");
+		});
+
+		it("executes SQL", () => {
+			assert.deepStrictEqual(connector.execSql("select count(*) as 'users' from DiscordUser"), { rows: [{ users: 6 }], affected: 1, truncated: false });
+		});
+
+		it("reports invalid SQL", () => {
+			rejects(() => connector.execSql("selec 1"), ValidationError, "SQL_ERROR");
+		});
+
+		it("binds named parameters", () => {
+			assert.deepStrictEqual(connector.execSql("select CurrencyAmount as 'currency' from DiscordUser where UserId = $userId", { userId: ids.alice }).rows, [{ currency: 500 }]);
+			rejects(() => connector.execSql("select * from DiscordUser where UserId = $userId"), ValidationError, "INVALID_PARAMS");
+			rejects(() => connector.execSql("select $flag", { flag: true }), ValidationError, "INVALID_PARAMS");
+		});
+
+		it("only allows read-only queries by default", () => {
+			rejects(() => connector.execSql("update DiscordUser set CurrencyAmount = 0"), ValidationError, "SQL_ERROR");
+			rejects(() => connector.execSql("update DiscordUser set CurrencyAmount = 0", {}, "run"), PermissionError, "SQL_NOT_ALLOWED");
+			rejects(() => connector.execSql("attach database ':memory:' as other"), PermissionError, "SQL_NOT_ALLOWED");
+			rejects(() => connector.execSql("begin"), PermissionError, "SQL_NOT_ALLOWED");
+			rejects(() => connector.execSql("vacuum"), PermissionError, "SQL_NOT_ALLOWED");
+			connector.execSql("select 1");
+			assert.strictEqual(connector.addCurrency(ids.alice, 1, "Test").currency, 501);
+		});
+
+		it("rejects forbidden statements behind comments", () => {
+			rejects(() => connector.execSql("-- x\nattach database ':memory:' as evil"), PermissionError, "SQL_NOT_ALLOWED");
+			rejects(() => connector.execSql(" /* a */ -- b\n\t/* c\n */ COMMIT"), PermissionError, "SQL_NOT_ALLOWED");
+			assert.deepStrictEqual(connector.execSql("-- commit\nselect 1 as 'one' /* commit */").rows, [{ one: 1 }]);
+		});
+
+		it("does not let statements end a batch's transaction", () => {
+			connector.configure([], false, { allowWrites: true });
+			assert.throws(() => connector.batch([
+				{ endpoint: "addCurrency", params: { userId: ids.alice, currency: 5, reason: "Test" } },
+				{ endpoint: "execSql", params: { command: "/* c */ commit", mode: "run" } }
+			]), PermissionError);
+			assert.strictEqual(balance(ids.alice), 500);
+		});
+
+		it("limits the rows of queries and the time spent reading them", () => {
+			const count = "with recursive numbers(n) as (select 1 union all select n + 1 from numbers where n < $count) select n from numbers";
+			connector.configure([], false, { maxRows: 3 });
+			assert.deepStrictEqual(connector.execSql(count, { count: 3 }), { rows: [{ n: 1 }, { n: 2 }, { n: 3 }], affected: 3, truncated: false });
+			assert.deepStrictEqual(connector.execSql(count, { count: 10 }), { rows: [{ n: 1 }, { n: 2 }, { n: 3 }], affected: 3, truncated: true });
+			connector.configure([], false, { maxRows: 10000000, rowDeadline: 1 });
+			rejects(() => connector.execSql(count, { count: 10000000 }), ConnectorError, "SQL_DEADLINE_EXCEEDED");
+		});
+
+		it("runs writes in run mode when they are allowed", () => {
+			connector.configure([], false, { allowWrites: true });
+			const events = [];
+			connector.on("sql.executed", data => events.push(data));
+			const command = "update DiscordUser set CurrencyAmount = CurrencyAmount + $amount where UserId = $userId";
+			assert.deepStrictEqual(connector.execSql(command, { amount: 5, userId: ids.alice }, "run"), { changes: 1, lastInsertRowid: 0 });
+			assert.strictEqual(balance(ids.alice), 505);
+			assert.deepStrictEqual(events, [{ command, changes: 1, lastInsertRowid: 0 }]);
+			rejects(() => connector.execSql("select 1", {}, "run"), ValidationError, "SQL_ERROR");
+			connector.configure([], true, { allowWrites: true });
+			connector.disabledEndpoints = [];
+			rejects(() => connector.execSql(command, { amount: 5, userId: ids.alice }, "run"), PermissionError, "SQL_NOT_ALLOWED");
+		});
+	});
+
+	describe("currency", () => {
+		it("gets the currency of a user", () => {
+			assert.deepStrictEqual(connector.getCurrency(ids.alice), { userId: ids.alice, currency: 500 });
+		});
+
+		it("rejects unknown users", () => {
+			rejects(() => connector.getCurrency("999999999999999999"), NotFoundError, "USER_NOT_FOUND");
+		});
+
+		it("takes added currency from the bot", () => {
+			assert.deepStrictEqual(connector.addCurrency(ids.alice, 100, "Prize"), { userId: ids.alice, currency: 600 });
+			assert.strictEqual(balance(ids.bot), 1000000 - 100);
+		});
+
+		it("adds the absolute value of negative amounts", () => {
+			connector.addCurrency(ids.alice, -100, "Prize");
+			assert.strictEqual(balance(ids.alice), 600);
+			assert.strictEqual(balance(ids.bot), 1000000 - 100);
+		});
+
+		it("does not mirror currency added to the bot itself", () => {
+			connector.addCurrency(ids.bot, 100, "Refill");
+			assert.strictEqual(balance(ids.bot), 1000000 + 100);
+			assert.strictEqual(connector.getTransactions(ids.bot).length, 1);
+		});
+
+		it("records a transaction for the user and the bot", () => {
+			connector.addCurrency(ids.bob, 25, "Prize");
+			const [userTransaction] = connector.getTransactions(ids.bob);
+			const [botTransaction] = connector.getTransactions(ids.bot);
+			assert.strictEqual(userTransaction.amount, 25);
+			assert.strictEqual(userTransaction.reason, "Prize");
+			assert.strictEqual(botTransaction.amount, -25);
+		});
+
+		it("gives subtracted currency to the bot", () => {
+			assert.deepStrictEqual(connector.subtractCurrency(ids.bob, 30, "Fine"), { userId: ids.bob, currency: 20 });
+			assert.strictEqual(balance(ids.bot), 1000000 + 30);
+		});
+
+		it("rejects subtracting more currency than the user has", () => {
+			rejects(() => connector.subtractCurrency(ids.bob, 51, "Fine"), InsufficientFundsError, "INSUFFICIENT_FUNDS");
+			assert.strictEqual(balance(ids.bob), 50);
+			assert.strictEqual(balance(ids.bot), 1000000);
+			rejects(() => connector.getTransactions(ids.bob), NotFoundError);
+		});
+
+		it("allows subtracting the whole balance", () => {
+			connector.subtractCurrency(ids.bob, 50, "Fine");
+			assert.strictEqual(balance(ids.bob), 0);
+		});
+
+		it("lets the bot's balance go negative", () => {
+			connector.subtractCurrency(ids.bot, 2000000, "Burn");
+			assert.strictEqual(balance(ids.bot), -1000000);
+		});
+
+		it("sets currency without a transaction", () => {
+			assert.deepStrictEqual(connector.setCurrency(ids.carol, 42), { userId: ids.carol, currency: 42 });
+			assert.strictEqual(balance(ids.bot), 1000000);
+			rejects(() => connector.getTransactions(ids.carol), NotFoundError, "TRANSACTIONS_NOT_FOUND");
+		});
+
+		it("transfers currency between users without involving the bot", () => {
+			const result = connector.transferCurrency(ids.alice, ids.bob, 100, "Gift");
+			assert.deepStrictEqual(result, { from: { userId: ids.alice, currency: 400 }, to: { userId: ids.bob, currency: 150 } });
+			assert.strictEqual(balance(ids.bot), 1000000);
+			assert.strictEqual(connector.getTransactions(ids.alice)[0].amount, -100);
+			assert.strictEqual(connector.getTransactions(ids.bob)[0].amount, 100);
+		});
+
+		it("rolls back every balance and transaction if a step fails", () => {
+			const transactions = connector.getTransactions(ids.alice, 0, 100).length;
+			connector.db.exec(`create trigger FailLedger before insert on CurrencyTransactions when new.UserId in (${ids.bot}, ${ids.bob})
+				begin select raise(abort, 'Ledger unavailable'); end`);
+			assert.throws(() => connector.addCurrency(ids.alice, 100, "Prize"), /Ledger unavailable/);
+			assert.throws(() => connector.subtractCurrency(ids.alice, 100, "Fine"), /Ledger unavailable/);
+			assert.throws(() => connector.transferCurrency(ids.alice, ids.bob, 100, "Gift"), /Ledger unavailable/);
+			assert.deepStrictEqual([balance(ids.alice), balance(ids.bob), balance(ids.bot)], [500, 50, 1000000]);
+			assert.strictEqual(connector.getTransactions(ids.alice, 0, 100).length, transactions);
+		});
+
+		it("rejects transfers the sender cannot afford or to themselves", () => {
+			rejects(() => connector.transferCurrency(ids.bob, ids.alice, 51, "Gift"), InsufficientFundsError);
+			rejects(() => connector.transferCurrency(ids.alice, ids.alice, 1, "Gift"), ValidationError);
+			rejects(() => connector.transferCurrency(ids.alice, "999999999999999999", 1, "Gift"), NotFoundError, "USER_NOT_FOUND");
+			assert.strictEqual(balance(ids.alice), 500);
+		});
+
+		it("creates transactions without changing balances", () => {
+			const { transactionId } = connector.createTransaction(ids.carol, 5, "Note");
+			assert.strictEqual(typeof transactionId, "number");
+			assert.strictEqual(balance(ids.carol), 0);
+			assert.strictEqual(connector.getTransactions(ids.carol)[0].reason, "Note");
+		});
+
+		it("pages transactions newest first", () => {
+			assert.deepStrictEqual(connector.getTransactions(ids.alice).map(transaction => transaction.reason), ["Bet", "Timely"]);
+			assert.deepStrictEqual(connector.getTransactions(ids.alice, 1, 1).map(transaction => transaction.reason), ["Timely"]);
+			rejects(() => connector.getTransactions(ids.alice, 2, 10), NotFoundError);
+		});
+
+		it("emits change events", () => {
+			const events = [];
+			for (const event of Connector.events)
+				connector.on(event, data => events.push([event, data]));
+			connector.addCurrency(ids.alice, 10, "Prize");
+			assert.deepStrictEqual(events.map(([event]) => event), ["transaction.created", "currency.changed", "transaction.created", "currency.changed"]);
+			assert.deepStrictEqual(events[1][1], { userId: ids.alice, before: 500, after: 510, change: 10, reason: "Prize" });
+			assert.deepStrictEqual(events[3][1], { userId: ids.bot, before: 1000000, after: 999990, change: -10, reason: "Prize" });
+		});
+
+		it("meters the currency calls actually move", () => {
+			const checks = [];
+			const { result, usage } = connector.metered((call, total) => checks.push([call.currency, total.currency]), () => [
+				connector.call("setCurrency", { userId: ids.alice, currency: 0 }),
+				connector.call("addCurrency", { userId: ids.alice, currency: -10, reason: "Prize" }),
+				connector.call("createTransaction", { userId: ids.alice, currency: 99, reason: "Note" })
+			]);
+			assert.strictEqual(result[1].currency, 10);
+			assert.deepStrictEqual(checks, [[500, 500], [10, 510]]);
+			assert.deepStrictEqual(usage, { currency: 510, xp: 0 });
+		});
+
+		it("rolls back changes rejected by the meter", () => {
+			assert.throws(() => connector.metered(call => {
+				if (call.currency > 10) throw new PermissionError("Too much.");
+			}, () => connector.call("setCurrency", { userId: ids.alice, currency: 0 })), PermissionError);
+			assert.strictEqual(balance(ids.alice), 500);
+		});
+	});
+
+	describe("guild XP", () => {
+		it("gets the guild XP of a user", () => {
+			assert.deepStrictEqual(connector.getGuildXp(ids.bob, ids.guild), {
+				guildXp: 100, awardedXp: 20, totalXp: 120,
+				...connector.calcLevel(120), rank: 2
+			});
+		});
+
+		it("rejects users without XP in the guild and unknown guilds", () => {
+			rejects(() => connector.getGuildXp(ids.carol, ids.guild), NotFoundError, "XP_NOT_FOUND");
+			rejects(() => connector.getGuildXp(ids.alice, "399999999999999999"), NotFoundError, "GUILD_NOT_FOUND");
+		});
+
+		it("ranks users by total XP including awarded XP", () => {
+			assert.strictEqual(connector.getGuildRank(ids.alice, ids.guild).rank, 1);
+			assert.strictEqual(connector.getGuildRank(ids.bob, ids.guild).rank, 2);
+			assert.strictEqual(connector.getGuildRank(ids.dave, ids.guild).rank, 3);
+			connector.addGuildXp(ids.dave, ids.guild, 200);
+			assert.strictEqual(connector.getGuildRank(ids.dave, ids.guild).rank, 2);
+		});
+
+		it("ranks users without XP in the guild last", () => {
+			assert.strictEqual(connector.getGuildRank(ids.carol, ids.guild).rank, 3);
+		});
+
+		it("rejects ranks in guilds without XP", () => {
+			rejects(() => connector.getGuildRank(ids.alice, ids.emptyGuild), NotFoundError, "XP_NOT_FOUND");
+		});
+
+		it("sets guild XP", () => {
+			const result = connector.setGuildXp(ids.bob, ids.guild, 10, 5);
+			assert.strictEqual(result.guildXp, 10);
+			assert.strictEqual(result.awardedXp, 5);
+		});
+
+		it("adds and subtracts awarded XP", () => {
+			assert.strictEqual(connector.addGuildXp(ids.bob, ids.guild, -30).awardedXp, 50);
+			assert.strictEqual(connector.subtractGuildXp(ids.bob, ids.guild, 10).awardedXp, 40);
+			assert.strictEqual(connector.awardGuildXp(ids.bob, ids.guild, 5).awardedXp, 45);
+			assert.strictEqual(connector.awardGuildXp(ids.bob, ids.guild, -5).awardedXp, 40);
+		});
+
+		it("rejects XP changes for users without XP in the guild", () => {
+			rejects(() => connector.addGuildXp(ids.carol, ids.guild, 10), NotFoundError, "XP_NOT_FOUND");
+		});
+
+		it("emits level up events", () => {
+			const events = [];
+			connector.on("level.up", data => events.push(data));
+			connector.addGuildXp(ids.dave, ids.guild, 35);
+			assert.strictEqual(events.length, 0);
+			connector.addGuildXp(ids.dave, ids.guild, 50);
+			assert.deepStrictEqual(events, [{ userId: ids.dave, guildId: ids.guild, before: 0, after: 2 }]);
+		});
+
+		it("pages the guild leaderboard with ranks offset by the start position", () => {
+			const leaderboard = connector.getGuildXpLeaderboard(ids.guild);
+			assert.deepStrictEqual(leaderboard.map(user => [user.userId, user.rank]), [[ids.alice, 1], [ids.bob, 2], [ids.dave, 3]]);
+			assert.strictEqual(leaderboard[1].level, connector.calcLevel(120).level);
+			assert.deepStrictEqual(connector.getGuildXpLeaderboard(ids.guild, 1, 1).map(user => [user.userId, user.rank]), [[ids.bob, 2]]);
+			rejects(() => connector.getGuildXpLeaderboard(ids.emptyGuild), NotFoundError);
+		});
+
+		it("gets role and currency rewards ordered by level", () => {
+			assert.deepStrictEqual(connector.getGuildXpRoleRewards(ids.guild).map(reward => [reward.level, reward.roleId]), [[10, ids.role]]);
+			assert.deepStrictEqual(connector.getGuildXpCurrencyRewards(ids.guild).map(reward => [reward.level, reward.amount]), [[2, 10], [5, 100]]);
+			rejects(() => connector.getGuildXpRoleRewards(ids.otherGuild), NotFoundError, "REWARDS_NOT_FOUND");
+			rejects(() => connector.getGuildXpCurrencyRewards(ids.otherGuild), NotFoundError, "REWARDS_NOT_FOUND");
+		});
+	});
+
+	describe("XP settings", () => {
+		const settingsCount = () => connector.execSql("select count(*) as 'settings' from XpSettings").rows[0].settings;
+
+		it("sets and removes role rewards by level", () => {
+			assert.deepStrictEqual(connector.setGuildXpRoleReward(ids.guild, 10, ids.otherRole), { level: 10, roleId: ids.otherRole });
+			connector.setGuildXpRoleReward(ids.guild, 20, ids.role);
+			assert.deepStrictEqual(connector.getGuildXpRoleRewards(ids.guild).map(reward => [reward.level, reward.roleId]), [[10, ids.otherRole], [20, ids.role]]);
+			assert.deepStrictEqual(connector.removeGuildXpRoleReward(ids.guild, 10), { level: 10, roleId: ids.otherRole });
+			rejects(() => connector.removeGuildXpRoleReward(ids.guild, 10), NotFoundError, "REWARD_NOT_FOUND");
+			rejects(() => connector.removeGuildXpRoleReward(ids.otherGuild, 20), NotFoundError, "REWARD_NOT_FOUND");
+			assert.strictEqual(settingsCount(), 1);
+		});
+
+		it("sets and removes currency rewards by level", () => {
+			assert.deepStrictEqual(connector.setGuildXpCurrencyReward(ids.guild, 5, 150), { level: 5, amount: 150 });
+			assert.deepStrictEqual(connector.getGuildXpCurrencyRewards(ids.guild).map(reward => [reward.level, reward.amount]), [[2, 10], [5, 150]]);
+			assert.deepStrictEqual(connector.removeGuildXpCurrencyReward(ids.guild, 2), { level: 2, amount: 10 });
+			rejects(() => connector.removeGuildXpCurrencyReward(ids.guild, 2), NotFoundError, "REWARD_NOT_FOUND");
+			rejects(() => connector.setGuildXpCurrencyReward(ids.guild, 5, 0), ValidationError);
+			rejects(() => connector.setGuildXpCurrencyReward("999999999999999999", 5, 10), NotFoundError, "GUILD_NOT_FOUND");
+		});
+
+		it("creates XP settings for guilds without them", () => {
+			assert.deepStrictEqual(connector.getGuildXpSettings(ids.otherGuild), { serverExcluded: false, notifyMessage: null, exclusions: [] });
+			assert.strictEqual(settingsCount(), 1);
+			connector.setGuildXpRoleReward(ids.otherGuild, 3, ids.role);
+			connector.setGuildXpCurrencyReward(ids.otherGuild, 3, 30);
+			assert.strictEqual(settingsCount(), 2);
+			assert.deepStrictEqual(connector.getGuildXpRoleRewards(ids.otherGuild).map(reward => reward.roleId), [ids.role]);
+			assert.deepStrictEqual(connector.getGuildXpCurrencyRewards(ids.otherGuild).map(reward => reward.amount), [30]);
+		});
+
+		it("changes guild XP settings", () => {
+			assert.deepStrictEqual(connector.getGuildXpSettings(ids.guild), { serverExcluded: false, notifyMessage: null, exclusions: [{ type: "channel", id: ids.channel }] });
+			assert.deepStrictEqual(connector.setGuildXpSettings(ids.guild, true, "GG {0}!"), { serverExcluded: true, notifyMessage: "GG {0}!", exclusions: [{ type: "channel", id: ids.channel }] });
+			assert.strictEqual(connector.setGuildXpSettings(ids.guild, false).notifyMessage, "GG {0}!");
+			assert.strictEqual(connector.setGuildXpSettings(ids.emptyGuild, true).serverExcluded, true);
+			rejects(() => connector.setGuildXpSettings(ids.guild), ValidationError);
+		});
+
+		it("adds and removes exclusions", () => {
+			assert.deepStrictEqual(connector.addGuildXpExclusion(ids.guild, "role", ids.role), { type: "role", id: ids.role });
+			rejects(() => connector.addGuildXpExclusion(ids.guild, "channel", ids.channel), ConflictError, "EXCLUSION_EXISTS");
+			rejects(() => connector.addGuildXpExclusion(ids.guild, "user", ids.alice), ValidationError);
+			assert.throws(() => connector.call("addGuildXpExclusion", { guildId: ids.guild, type: "user", id: ids.alice }), /NadekoBot cannot exclude users from XP/);
+			assert.deepStrictEqual(connector.getGuildXpSettings(ids.guild).exclusions, [{ type: "channel", id: ids.channel }, { type: "role", id: ids.role }]);
+			assert.deepStrictEqual(connector.removeGuildXpExclusion(ids.guild, "channel", ids.channel), { type: "channel", id: ids.channel });
+			rejects(() => connector.removeGuildXpExclusion(ids.guild, "channel", ids.channel), NotFoundError, "EXCLUSION_NOT_FOUND");
+			rejects(() => connector.removeGuildXpExclusion(ids.otherGuild, "role", ids.role), NotFoundError, "EXCLUSION_NOT_FOUND");
+			connector.addGuildXpExclusion(ids.otherGuild, "channel", ids.channel);
+			assert.deepStrictEqual(connector.getGuildXpSettings(ids.otherGuild).exclusions, [{ type: "channel", id: ids.channel }]);
+		});
+	});
+
+	describe("global XP", () => {
+		it("gets the global XP of a user", () => {
+			assert.deepStrictEqual(connector.getGlobalXp(ids.alice), { globalXp: 1200, ...connector.calcLevel(1200), rank: 1 });
+		});
+
+		it("gets the global XP of a user without any XP", () => {
+			const { globalXp, level } = connector.getGlobalXp(ids.carol);
+			assert.strictEqual(globalXp, 0);
+			assert.strictEqual(level, 0);
+		});
+
+		it("gives tied users distinct consecutive ranks", () => {
+			const ranks = [connector.getGlobalRank(ids.bob).rank, connector.getGlobalRank(ids.dave).rank].sort();
+			assert.deepStrictEqual(ranks, [2, 3]);
+		});
+
+		it("pages the global leaderboard with ranks offset by the start position", () => {
+			const [first] = connector.getGlobalXpLeaderboard(0, 1);
+			assert.deepStrictEqual(first, { userId: ids.alice, globalXp: 1200, ...connector.calcLevel(1200), rank: 1 });
+			assert.deepStrictEqual(connector.getGlobalXpLeaderboard(3, 2).map(user => user.rank), [4, 5]);
+			rejects(() => connector.getGlobalXpLeaderboard(6, 10), NotFoundError);
+		});
+	});
+
+	describe("clubs", () => {
+		it("pages the club leaderboard", () => {
+			const clubs = connector.getClubLeaderboard();
+			assert.deepStrictEqual(clubs.map(club => [club.name, club.owner, club.rank]), [["Knights#1", ids.alice, 1], ["Rogues#2", ids.owner, 2]]);
+			assert.deepStrictEqual(connector.getClubLeaderboard(1, 1).map(club => [club.name, club.rank]), [["Rogues#2", 2]]);
+		});
+
+		it("gets club info by name and by member", () => {
+			const club = connector.getClubInfo(ids.club);
+			assert.deepStrictEqual(club, {
+				name: "Knights#1", owner: ids.alice, description: "Round table.",
+				icon: "https://example.com/knights.png", xp: 500, levelRequirement: 5,
+				...connector.calcLevel(500), rank: 1
+			});
+			assert.deepStrictEqual(connector.getClubInfoByUser(ids.bob), club);
+		});
+
+		it("rejects unknown clubs and users without a club", () => {
+			rejects(() => connector.getClubInfo("Nobody#9"), NotFoundError, "CLUB_NOT_FOUND");
+			rejects(() => connector.getClubInfoByUser(ids.carol), NotFoundError, "CLUB_NOT_FOUND");
+		});
+
+		it("pages club members by XP", () => {
+			const members = connector.getClubMembers(ids.club);
+			assert.deepStrictEqual(members.map(member => [member.userId, member.admin, member.rank]), [[ids.alice, true, 1], [ids.bob, false, 2]]);
+			assert.deepStrictEqual(connector.getClubMembers(ids.club, 1, 1).map(member => [member.userId, member.rank]), [[ids.bob, 2]]);
+			rejects(() => connector.getClubMembers("Nobody#9"), NotFoundError, "CLUB_NOT_FOUND");
+		});
+	});
+
+	describe("waifus", () => {
+		it("gets waifu info with claims and gifts", () => {
+			assert.deepStrictEqual(connector.getWaifuInfo(ids.alice), {
+				userId: ids.alice, price: 200, claimerId: ids.bob, affinityId: ids.bob, claims: [],
+				items: [{ name: "Rose", emoji: "🌹", count: 2 }, { name: "Cookie", emoji: "🍪", count: 1 }]
+			});
+			assert.deepStrictEqual(connector.getWaifuInfo(ids.bob).claims, [ids.alice, ids.dave]);
+			assert.deepStrictEqual(connector.getWaifuInfo(ids.carol), { userId: ids.carol, price: 50, claimerId: null, affinityId: null, claims: [], items: [] });
+			rejects(() => connector.getWaifuInfo("999999999999999999"), NotFoundError, "USER_NOT_FOUND");
+		});
+
+		it("pages the waifu leaderboard by price", () => {
+			assert.deepStrictEqual(connector.getWaifuLeaderboard().map(waifu => [waifu.userId, waifu.price, waifu.rank]), [[ids.alice, 200, 1], [ids.dave, 100, 2], [ids.bob, 60, 3]]);
+			assert.deepStrictEqual(connector.getWaifuLeaderboard(1, 1)[0], { userId: ids.dave, price: 100, claimerId: ids.bob, affinityId: null, rank: 2 });
+			rejects(() => connector.getWaifuLeaderboard(3), NotFoundError, "WAIFU_NOT_FOUND");
+		});
+
+		it("gets received gifts and history", () => {
+			assert.deepStrictEqual(connector.getWaifuItems(ids.alice).map(item => item.name), ["Rose", "Cookie"]);
+			rejects(() => connector.getWaifuItems(ids.bob), NotFoundError, "ITEMS_NOT_FOUND");
+			assert.deepStrictEqual(connector.getWaifuHistory(ids.alice), [
+				{ type: "affinityChanged", oldId: null, newId: ids.bob, dateAdded: "2020-01-04 00:00:00" },
+				{ type: "claimed", oldId: null, newId: ids.bob, dateAdded: "2020-01-02 00:00:00" }
+			]);
+			assert.strictEqual(connector.getWaifuHistory(ids.alice, 1, 1)[0].type, "claimed");
+			rejects(() => connector.getWaifuHistory(ids.carol), NotFoundError, "UPDATES_NOT_FOUND");
+		});
+
+		it("sets waifu prices, creating waifu info when missing", () => {
+			const events = [];
+			connector.on("waifu.changed", data => events.push(data));
+			assert.deepStrictEqual(connector.setWaifuPrice(ids.alice, 250), { userId: ids.alice, price: 250 });
+			assert.deepStrictEqual(connector.setWaifuPrice(ids.carol, 75), { userId: ids.carol, price: 75 });
+			assert.strictEqual(connector.getWaifuInfo(ids.carol).price, 75);
+			assert.deepStrictEqual(events, [
+				{ userId: ids.alice, before: 200, after: 250, reason: null },
+				{ userId: ids.carol, before: 50, after: 75, reason: null }
+			]);
+		});
+
+		it("gifts items, giving their price to the bot", () => {
+			const botBalance = balance(ids.bot);
+			const result = connector.giftWaifuItem(ids.bob, ids.carol, "rose");
+			assert.deepStrictEqual(result, { userId: ids.bob, currency: 0, waifu: { userId: ids.carol, price: 97 }, item: { name: "Rose", emoji: "🌹", price: 50 } });
+			assert.strictEqual(balance(ids.bob), 0);
+			assert.strictEqual(balance(ids.bot), botBalance + 50);
+			assert.deepStrictEqual(connector.getWaifuItems(ids.carol), [{ name: "Rose", emoji: "🌹", count: 1 }]);
+			assert.deepStrictEqual(connector.getTransactions(ids.bob).map(transaction => [transaction.amount, transaction.reason]), [[-50, "Waifu gift: Rose"]]);
+		});
+
+		it("rejects unknown gifts and gifts users cannot afford", () => {
+			rejects(() => connector.giftWaifuItem(ids.bob, ids.alice, "Nothing"), NotFoundError, "ITEM_NOT_FOUND");
+			rejects(() => connector.giftWaifuItem(ids.dave, ids.alice, "Rose"), InsufficientFundsError);
+			assert.strictEqual(balance(ids.dave), 10);
+			assert.strictEqual(connector.getWaifuInfo(ids.alice).price, 200);
+		});
+
+		it("reads gifts and their effects from gambling.yml", () => {
+			connector.close();
+			fixture.remove();
+			fixture = createFixture({ botConfig: true });
+			connector = createConnector();
+			rejects(() => connector.giftWaifuItem(ids.alice, ids.bob, "Rose"), NotFoundError, "ITEM_NOT_FOUND");
+			assert.strictEqual(connector.giftWaifuItem(ids.alice, ids.bob, "Tulip").waifu.price, 80);
+			assert.strictEqual(connector.giftWaifuItem(ids.alice, ids.bob, "Onion").waifu.price, 55);
+			assert.strictEqual(connector.getWaifuInfo(ids.carol).price, 20);
+		});
+	});
+
+	describe("shop", () => {
+		it("lists shop entries by index", () => {
+			assert.deepStrictEqual(connector.getShopEntries(ids.guild), [
+				{ index: 0, type: "role", name: "Member", price: 100, roleId: ids.role, authorId: ids.owner, items: 0 },
+				{ index: 1, type: "list", name: "Keys", price: 30, roleId: null, authorId: ids.owner, items: 2 }
+			]);
+			assert.deepStrictEqual(connector.getShopEntries(ids.guild, 1, 1).map(entry => entry.name), ["Keys"]);
+			rejects(() => connector.getShopEntries(ids.emptyGuild), NotFoundError, "SHOP_NOT_FOUND");
+			rejects(() => connector.getShopEntries("999999999999999999"), NotFoundError, "GUILD_NOT_FOUND");
+		});
+
+		it("gets a shop entry with its items", () => {
+			assert.deepStrictEqual(connector.getShopEntry(ids.guild, 1).items.map(item => item.text), ["KEY-1", "KEY-2"]);
+			rejects(() => connector.getShopEntry(ids.guild, 2), NotFoundError, "ENTRY_NOT_FOUND");
+			rejects(() => connector.getShopEntry(ids.emptyGuild, 0), NotFoundError, "ENTRY_NOT_FOUND");
+		});
+
+		it("adds, edits and removes shop entries", () => {
+			assert.deepStrictEqual(connector.addShopEntry(ids.guild, ids.owner, "list", 25, "Codes"), { index: 2, type: "list", name: "Codes", price: 25, roleId: null, authorId: ids.owner, items: 0 });
+			assert.strictEqual(connector.addShopEntry(ids.emptyGuild, ids.owner, "role", 5, "Regular", ids.role).index, 0);
+			rejects(() => connector.addShopEntry(ids.guild, ids.owner, "role", 5, "Regular"), ValidationError);
+			rejects(() => connector.addShopEntry(ids.guild, ids.owner, "command", 5, "Ping"), ValidationError);
+
+			assert.deepStrictEqual(connector.editShopEntry(ids.guild, 0, 120, "Veteran").name, "Veteran");
+			assert.strictEqual(connector.getShopEntry(ids.guild, 0).price, 120);
+			assert.strictEqual(connector.editShopEntry(ids.guild, 2, undefined, "Gift codes").price, 25);
+			rejects(() => connector.editShopEntry(ids.guild, 0), ValidationError);
+
+			assert.strictEqual(connector.removeShopEntry(ids.guild, 1).name, "Keys");
+			assert.deepStrictEqual(connector.getShopEntries(ids.guild).map(entry => entry.index), [0, 2]);
+			assert.strictEqual(connector.execSql("select count(*) as 'items' from ShopEntryItem").rows[0].items, 0);
+			assert.strictEqual(connector.addShopEntry(ids.guild, ids.owner, "list", 1, "More").index, 3);
+		});
+
+		it("adds and removes list items", () => {
+			const item = connector.addShopEntryItem(ids.guild, 1, "KEY-3");
+			assert.strictEqual(item.text, "KEY-3");
+			rejects(() => connector.addShopEntryItem(ids.guild, 1, "KEY-3"), ConflictError, "ITEM_EXISTS");
+			rejects(() => connector.addShopEntryItem(ids.guild, 0, "KEY-4"), ValidationError);
+			assert.deepStrictEqual(connector.removeShopEntryItem(ids.guild, 1, item.id), item);
+			rejects(() => connector.removeShopEntryItem(ids.guild, 1, item.id), NotFoundError, "ITEM_NOT_FOUND");
+			rejects(() => connector.removeShopEntryItem(ids.otherGuild, 0, 1), NotFoundError, "ITEM_NOT_FOUND");
+			assert.strictEqual(connector.getShopEntry(ids.guild, 1).items.length, 2);
+		});
+
+		it("buys list items and roles, giving the price to the bot", () => {
+			const events = [];
+			connector.on("shop.purchased", data => events.push(data));
+			const botBalance = balance(ids.bot);
+			assert.deepStrictEqual(connector.buyShopEntry(ids.guild, 1, ids.alice), {
+				guildId: ids.guild, userId: ids.alice, index: 1, type: "list", name: "Keys", price: 30, roleId: null, item: "KEY-1", currency: 470
+			});
+			const role = connector.buyShopEntry(ids.guild, 0, ids.alice);
+			assert.deepStrictEqual([role.roleId, role.item, role.currency], [ids.role, null, 370]);
+			assert.strictEqual(balance(ids.bot), botBalance + 130);
+			assert.deepStrictEqual(connector.getShopEntry(ids.guild, 1).items.map(item => item.text), ["KEY-2"]);
+			assert.deepStrictEqual(connector.getTransactions(ids.alice, 0, 1).map(transaction => [transaction.amount, transaction.reason]), [[-100, "Shop purchase: Member"]]);
+			assert.deepStrictEqual(events.map(event => event.name), ["Keys", "Member"]);
+		});
+
+		it("rejects purchases users cannot afford and lists out of stock", () => {
+			rejects(() => connector.buyShopEntry(ids.guild, 0, ids.bob), InsufficientFundsError);
+			rejects(() => connector.buyShopEntry(ids.otherGuild, 0, ids.alice), ConflictError, "OUT_OF_STOCK");
+			rejects(() => connector.buyShopEntry(ids.guild, 1, ids.carol), InsufficientFundsError);
+			assert.strictEqual(connector.getShopEntry(ids.guild, 1).items.length, 2);
+			assert.strictEqual(balance(ids.alice), 500);
+		});
+	});
+
+	describe("quotes", () => {
+		it("lists quotes by keyword", () => {
+			assert.deepStrictEqual(connector.getQuotes(ids.guild).map(quote => [quote.keyword, quote.authorName]), [["BYE", "Alice"], ["HELLO", "Alice"], ["HELLO", "Bob"]]);
+			assert.deepStrictEqual(connector.getQuotes(ids.guild, "hello", 1, 1).map(quote => quote.text), ["Hello, world."]);
+			assert.deepStrictEqual(connector.getQuotes(ids.guild, "bye")[0], { id: 2, keyword: "BYE", authorId: ids.alice, authorName: "Alice", text: "Goodbye, 100% of the time.", dateAdded: "2020-01-02 00:00:00" });
+			rejects(() => connector.getQuotes(ids.emptyGuild), NotFoundError, "QUOTES_NOT_FOUND");
+			rejects(() => connector.getQuotes(ids.guild, "nothing"), NotFoundError, "QUOTES_NOT_FOUND");
+		});
+
+		it("searches quotes for a text", () => {
+			assert.deepStrictEqual(connector.searchQuotes(ids.guild, "HELLO").map(quote => quote.text), ["Hello there!", "Hello, world."]);
+			assert.deepStrictEqual(connector.searchQuotes(ids.guild, "world", "hello").map(quote => quote.authorName), ["Bob"]);
+			assert.deepStrictEqual(connector.searchQuotes(ids.guild, "100%").map(quote => quote.keyword), ["BYE"]);
+			rejects(() => connector.searchQuotes(ids.guild, "1%0"), NotFoundError, "QUOTES_NOT_FOUND");
+			rejects(() => connector.searchQuotes(ids.guild, "_"), NotFoundError, "QUOTES_NOT_FOUND");
+		});
+
+		it("adds and deletes quotes", () => {
+			const quote = connector.addQuote(ids.guild, ids.carol, "welcome", "Welcome!");
+			assert.deepStrictEqual([quote.keyword, quote.authorId, quote.authorName, quote.text], ["WELCOME", ids.carol, "Carol", "Welcome!"]);
+			assert.strictEqual(connector.addQuote(ids.guild, "999999999999999999", "welcome", "Hi!", "Stranger").authorName, "Stranger");
+			rejects(() => connector.addQuote(ids.guild, "999999999999999999", "welcome", "Hi!"), ValidationError);
+			assert.strictEqual(connector.getQuotes(ids.guild, "WELCOME").length, 2);
+			assert.deepStrictEqual(connector.deleteQuote(ids.guild, quote.id), quote);
+			rejects(() => connector.deleteQuote(ids.guild, quote.id), NotFoundError, "QUOTE_NOT_FOUND");
+			rejects(() => connector.deleteQuote(ids.otherGuild, 1), NotFoundError, "QUOTE_NOT_FOUND");
+		});
+	});
+
+	describe("custom reactions", () => {
+		it("lists guild and global custom reactions", () => {
+			assert.deepStrictEqual(connector.getCustomReactions(ids.guild), [{
+				id: 2, guildId: ids.guild, trigger: "ping", response: "pong",
+				autoDeleteTrigger: false, dmResponse: false, containsAnywhere: true, allowTarget: false,
+				reactions: ["👍", "🏓"]
+			}]);
+			assert.deepStrictEqual(connector.getCustomReactions().map(reaction => [reaction.guildId, reaction.trigger]), [[null, "hi"]]);
+			rejects(() => connector.getCustomReactions(ids.emptyGuild), NotFoundError, "REACTIONS_NOT_FOUND");
+			rejects(() => connector.getCustomReactions("999999999999999999"), NotFoundError, "GUILD_NOT_FOUND");
+		});
+
+		it("adds, edits and deletes custom reactions", () => {
+			const reaction = connector.addCustomReaction(ids.emptyGuild, "Hey", "Hey you");
+			assert.deepStrictEqual([reaction.guildId, reaction.trigger, reaction.response, reaction.dmResponse, reaction.reactions], [ids.emptyGuild, "hey", "Hey you", false, []]);
+			assert.strictEqual(connector.addCustomReaction(undefined, "bye", "Bye!").guildId, null);
+			assert.strictEqual(connector.getCustomReactions().length, 2);
+
+			const edited = connector.editCustomReaction(ids.emptyGuild, reaction.id, "Hey there", undefined, true);
+			assert.deepStrictEqual([edited.response, edited.autoDeleteTrigger, edited.dmResponse], ["Hey there", false, true]);
+			assert.strictEqual(connector.editCustomReaction(ids.emptyGuild, reaction.id, undefined, true).autoDeleteTrigger, true);
+			rejects(() => connector.editCustomReaction(ids.emptyGuild, reaction.id), ValidationError);
+			rejects(() => connector.editCustomReaction(ids.guild, reaction.id, "Hijacked"), NotFoundError, "REACTION_NOT_FOUND");
+			rejects(() => connector.editCustomReaction(undefined, 2, "Hijacked"), NotFoundError, "REACTION_NOT_FOUND");
+
+			assert.deepStrictEqual(connector.deleteCustomReaction(ids.emptyGuild, reaction.id).response, "Hey there");
+			rejects(() => connector.deleteCustomReaction(ids.emptyGuild, reaction.id), NotFoundError, "REACTION_NOT_FOUND");
+		});
+
+		it("rejects writes when read-only", () => {
+			connector.configure([], true);
+			rejects(() => connector.addCustomReaction(ids.guild, "hey", "Hey"), PermissionError, "ENDPOINT_DISABLED");
+			rejects(() => connector.deleteQuote(ids.guild, 1), PermissionError, "ENDPOINT_DISABLED");
+			assert.strictEqual(connector.getCustomReactions(ids.guild).length, 1);
+		});
+	});
+
+	describe("batch", () => {
+		it("runs every call and returns their results", () => {
+			const results = connector.batch([
+				{ endpoint: "subtractCurrency", params: { userId: ids.alice, currency: 100, reason: "Trade" } },
+				{ endpoint: "addGuildXp", params: { userId: ids.alice, guildId: ids.guild, xp: 10 } }
+			]);
+			assert.deepStrictEqual(results.map(result => result.endpoint), ["subtractCurrency", "addGuildXp"]);
+			assert.strictEqual(balance(ids.alice), 400);
+			assert.strictEqual(connector.getGuildXp(ids.alice, ids.guild).awardedXp, 10);
+		});
+
+		it("rolls back every call and emits nothing if one fails", () => {
+			const events = [];
+			for (const event of Connector.events)
+				connector.on(event, data => events.push(event));
+			assert.throws(() => connector.batch([
+				{ endpoint: "addCurrency", params: { userId: ids.bob, currency: 100, reason: "Trade" } },
+				{ endpoint: "subtractCurrency", params: { userId: ids.carol, currency: 1, reason: "Trade" } }
+			]), error => error instanceof InsufficientFundsError && /^Call 1 \(subtractCurrency\) failed:/.test(error.message));
+			assert.strictEqual(balance(ids.bob), 50);
+			assert.strictEqual(balance(ids.bot), 1000000);
+			assert.deepStrictEqual(events, []);
+		});
+
+		it("rejects nested batches", () => {
+			rejects(() => connector.batch([{ endpoint: "batch", params: { calls: [] } }]), ValidationError);
+		});
+	});
+
+	describe("callOnce", () => {
+		const params = { userId: ids.alice, currency: 10, reason: "Prize" };
+
+		it("executes a call only once per key", () => {
+			const first = connector.callOnce("key", "addCurrency", params);
+			const second = connector.callOnce("key", "addCurrency", params);
+			assert.deepStrictEqual(second, first);
+			assert.strictEqual(balance(ids.alice), 510);
+		});
+
+		it("rejects reusing a key for a different call", () => {
+			connector.callOnce("key", "addCurrency", params);
+			rejects(() => connector.callOnce("key", "addCurrency", { ...params, currency: 20 }), ConflictError, "IDEMPOTENCY_KEY_REUSED");
+		});
+
+		it("releases the key if the call fails", () => {
+			const failing = { userId: ids.carol, currency: 10, reason: "Fine" };
+			rejects(() => connector.callOnce("key", "subtractCurrency", failing), InsufficientFundsError);
+			connector.setCurrency(ids.carol, 10);
+			assert.deepStrictEqual(connector.callOnce("key", "subtractCurrency", failing), { userId: ids.carol, currency: 0 });
+		});
+
+		it("returns the result of committed calls whose event listeners fail", () => {
+			const logged = [], received = [];
+			const { error } = console;
+			connector.on("currency.changed", () => {
+				throw new Error("Queue unavailable.");
+			});
+			connector.on("currency.changed", data => received.push(data.userId));
+			console.error = message => logged.push(message);
+			try {
+				assert.deepStrictEqual(connector.callOnce("key", "addCurrency", params), { userId: ids.alice, currency: 510 });
+			}
+			finally {
+				console.error = error;
+			}
+			assert.deepStrictEqual(received, [ids.alice, ids.bot]);
+			assert.deepStrictEqual(logged, ["Listener of currency.changed failed. Queue unavailable.", "Listener of currency.changed failed. Queue unavailable."]);
+			assert.deepStrictEqual(connector.callOnce("key", "addCurrency", params), { userId: ids.alice, currency: 510 });
+			assert.strictEqual(balance(ids.alice), 510);
+		});
+	});
+
+	describe("audit log", () => {
+		it("records calls with the state before and after them", () => {
+			connector.audit("addCurrency", { userId: ids.alice, currency: 10, reason: "Prize" }, { sub: "test" }, () => connector.addCurrency(ids.alice, 10, "Prize"));
+			const [entry] = connector.getAuditLog({ userId: ids.alice });
+			assert.strictEqual(entry.endpoint, "addCurrency");
+			assert.strictEqual(entry.outcome, "success");
+			assert.deepStrictEqual(entry.claims, { sub: "test" });
+			assert.deepStrictEqual(entry.before.currency, { [ids.bot]: 1000000, [ids.alice]: 500 });
+			assert.deepStrictEqual(entry.after.currency, { [ids.bot]: 999990, [ids.alice]: 510 });
+		});
+
+		it("records failed calls", () => {
+			assert.throws(() => connector.audit("subtractCurrency", { userId: ids.carol }, {}, () => connector.subtractCurrency(ids.carol, 1, "Fine")));
+			const [entry] = connector.getAuditLog({ endpoint: "subtractCurrency" });
+			assert.strictEqual(entry.outcome, "error");
+			assert.strictEqual(entry.error, "User does not have the specified currency.");
+		});
+
+		it("filters entries", () => {
+			connector.audit("addCurrency", { userId: ids.alice }, {}, () => null);
+			connector.audit("addGuildXp", { userId: ids.bob, guildId: ids.guild }, {}, () => null);
+			assert.strictEqual(connector.getAuditLog().length, 2);
+			assert.deepStrictEqual(connector.getAuditLog({ guildId: ids.guild }).map(entry => entry.endpoint), ["addGuildXp"]);
+			rejects(() => connector.getAuditLog({ userId: ids.carol }), NotFoundError);
+			rejects(() => connector.getAuditLog({ from: "yesterday" }), ValidationError);
+		});
+	});
+
+	describe("schema versions", () => {
+		const withFixture = (options, callback) => {
+			const versionFixture = createFixture(options);
+			const versionConnector = new Connector(versionFixture.databasePath, versionFixture.credentialsPath, [], false, versionFixture.dataPath);
+			try {
+				versionConnector.initialize();
+				callback(versionConnector, versionFixture);
+			}
+			finally {
+				versionConnector.close();
+				versionFixture.remove();
+			}
+		};
+
+		it("detects version 2 from the bot config table", () => {
+			assert.strictEqual(connector.schema.version, 2);
+			assert.deepStrictEqual(connector.unsupportedEndpoints, {});
+		});
+
+		it("detects the version from the last applied migration", () => {
+			withFixture({ setup: db => db.exec("insert into __EFMigrationsHistory values ('20191206121711_old', '2.2.6')") }, versionConnector => {
+				assert.deepStrictEqual([versionConnector.schema.version, versionConnector.schema.migration], [2, "20191206121711_old"]);
+			});
+			withFixture({ setup: db => db.exec("insert into __EFMigrationsHistory values ('20210621042359_squash', '5.0.7')") }, versionConnector => {
+				assert.strictEqual(versionConnector.schema.version, 3);
+			});
+		});
+
+		it("probes tables and columns without a migration history", () => withFixture({ version: 4, setup: db => db.exec("drop table __EFMigrationsHistory") }, versionConnector => {
+			assert.deepStrictEqual([versionConnector.schema.version, versionConnector.schema.migration], [4, null]);
+		}));
+
+		it("disables endpoints whose tables are missing in version 3", () => withFixture({ version: 3 }, versionConnector => {
+			assert.strictEqual(versionConnector.schema.version, 3);
+			assert.strictEqual(versionConnector.schema.migration, "20210621042359_squash");
+			assert.ok(!versionConnector.endpoints.includes("getBotInfo"));
+			assert.match(versionConnector.unsupportedEndpoints.getBotInfo, /version 3 does not have the BotConfig table/);
+			rejects(() => versionConnector.getBotInfo(), ConnectorError, "ENDPOINT_UNSUPPORTED");
+			rejects(() => versionConnector.checkEndpoint("getbotinfo"), ConnectorError, "ENDPOINT_UNSUPPORTED");
+			assert.strictEqual(versionConnector.getClubInfo(ids.club).name, "Knights#1");
+		}));
+
+		it("reads clubs without discriminators in version 4", () => withFixture({ version: 4 }, (versionConnector, versionFixture) => {
+			assert.strictEqual(versionConnector.schema.version, 4);
+			assert.strictEqual(versionFixture.ids.club, "Knights");
+			assert.deepStrictEqual(versionConnector.getClubLeaderboard().map(club => club.name), ["Knights", "Rogues"]);
+			assert.strictEqual(versionConnector.getClubInfoByUser(ids.bob).name, "Knights");
+			assert.deepStrictEqual(versionConnector.getClubMembers("Knights").map(member => member.userId), [ids.alice, ids.bob]);
+		}));
+
+		it("reads and writes transaction notes in version 4", () => withFixture({ version: 4 }, versionConnector => {
+			assert.deepStrictEqual(versionConnector.getTransactions(ids.alice).map(transaction => transaction.reason), ["Bet", "Timely"]);
+			versionConnector.createTransaction(ids.carol, 5, "Gift");
+			assert.strictEqual(versionConnector.getTransactions(ids.carol)[0].reason, "Gift");
+		}));
+
+		it("reads and writes custom reactions as expressions in version 4", () => withFixture({ version: 4 }, versionConnector => {
+			assert.deepStrictEqual(Object.keys(versionConnector.unsupportedEndpoints), ["getBotInfo"]);
+			assert.strictEqual(versionConnector.getCustomReactions(ids.guild)[0].response, "pong");
+			const reaction = versionConnector.addCustomReaction(ids.guild, "pong", "ping");
+			assert.strictEqual(versionConnector.execSql("select count(*) as 'expressions' from Expressions").rows[0].expressions, 4);
+			assert.strictEqual(versionConnector.getRows("Expressions", [{ column: "Id", op: "eq", value: reaction.id }]).rows[0].Response, "ping");
+		}));
+
+		it("fills only the custom reaction columns a version has", () => withFixture({
+			version: 4,
+			setup: db => db.exec(`
+				create table Expressions_new (Id integer primary key autoincrement, GuildId integer, Response text, Trigger text, AutoDeleteTrigger integer not null, DmResponse integer not null, ContainsAnywhere integer not null, AllowTarget integer not null, Reactions text, DateAdded text);
+				insert into Expressions_new select Id, GuildId, Response, Trigger, AutoDeleteTrigger, DmResponse, ContainsAnywhere, AllowTarget, Reactions, DateAdded from Expressions;
+				drop table Expressions;
+				alter table Expressions_new rename to Expressions;
+			`)
+		}, versionConnector => {
+			const reaction = versionConnector.addCustomReaction(ids.guild, "pong", "ping");
+			assert.deepStrictEqual([reaction.trigger, reaction.response, reaction.allowTarget], ["pong", "ping", false]);
+		}));
+
+		it("fills not null columns of custom reactions", () => {
+			const reaction = connector.addCustomReaction(ids.guild, "Hey", "Hey you");
+			const { rows: [row] } = connector.execSql("select IsRegex, OwnerOnly from CustomReactions where Id = $id", { id: reaction.id });
+			assert.deepStrictEqual(row, { IsRegex: 0, OwnerOnly: 0 });
+		});
+
+		const withoutNotifyMessage = db => {
+			db.pragma("foreign_keys = OFF");
+			db.exec(`
+				create table XpSettings_new (Id integer primary key autoincrement, GuildConfigId integer not null references GuildConfigs (Id), ServerExcluded integer not null default 0, DateAdded text);
+				insert into XpSettings_new select Id, GuildConfigId, ServerExcluded, DateAdded from XpSettings;
+				drop table XpSettings;
+				alter table XpSettings_new rename to XpSettings;
+			`);
+		};
+
+		it("rejects level up messages when XP settings have none", () => withFixture({ setup: withoutNotifyMessage }, versionConnector => {
+			assert.strictEqual(versionConnector.getGuildXpSettings(ids.guild).notifyMessage, null);
+			rejects(() => versionConnector.setGuildXpSettings(ids.guild, undefined, "GG"), ValidationError);
+			assert.strictEqual(versionConnector.setGuildXpSettings(ids.guild, true).serverExcluded, true);
+		}));
+
+		it("reads YAML credentials and bot config in version 3", () => withFixture({ version: 3, credentials: "yml", botConfig: true }, versionConnector => {
+			assert.deepStrictEqual(versionConnector.unsupportedEndpoints, {});
+			assert.deepStrictEqual(versionConnector.getBotInfo(), {
+				id: ids.bot,
+				owners: [ids.owner],
+				prefix: ".",
+				currency: {
+					sign: "🌸", name: "Nadeko Flower", pluralname: null,
+					bet: { minimum: 0, maximum: 100 },
+					generation: { chance: 0.02, cooldown: 10, minimumDrop: 1, maximumDrop: 5 },
+					timely: { amount: 50, timeout: 12 }
+				},
+				xp: { perMessage: 3, timeout: 5 }
+			});
+		}));
+
+		it("prefers YAML bot config to the BotConfig table", () => withFixture({ botConfig: true }, versionConnector => {
+			assert.strictEqual(versionConnector.getBotInfo().currency.name, "Nadeko Flower");
+		}));
+
+		it("reads bot config files again when they change", async () => {
+			const versionFixture = createFixture({ version: 3, botConfig: true });
+			const versionConnector = new Connector(versionFixture.databasePath, versionFixture.credentialsPath, [], false, versionFixture.dataPath);
+			const waitFor = async predicate => {
+				for (let attempt = 0; attempt < 100 && !predicate(); attempt++)
+					await new Promise(resolve => setTimeout(resolve, 20));
+				assert.ok(predicate());
+			};
+			try {
+				versionConnector.initialize();
+				writeFileSync(join(versionFixture.directory, "xp.yml"), "xpPerMessage: 10\nmessageXpCooldown: 1\n");
+				await waitFor(() => versionConnector.getBotInfo().xp.perMessage === 10);
+				unlinkSync(join(versionFixture.directory, "gambling.yml"));
+				await waitFor(() => Boolean(versionConnector.unsupportedEndpoints.getBotInfo));
+				rejects(() => versionConnector.getBotInfo(), ConnectorError, "ENDPOINT_UNSUPPORTED");
+			}
+			finally {
+				versionConnector.close();
+				versionFixture.remove();
+			}
+		});
+
+		it("rejects databases that are not NadekoBot databases", () => {
+			const versionFixture = createFixture({ setup: db => db.exec("alter table DiscordUser rename column CurrencyAmount to Currency") });
+			const versionConnector = new Connector(versionFixture.databasePath, versionFixture.credentialsPath, [], false, versionFixture.dataPath);
+			try {
+				assert.throws(() => versionConnector.initialize(), /not a NadekoBot database/);
+			}
+			finally {
+				versionConnector.db.close();
+				versionConnector.store.close();
+				versionFixture.remove();
+			}
+		});
+	});
+});
\ No newline at end of file
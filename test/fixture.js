@@ -0,0 +1,339 @@
+const { mkdtempSync, rmSync, writeFileSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+const Database = require("better-sqlite3");
+
+/**
+ * IDs of the entities seeded into every fixture.
+ */
+const ids = {
+	bot: "100000000000000001",
+	owner: "100000000000000002",
+	alice: "200000000000000001",
+	bob: "200000000000000002",
+	carol: "200000000000000003",
+	dave: "200000000000000004",
+	guild: "300000000000000001",
+	otherGuild: "300000000000000002",
+	emptyGuild: "300000000000000003",
+	role: "400000000000000001",
+	otherRole: "400000000000000002",
+	channel: "500000000000000001",
+	club: "Knights#1"
+};
+
+/**
+ * Minimal subset of the NadekoBot schema used by the connector.
+ */
+const schema = `
+	create table BotConfig (
+		Id integer primary key autoincrement,
+		MinBet integer not null, MaxBet integer not null,
+		CurrencySign text, CurrencyName text, CurrencyPluralName text,
+		CurrencyGenerationChance real not null, CurrencyGenerationCooldown integer not null,
+		CurrencyDropAmount integer not null, CurrencyDropAmountMax integer,
+		TimelyCurrency integer not null, TimelyCurrencyPeriod integer not null,
+		XpPerMessage integer not null, XpMinutesTimeout integer not null,
+		DateAdded text
+	);
+	create table DiscordUser (
+		Id integer primary key autoincrement,
+		UserId integer not null unique,
+		Username text, Discriminator text, AvatarId text,
+		ClubId integer references Clubs (Id),
+		IsClubAdmin integer not null default 0,
+		TotalXp integer not null default 0,
+		LastLevelUp text, LastXpGain text,
+		NotifyOnLevelUp integer not null default 0,
+		CurrencyAmount integer not null default 0,
+		DateAdded text
+	);
+	create table GuildConfigs (
+		Id integer primary key autoincrement,
+		GuildId integer not null unique,
+		Prefix text,
+		DateAdded text
+	);
+	create table UserXpStats (
+		Id integer primary key autoincrement,
+		UserId integer not null, GuildId integer not null,
+		Xp integer not null default 0, AwardedXp integer not null default 0,
+		NotifyOnLevelUp integer not null default 0,
+		LastLevelUp text,
+		DateAdded text,
+		unique (UserId, GuildId)
+	);
+	create table Clubs (
+		Id integer primary key autoincrement,
+		Name text, Discrim integer not null,
+		ImageUrl text, MinimumLevelReq integer not null, Xp integer not null,
+		OwnerId integer not null references DiscordUser (Id),
+		Description text,
+		DateAdded text
+	);
+	create table CurrencyTransactions (
+		Id integer primary key autoincrement,
+		UserId integer not null, Amount integer not null, Reason text,
+		DateAdded text
+	);
+	create table XpSettings (
+		Id integer primary key autoincrement,
+		GuildConfigId integer not null references GuildConfigs (Id),
+		ServerExcluded integer not null default 0,
+		NotifyMessage text,
+		DateAdded text
+	);
+	create table XpRoleReward (
+		Id integer primary key autoincrement,
+		XpSettingsId integer not null references XpSettings (Id),
+		Level integer not null, RoleId integer not null,
+		DateAdded text
+	);
+	create table XpCurrencyReward (
+		Id integer primary key autoincrement,
+		XpSettingsId integer not null references XpSettings (Id),
+		Level integer not null, Amount integer not null,
+		DateAdded text
+	);
+	create table ExcludedItem (
+		Id integer primary key autoincrement,
+		XpSettingsId integer references XpSettings (Id),
+		ItemId integer not null, ItemType integer not null,
+		DateAdded text
+	);
+	create table WaifuInfo (
+		Id integer primary key autoincrement,
+		WaifuId integer not null unique references DiscordUser (Id),
+		ClaimerId integer references DiscordUser (Id),
+		AffinityId integer references DiscordUser (Id),
+		Price integer not null,
+		DateAdded text
+	);
+	create table WaifuItem (
+		Id integer primary key autoincrement,
+		WaifuInfoId integer references WaifuInfo (Id),
+		ItemEmoji text, Name text,
+		DateAdded text
+	);
+	create table WaifuUpdates (
+		Id integer primary key autoincrement,
+		UserId integer not null references DiscordUser (Id),
+		UpdateType integer not null,
+		OldId integer references DiscordUser (Id),
+		NewId integer references DiscordUser (Id),
+		DateAdded text
+	);
+	create table ShopEntry (
+		Id integer primary key autoincrement,
+		"Index" integer not null, Price integer not null,
+		Name text, AuthorId integer not null,
+		Type integer not null, RoleName text, RoleId integer not null,
+		GuildConfigId integer references GuildConfigs (Id),
+		DateAdded text
+	);
+	create table ShopEntryItem (
+		Id integer primary key autoincrement,
+		Text text,
+		ShopEntryId integer references ShopEntry (Id),
+		DateAdded text
+	);
+	create table Quotes (
+		Id integer primary key autoincrement,
+		GuildId integer not null, Keyword text not null,
+		AuthorName text not null, AuthorId integer not null,
+		Text text not null,
+		DateAdded text
+	);
+	create table CustomReactions (
+		Id integer primary key autoincrement,
+		GuildId integer,
+		Response text, Trigger text,
+		IsRegex integer not null, OwnerOnly integer not null,
+		AutoDeleteTrigger integer not null default 0, DmResponse integer not null default 0,
+		ContainsAnywhere integer not null default 0, AllowTarget integer not null default 0,
+		Reactions text,
+		DateAdded text
+	);
+`;
+
+/**
+ * Seed data: alice and bob have guild XP, alice owns a club bob is a member of, and carol has no guild XP at all.
+ * Dave has the same global XP as bob, to check ties.
+ * Bob claimed alice and dave as waifus, alice and bob have each other as affinity, and alice received gifts.
+ * The guild's shop sells a role and a list of two keys, while the other guild's shop has an empty list.
+ * Both guilds have quotes and a custom reaction, and there is one global custom reaction.
+ * Only the guild has XP settings, with role and currency rewards and an excluded channel.
+ */
+const seed = `
+	insert into BotConfig (MinBet, MaxBet, CurrencySign, CurrencyName, CurrencyPluralName, CurrencyGenerationChance, CurrencyGenerationCooldown, CurrencyDropAmount, CurrencyDropAmountMax, TimelyCurrency, TimelyCurrencyPeriod, XpPerMessage, XpMinutesTimeout, DateAdded)
+		values (0, 0, '🌸', 'Flower', 'Flowers', 0.02, 10, 1, 0, 50, 24, 3, 5, '2020-01-01 00:00:00');
+	insert into DiscordUser (UserId, Username, Discriminator, TotalXp, CurrencyAmount, DateAdded) values
+		(${ids.bot}, 'Nadeko', '0001', 0, 1000000, '2020-01-01 00:00:00'),
+		(${ids.owner}, 'Owner', '0002', 50, 0, '2020-01-01 00:00:00'),
+		(${ids.alice}, 'Alice', '0003', 1200, 500, '2020-01-01 00:00:00'),
+		(${ids.bob}, 'Bob', '0004', 300, 50, '2020-01-01 00:00:00'),
+		(${ids.carol}, 'Carol', '0005', 0, 0, '2020-01-01 00:00:00'),
+		(${ids.dave}, 'Dave', '0006', 300, 10, '2020-01-01 00:00:00');
+	insert into GuildConfigs (GuildId, Prefix, DateAdded) values
+		(${ids.guild}, '.', '2020-01-01 00:00:00'),
+		(${ids.otherGuild}, '!', '2020-01-01 00:00:00'),
+		(${ids.emptyGuild}, '?', '2020-01-01 00:00:00');
+	insert into UserXpStats (UserId, GuildId, Xp, AwardedXp, DateAdded) values
+		(${ids.alice}, ${ids.guild}, 1000, 0, '2020-01-01 00:00:00'),
+		(${ids.bob}, ${ids.guild}, 100, 20, '2020-01-01 00:00:00'),
+		(${ids.dave}, ${ids.guild}, 0, 0, '2020-01-01 00:00:00'),
+		(${ids.bob}, ${ids.otherGuild}, 40, 0, '2020-01-01 00:00:00');
+	insert into Clubs (Name, Discrim, ImageUrl, MinimumLevelReq, Xp, OwnerId, Description, DateAdded) values
+		('Knights', 1, 'https://example.com/knights.png', 5, 500, (select Id from DiscordUser where UserId = ${ids.alice}), 'Round table.', '2020-01-01 00:00:00'),
+		('Rogues', 2, null, 0, 100, (select Id from DiscordUser where UserId = ${ids.owner}), null, '2020-01-01 00:00:00');
+	update DiscordUser set ClubId = 1, IsClubAdmin = 1 where UserId = ${ids.alice};
+	update DiscordUser set ClubId = 1 where UserId = ${ids.bob};
+	update DiscordUser set ClubId = 2, IsClubAdmin = 1 where UserId = ${ids.owner};
+	insert into CurrencyTransactions (UserId, Amount, Reason, DateAdded) values
+		(${ids.alice}, 100, 'Timely', '2020-01-01 00:00:00'),
+		(${ids.alice}, -20, 'Bet', '2020-01-02 00:00:00');
+	insert into XpSettings (GuildConfigId, DateAdded) values (1, '2020-01-01 00:00:00');
+	insert into XpRoleReward (XpSettingsId, Level, RoleId, DateAdded) values (1, 10, ${ids.role}, '2020-01-01 00:00:00');
+	insert into ExcludedItem (XpSettingsId, ItemId, ItemType, DateAdded) values (1, ${ids.channel}, 0, '2020-01-01 00:00:00');
+	insert into XpCurrencyReward (XpSettingsId, Level, Amount, DateAdded) values (1, 5, 100, '2020-01-01 00:00:00'), (1, 2, 10, '2020-01-01 00:00:00');
+	insert into WaifuInfo (WaifuId, ClaimerId, AffinityId, Price, DateAdded) values
+		(3, 4, 4, 200, '2020-01-01 00:00:00'),
+		(4, null, 3, 60, '2020-01-01 00:00:00'),
+		(6, 4, null, 100, '2020-01-01 00:00:00');
+	insert into WaifuItem (WaifuInfoId, ItemEmoji, Name, DateAdded) values
+		(1, '🌹', 'Rose', '2020-01-02 00:00:00'),
+		(1, '🍪', 'Cookie', '2020-01-03 00:00:00'),
+		(1, '🌹', 'Rose', '2020-01-04 00:00:00');
+	insert into WaifuUpdates (UserId, UpdateType, OldId, NewId, DateAdded) values
+		(3, 1, null, 4, '2020-01-02 00:00:00'),
+		(4, 0, null, 3, '2020-01-03 00:00:00'),
+		(3, 0, null, 4, '2020-01-04 00:00:00'),
+		(6, 1, null, 4, '2020-01-05 00:00:00');
+	insert into ShopEntry ("Index", Price, Name, AuthorId, Type, RoleName, RoleId, GuildConfigId, DateAdded) values
+		(0, 100, '', ${ids.owner}, 0, 'Member', ${ids.role}, 1, '2020-01-01 00:00:00'),
+		(1, 30, 'Keys', ${ids.owner}, 1, null, 0, 1, '2020-01-01 00:00:00'),
+		(0, 10, 'Codes', ${ids.owner}, 1, null, 0, 2, '2020-01-01 00:00:00');
+	insert into ShopEntryItem (Text, ShopEntryId, DateAdded) values
+		('KEY-1', 2, '2020-01-01 00:00:00'),
+		('KEY-2', 2, '2020-01-02 00:00:00');
+	insert into Quotes (GuildId, Keyword, AuthorName, AuthorId, Text, DateAdded) values
+		(${ids.guild}, 'HELLO', 'Alice', ${ids.alice}, 'Hello there!', '2020-01-01 00:00:00'),
+		(${ids.guild}, 'BYE', 'Alice', ${ids.alice}, 'Goodbye, 100% of the time.', '2020-01-02 00:00:00'),
+		(${ids.guild}, 'HELLO', 'Bob', ${ids.bob}, 'Hello, world.', '2020-01-03 00:00:00'),
+		(${ids.otherGuild}, 'HELLO', 'Bob', ${ids.bob}, 'Hello from elsewhere.', '2020-01-04 00:00:00');
+	insert into CustomReactions (GuildId, Trigger, Response, IsRegex, OwnerOnly, ContainsAnywhere, Reactions, DateAdded) values
+		(null, 'hi', 'Hello %user%', 0, 0, 0, null, '2020-01-01 00:00:00'),
+		(${ids.guild}, 'ping', 'pong', 0, 0, 1, '👍@@@🏓', '2020-01-01 00:00:00'),
+		(${ids.otherGuild}, 'ping', 'pang', 0, 0, 0, null, '2020-01-01 00:00:00');
+`;
+
+/**
+ * Migrations from the seeded version 2 schema to later versions, keyed by the version they migrate to.
+ * Version 3 moved the bot config to YAML files, and version 4 dropped club discriminators and transaction reasons and renamed custom reactions to expressions.
+ */
+const migrations = {
+	3: `
+		drop table BotConfig;
+		insert into __EFMigrationsHistory (MigrationId, ProductVersion) values ('20210621042359_squash', '5.0.7');
+	`,
+	4: `
+		create table Clubs_new (
+			Id integer primary key autoincrement,
+			Name text unique,
+			ImageUrl text, MinimumLevelReq integer not null, Xp integer not null,
+			OwnerId integer not null references DiscordUser (Id),
+			Description text,
+			DateAdded text
+		);
+		insert into Clubs_new select Id, Name, ImageUrl, MinimumLevelReq, Xp, OwnerId, Description, DateAdded from Clubs;
+		drop table Clubs;
+		alter table Clubs_new rename to Clubs;
+		create table CurrencyTransactions_new (
+			Id integer primary key autoincrement,
+			UserId integer not null, Amount integer not null,
+			Type text not null, Extra text not null, OtherId integer, Note text,
+			DateAdded text
+		);
+		insert into CurrencyTransactions_new select Id, UserId, Amount, 'legacy', '', null, Reason, DateAdded from CurrencyTransactions;
+		drop table CurrencyTransactions;
+		alter table CurrencyTransactions_new rename to CurrencyTransactions;
+		alter table CustomReactions rename to Expressions;
+		insert into __EFMigrationsHistory (MigrationId, ProductVersion) values ('20220623090718_stondel-db-cache', '6.0.6');
+	`
+};
+
+/**
+ * YAML config files of later NadekoBot versions, by file name.
+ */
+const configFiles = {
+	"bot.yml": "version: 1\nprefix: .\ncolor:\n  ok: 00e584\n",
+	"gambling.yml": [
+		"version: 2",
+		"currency:",
+		"  sign: 🌸",
+		"  name: Nadeko Flower",
+		"minBet: 0",
+		"maxBet: 100",
+		"generation:",
+		"  chance: 0.02",
+		"  genCooldown: 10",
+		"  minAmount: 1",
+		"  maxAmount: 5",
+		"timely:",
+		"  amount: 50",
+		"  cooldown: 12",
+		"waifu:",
+		"  minPrice: 20",
+		"  multipliers:",
+		"    giftEffect: 0.5",
+		"    negativeGiftEffect: 0.25",
+		"  items:",
+		"  - itemEmoji: 🌷",
+		"    price: 40",
+		"    name: Tulip",
+		"  - itemEmoji: 🧅",
+		"    price: 100",
+		"    name: Onion",
+		"    negative: true",
+		""
+	].join("\n"),
+	"xp.yml": "version: 2\nxpPerMessage: 3\nmessageXpCooldown: 5\nvoiceXpPerMinute: 0\n"
+};
+
+/**
+ * Create a synthetic NadekoBot database and credentials file in a new temporary directory.
+ * @param {Object} [options={}] Fixture options.
+ * @param {Number} [options.version=2] Version of the NadekoBot schema to create.
+ * @param {String} [options.credentials="json"] Format of the credentials file, either json for credentials.json or yml for creds.yml.
+ * @param {Boolean} [options.botConfig=false] Whether to write the YAML config files of later NadekoBot versions next to the database.
+ * @param {Function} [options.setup] Function called with the database after it is seeded, to add more data.
+ * @returns {Object} Paths to the database, credentials and connector state, the seeded IDs, and a function to remove the fixture.
+ */
+const createFixture = ({ version = 2, credentials = "json", botConfig = false, setup } = {}) => {
+	const directory = mkdtempSync(join(tmpdir(), "nadekoconnector-"));
+	const databasePath = join(directory, "NadekoBot.db");
+	const credentialsPath = join(directory, credentials === "yml" ? "creds.yml" : "credentials.json");
+	const db = new Database(databasePath);
+	db.exec(schema);
+	db.exec(seed);
+	db.pragma("foreign_keys = OFF");
+	db.exec("create table __EFMigrationsHistory (MigrationId text primary key, ProductVersion text not null)");
+	for (let migration = 3; migration <= version; migration++) db.exec(migrations[migration]);
+	db.pragma("foreign_keys = ON");
+	if (setup) setup(db);
+	db.close();
+	if (credentials === "yml")
+		writeFileSync(credentialsPath, `version: 7\ntoken: ${Buffer.from(ids.bot).toString("base64")}.GxYzAb.signature\nownerIds:\n  - ${ids.owner}\n`);
+	else
+		writeFileSync(credentialsPath, `{ "ClientId": ${ids.bot}, "OwnerIds": [${ids.owner}] }`);
+	if (botConfig)
+		for (const [fileName, data] of Object.entries(configFiles)) writeFileSync(join(directory, fileName), data);
+	return {
+		directory, databasePath, credentialsPath,
+		dataPath: join(directory, "data", "connector.db"),
+		ids: version >= 4 ? { ...ids, club: "Knights" } : ids,
+		remove: () => rmSync(directory, { recursive: true, force: true })
+	};
+};
+
+module.exports = { createFixture, ids };
\ No newline at end of file
@@ -0,0 +1,60 @@
+const assert = require("assert");
+
+const endpoints = require("../helpers/endpoints.js");
+const openapi = require("../helpers/openapi.js");
+
+describe("openapi", () => {
+	it("describes a POST and a GET route for every given endpoint", () => {
+		const { paths } = openapi(["getCurrency", "addCurrency"]);
+		assert.deepStrictEqual(Object.keys(paths), ["/getcurrency", "/getcurrency/{token}", "/addcurrency", "/addcurrency/{token}", "/stream/{token}"]);
+		assert.strictEqual(paths["/getcurrency"].post.operationId, "getCurrency");
+		assert.strictEqual(paths["/getcurrency/{token}"].get.operationId, "getCurrencyByPath");
+		assert.deepStrictEqual(paths["/addcurrency"].post.tags, ["write"]);
+	});
+
+	it("describes token payloads with required parameters, defaults and ranges", () => {
+		const { components: { schemas } } = openapi(["getTransactions", "addCurrency"]);
+		const transactions = schemas.GetTransactionsPayload;
+		assert.deepStrictEqual(transactions.required, ["userId"]);
+		assert.deepStrictEqual(transactions.properties.startPosition, { type: "integer", description: "Start position/offset of the page.", default: 0, minimum: 0, maximum: 100000 });
+		assert.ok(!("jti" in transactions.properties));
+		assert.deepStrictEqual(schemas.AddCurrencyPayload.required, ["userId", "currency", "reason", "jti"]);
+	});
+
+	it("describes the patterns, lengths and item counts of parameters", () => {
+		const { components: { schemas } } = openapi(["addCurrency", "batch"]);
+		const { userId, reason } = schemas.AddCurrencyPayload.properties;
+		assert.strictEqual(userId.pattern, "^\\d{17,20}$");
+		assert.deepStrictEqual([reason.pattern, reason.maxLength], ["\\S", endpoints.addCurrency.params.reason.maxLength]);
+		const { calls } = schemas.BatchPayload.properties;
+		assert.deepStrictEqual([calls.minItems, calls.maxItems], [1, 100]);
+	});
+
+	it("describes the results of endpoints", () => {
+		const { paths } = openapi(["getCurrency"]);
+		assert.deepStrictEqual(paths["/getcurrency"].post.responses[200].content["application/json"].schema, endpoints.getCurrency.result);
+	});
+
+	it("describes the errors of endpoints by status", () => {
+		const { paths, components: { schemas } } = openapi(["getCurrency"]);
+		const { responses } = paths["/getcurrency/{token}"].get;
+		assert.deepStrictEqual(Object.keys(responses), ["200", "400", "401", "403", "404", "409", "422", "429", "500", "501", "503"]);
+		assert.deepStrictEqual(responses[422].content["application/json"].schema, { $ref: "#/components/schemas/Error" });
+		assert.ok(responses[429].headers["Retry-After"]);
+		assert.ok(!responses[400].headers);
+		assert.deepStrictEqual(schemas.Error.required, ["error", "code", "message"]);
+		assert.ok(openapi(["execSql"]).paths["/execsql"].post.responses[408]);
+	});
+
+	it("describes monitoring routes only when they are enabled", () => {
+		assert.ok(!openapi([]).paths["/health"]);
+		assert.ok(!openapi([]).paths["/metrics"]);
+		const { paths } = openapi([], { health: true, metrics: true });
+		assert.ok(paths["/health"] && paths["/metrics"]);
+	});
+
+	it("describes the base path of bots sharing a port", () => {
+		assert.deepStrictEqual(openapi([], { basePath: "/bots/alpha" }).servers, [{ url: "/bots/alpha" }]);
+		assert.ok(!("servers" in openapi([])));
+	});
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+const assert = require("assert");
+
+const { RateLimitError } = require("../helpers/errors.js");
+const RateLimiter = require("../helpers/ratelimiter.js");
+
+describe("RateLimiter", () => {
+	const limited = (callback, code = "RATE_LIMITED") => assert.throws(callback, error => error instanceof RateLimitError && error.code === code);
+
+	it("rejects invalid settings", () => {
+		assert.throws(() => new RateLimiter(null), /Invalid rate limit settings/);
+		assert.throws(() => new RateLimiter({ requests: { capacity: 0, refillRate: 1 } }), /requests/);
+		assert.throws(() => new RateLimiter({ requests: { endpoints: { getCurrency: { capacity: 1 } } } }), /getCurrency/);
+		assert.throws(() => new RateLimiter({ quotas: { gold: { limit: 1, window: 1 } } }), /currency or xp/);
+		assert.throws(() => new RateLimiter({ quotas: { xp: { limit: 1, window: 0 } } }), /Invalid quota/);
+	});
+
+	it("does not limit endpoints without a bucket", () => {
+		const limiter = new RateLimiter({ requests: { endpoints: { getGlobalRank: { capacity: 1, refillRate: 1 } } } });
+		for (let i = 0; i < 5; i++) limiter.consume("getCurrency", ["sub:a"]);
+		limiter.consume("getGlobalRank", ["sub:a"]);
+		limited(() => limiter.consume("getGlobalRank", ["sub:a"]));
+	});
+
+	it("limits each endpoint separately, with per-endpoint overrides", () => {
+		const limiter = new RateLimiter({ requests: { capacity: 2, refillRate: 1, endpoints: { getGlobalRank: { capacity: 1, refillRate: 0.5 } } } });
+		limiter.consume("getCurrency", ["sub:a"]);
+		limiter.consume("getCurrency", ["sub:a"]);
+		limited(() => limiter.consume("getCurrency", ["sub:a"]));
+		limiter.consume("getGlobalRank", ["sub:a"]);
+		assert.throws(() => limiter.consume("getGlobalRank", ["sub:a"]), error => error.retryAfter === 2);
+	});
+
+	it("limits by IP address across subjects without taking tokens from rejected requests", () => {
+		const limiter = new RateLimiter({ requests: { capacity: 2, refillRate: 1 } });
+		limiter.consume("getCurrency", ["sub:a", "ip:1"]);
+		limiter.consume("getCurrency", ["sub:b", "ip:1"]);
+		limited(() => limiter.consume("getCurrency", ["sub:c", "ip:1"]));
+		limiter.consume("getCurrency", ["sub:c", "ip:2"]);
+		limiter.consume("getCurrency", ["sub:c", "ip:2"]);
+	});
+
+	it("refills buckets over time", async () => {
+		const limiter = new RateLimiter({ requests: { capacity: 1, refillRate: 20 } });
+		limiter.consume("getCurrency", ["sub:a"]);
+		limited(() => limiter.consume("getCurrency", ["sub:a"]));
+		await new Promise(resolve => setTimeout(resolve, 60));
+		limiter.consume("getCurrency", ["sub:a"]);
+	});
+
+	it("enforces rolling quotas per subject and reports when they free up", () => {
+		const limiter = new RateLimiter({ quotas: { currency: { limit: 100, window: 60 }, xp: { limit: 10, window: 30 } } });
+		limiter.checkQuota("sub:a", { currency: 60, xp: 10 });
+		limiter.recordQuota("sub:a", { currency: 60, xp: 10 });
+		limiter.checkQuota("sub:a", { currency: 40 });
+		limiter.checkQuota("sub:b", { currency: 100, xp: 10 });
+		assert.throws(() => limiter.checkQuota("sub:a", { currency: 41 }), error => error.code === "QUOTA_EXCEEDED" && error.retryAfter === 60);
+		assert.throws(() => limiter.checkQuota("sub:a", { xp: 1 }), error => error.code === "QUOTA_EXCEEDED" && error.retryAfter === 30);
+	});
+});
\ No newline at end of file
@@ -0,0 +1,736 @@
+const assert = require("assert");
+const { createHmac } = require("crypto");
+const { readFileSync, renameSync } = require("fs");
+const http = require("http");
+const net = require("net");
+const { join } = require("path");
+const jwt = require("jsonwebtoken");
+
+const Client = require("../helpers/client.js");
+const endpoints = require("../helpers/endpoints.js");
+const { AuthenticationError, ConnectorError, InsufficientFundsError, NotFoundError, PermissionError, RateLimitError, ValidationError } = require("../helpers/errors.js");
+const Host = require("../helpers/host.js");
+const server = require("../helpers/server.js");
+const Store = require("../helpers/store.js");
+const generateTypings = require("../helpers/typings.js");
+const { createFixture, ids } = require("./fixture.js");
+
+const password = "test password";
+
+/**
+ * Find a free local port.
+ * @returns {Promise<Number>} The port.
+ */
+const getPort = () => new Promise((resolve, reject) => {
+	const probe = net.createServer();
+	probe.unref();
+	probe.on("error", reject);
+	probe.listen(0, () => {
+		const { port } = probe.address();
+		probe.close(() => resolve(port));
+	});
+});
+
+/**
+ * Start a server for a fixture.
+ * @param {Object} fixture The fixture.
+ * @param {Object} [settings={}] Additional bot settings.
+ * @returns {Promise<server>} The initialized server.
+ */
+const startServer = async (fixture, settings = {}) => new server({
+	port: await getPort(),
+	password,
+	databasePath: fixture.databasePath,
+	credentialsPath: fixture.credentialsPath,
+	dataPath: fixture.dataPath,
+	logRequests: false,
+	...settings
+}).initialize();
+
+/**
+ * Send a raw request to a server.
+ * @param {server} instance The server.
+ * @param {String} method HTTP method.
+ * @param {String} path Path of the request.
+ * @param {Object} [options={}] Request options.
+ * @param {Object} [options.headers={}] Request headers.
+ * @param {String} [options.body] Request body.
+ * @returns {Promise<Object>} Status, headers and body of the response, with JSON bodies parsed.
+ */
+const request = (instance, method, path, { headers = {}, body } = {}) => new Promise((resolve, reject) => {
+	const outgoing = http.request({ host: "127.0.0.1", port: instance.port, method, path, headers }, response => {
+		let data = "";
+		response.setEncoding("utf8");
+		response.on("data", chunk => data += chunk);
+		response.on("end", () => resolve({
+			status: response.statusCode,
+			headers: response.headers,
+			body: /json/.test(response.headers["content-type"]) ? JSON.parse(data) : data
+		}));
+	});
+	outgoing.on("error", reject);
+	outgoing.end(body);
+});
+
+const sign = (payload, options) => jwt.sign(payload, password, options);
+
+const rejectsWith = async (promise, ErrorClass, code) => {
+	await assert.rejects(promise, error => {
+		assert.ok(error instanceof ErrorClass, `Expected ${ErrorClass.name}, got ${error.name}: ${error.message}`);
+		if (code) assert.strictEqual(error.code, code);
+		return true;
+	});
+};
+
+/**
+ * Find where a value does not match a result schema.
+ * @param {Object} schema Result schema of an endpoint.
+ * @param {*} value The value.
+ * @param {String} [path="result"] Path of the value, for messages.
+ * @returns {[String]} Descriptions of the mismatches.
+ */
+const mismatches = (schema, value, path = "result") => {
+	if (value === null) return schema.nullable || !schema.type && !schema.oneOf ? [] : [`${path} is null`];
+	if (schema.oneOf) {
+		const options = schema.oneOf.map(option => mismatches(option, value, path));
+		return options.some(option => !option.length) ? [] : [].concat(...options);
+	}
+	if (!schema.type) return [];
+	const type = Array.isArray(value) ? "array" : Number.isInteger(value) ? "integer" : typeof value;
+	if (type !== schema.type && !(schema.type === "number" && type === "integer")) return [`${path} is ${type} instead of ${schema.type}`];
+	if (schema.enum && !schema.enum.includes(value)) return [`${path} is ${value}, not one of ${schema.enum.join(", ")}`];
+	if (type === "array") return [].concat(...value.map((item, index) => mismatches(schema.items, item, `${path}[${index}]`)));
+	if (type !== "object" || !schema.properties) return [];
+	return [
+		...Object.keys(schema.properties).filter(key => !(key in value)).map(key => `${path}.${key} is missing`),
+		...Object.keys(value).filter(key => !(key in schema.properties)).map(key => `${path}.${key} is not described`),
+		...[].concat(...Object.keys(schema.properties).filter(key => key in value).map(key => mismatches(schema.properties[key], value[key], `${path}.${key}`)))
+	];
+};
+
+describe("server", () => {
+	let fixture, instance, client;
+
+	beforeEach(async () => {
+		fixture = createFixture();
+		instance = await startServer(fixture);
+		client = new Client({ url: `http://127.0.0.1:${instance.port}`, password, subject: "tests" });
+	});
+
+	afterEach(async () => {
+		await instance.close();
+		fixture.remove();
+	});
+
+	describe("endpoints", () => {
+		/**
+		 * Arguments and a check of the result for every endpoint, called in order through the client.
+		 */
+		const calls = {
+			getBotInfo: [[], result => result.id === ids.bot],
+			getTables: [[], result => result.tables.includes("DiscordUser")],
+			getFields: [["Clubs"], result => result.fields.includes("Name")],
+			getRows: [["DiscordUser", [{ column: "UserId", op: "eq", value: ids.alice }]], result => result.total === 1 && result.rows[0].Username === "Alice"],
+			execSql: [["select 1 as 'one'"], result => result.rows[0].one === 1],
+			batch: [[[{ endpoint: "getCurrency", params: { userId: ids.alice } }]], result => result[0].result.currency === 500],
+			getCurrency: [[ids.alice], result => result.currency === 500],
+			setCurrency: [[ids.carol, 5], result => result.currency === 5],
+			addCurrency: [[ids.alice, 10, "Test"], result => result.currency === 510],
+			subtractCurrency: [[ids.alice, 20, "Test"], result => result.currency === 490],
+			transferCurrency: [[ids.alice, ids.bob, 90, "Test"], result => result.from.currency === 400 && result.to.currency === 140],
+			createTransaction: [[ids.carol, 1, "Test"], result => typeof result.transactionId === "number"],
+			getTransactions: [[ids.alice, 0, 2], result => result.length === 2 && result[0].amount === -90],
+			getGuildRank: [[ids.bob, ids.guild], result => result.rank === 2],
+			getGuildXp: [[ids.bob, ids.guild], result => result.totalXp === 120],
+			setGuildXp: [[ids.bob, ids.guild, 100, 0], result => result.totalXp === 100],
+			addGuildXp: [[ids.bob, ids.guild, 30], result => result.awardedXp === 30],
+			subtractGuildXp: [[ids.bob, ids.guild, 10], result => result.awardedXp === 20],
+			awardGuildXp: [[ids.bob, ids.guild, -5], result => result.awardedXp === 15],
+			getGuildXpLeaderboard: [[ids.guild], result => result.length === 3 && result[0].userId === ids.alice],
+			getGuildXpRoleRewards: [[ids.guild], result => result[0].roleId === ids.role],
+			getGuildXpCurrencyRewards: [[ids.guild], result => result.length === 2],
+			setGuildXpRoleReward: [[ids.guild, 20, ids.role], result => result.level === 20],
+			removeGuildXpRoleReward: [[ids.guild, 20], result => result.roleId === ids.role],
+			setGuildXpCurrencyReward: [[ids.guild, 20, 200], result => result.amount === 200],
+			removeGuildXpCurrencyReward: [[ids.guild, 20], result => result.amount === 200],
+			getGuildXpSettings: [[ids.guild], result => result.exclusions[0].id === ids.channel],
+			setGuildXpSettings: [[ids.guild, true], result => result.serverExcluded],
+			addGuildXpExclusion: [[ids.guild, "role", ids.role], result => result.type === "role"],
+			removeGuildXpExclusion: [[ids.guild, "channel", ids.channel], result => result.id === ids.channel],
+			getGlobalRank: [[ids.alice], result => result.rank === 1],
+			getGlobalXp: [[ids.alice], result => result.globalXp === 1200],
+			getGlobalXpLeaderboard: [[0, 3], result => result.length === 3],
+			getClubLeaderboard: [[], result => result[0].name === "Knights#1"],
+			getClubInfo: [[ids.club], result => result.owner === ids.alice],
+			getClubInfoByUser: [[ids.bob], result => result.name === "Knights#1"],
+			getClubMembers: [[ids.club], result => result.length === 2],
+			getWaifuInfo: [[ids.alice], result => result.claimerId === ids.bob],
+			getWaifuLeaderboard: [[], result => result[0].userId === ids.alice],
+			getWaifuItems: [[ids.alice], result => result[0].count === 2],
+			getWaifuHistory: [[ids.alice], result => result.length === 2],
+			setWaifuPrice: [[ids.dave, 120], result => result.price === 120],
+			giftWaifuItem: [[ids.carol, ids.dave, "Potato"], result => result.waifu.price === 124],
+			getShopEntries: [[ids.guild], result => result.length === 2],
+			getShopEntry: [[ids.guild, 1], result => result.items.length === 2],
+			addShopEntry: [[ids.guild, ids.owner, "list", 5, "Codes"], result => result.index === 2],
+			editShopEntry: [[ids.guild, 2, 1], result => result.price === 1],
+			addShopEntryItem: [[ids.guild, 2, "CODE-1"], result => result.text === "CODE-1"],
+			removeShopEntryItem: [[ids.guild, 1, 1], result => result.text === "KEY-1"],
+			buyShopEntry: [[ids.guild, 2, ids.alice], result => result.item === "CODE-1"],
+			removeShopEntry: [[ids.guild, 2], result => result.name === "Codes"],
+			getQuotes: [[ids.guild, "hello"], result => result.length === 2],
+			searchQuotes: [[ids.guild, "world"], result => result[0].authorId === ids.bob],
+			addQuote: [[ids.guild, ids.carol, "welcome", "Welcome!"], result => result.keyword === "WELCOME" && result.authorName === "Carol"],
+			deleteQuote: [[ids.guild, 1], result => result.text === "Hello there!"],
+			getCustomReactions: [[ids.guild], result => result[0].trigger === "ping"],
+			addCustomReaction: [[undefined, "hey", "Hey you"], result => result.guildId === null],
+			editCustomReaction: [[ids.guild, 2, undefined, undefined, true], result => result.dmResponse && result.response === "pong"],
+			deleteCustomReaction: [[ids.guild, 2], result => result.trigger === "ping"],
+			getAuditLog: [[{ endpoint: "addCurrency" }], result => result[0].claims.sub === "tests"]
+		};
+
+		it("has a test for every endpoint", () => {
+			assert.deepStrictEqual(Object.keys(calls).sort(), Object.keys(endpoints).sort());
+		});
+
+		it("serves every endpoint", async () => {
+			for (const [endpoint, [args, check]] of Object.entries(calls)) {
+				const result = await client[endpoint](...args);
+				assert.ok(check(result), `Unexpected result from ${endpoint}: ${JSON.stringify(result)}`);
+				assert.deepStrictEqual(mismatches(endpoints[endpoint].result, result), [], `Result of ${endpoint} does not match its schema`);
+			}
+		});
+	});
+
+	describe("requests", () => {
+		it("takes tokens from the path, the Authorization header and the body", async () => {
+			const token = sign({ userId: ids.alice });
+			const responses = await Promise.all([
+				request(instance, "GET", `/getcurrency/${token}`),
+				request(instance, "POST", "/getcurrency", { headers: { Authorization: `Bearer ${token}` } }),
+				request(instance, "POST", "/getcurrency", { headers: { "Content-Type": "application/json" }, body: JSON.stringify({ token }) }),
+				request(instance, "POST", "/getcurrency", { headers: { "Content-Type": "text/plain" }, body: token })
+			]);
+			for (const response of responses)
+				assert.deepStrictEqual([response.status, response.body], [200, { userId: ids.alice, currency: 500 }]);
+		});
+
+		it("reads large integers in tokens without precision loss", async () => {
+			const token = jwt.sign(`{"userId":${ids.alice}}`, password);
+			const response = await request(instance, "GET", `/getcurrency/${token}`);
+			assert.strictEqual(response.body.userId, ids.alice);
+		});
+
+		it("reads integers longer than 15 digits that numbers can hold as numbers", async () => {
+			const token = jwt.sign(`{"userId":${ids.alice},"currency":1000000000000000,"jti":"large"}`, password);
+			const response = await request(instance, "GET", `/setcurrency/${token}`);
+			assert.deepStrictEqual([response.status, response.body], [200, { userId: ids.alice, currency: 1000000000000000 }]);
+		});
+
+		it("responds with typed errors and matching statuses", async () => {
+			const cases = [
+				[request(instance, "POST", "/getcurrency"), 401, "TOKEN_MISSING"],
+				[request(instance, "GET", `/getcurrency/${jwt.sign({ userId: ids.alice }, "wrong")}`), 401, "TOKEN_INVALID"],
+				[request(instance, "GET", `/getcurrency/${sign({ userId: ids.alice, exp: 1 })}`), 401, "TOKEN_EXPIRED"],
+				[request(instance, "GET", `/getcurrency/${sign({ userId: "1" })}`), 400, "INVALID_PARAMS"],
+				[request(instance, "GET", `/getcurrency/${sign({ userId: "999999999999999999" })}`), 404, "USER_NOT_FOUND"],
+				[request(instance, "GET", `/addcurrency/${sign({ userId: ids.alice, currency: 1, reason: "Test" })}`), 400, "JTI_REQUIRED"],
+				[request(instance, "GET", `/subtractcurrency/${sign({ userId: ids.carol, currency: 1, reason: "Test", jti: "1" })}`), 422, "INSUFFICIENT_FUNDS"],
+				[request(instance, "GET", "/nothing"), 404, "ROUTE_NOT_FOUND"]
+			];
+			for (const [response, status, code] of cases) {
+				const { status: actualStatus, body } = await response;
+				assert.deepStrictEqual([actualStatus, body.code], [status, code], body.message);
+			}
+		});
+
+		it("replays write requests with a used jti instead of repeating them", async () => {
+			const first = await client.call("addCurrency", { userId: ids.alice, currency: 10, reason: "Test" }, { jti: "once" });
+			const second = await client.call("addCurrency", { userId: ids.alice, currency: 10, reason: "Test" }, { jti: "once" });
+			assert.deepStrictEqual(second, first);
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 510);
+		});
+
+		it("remembers used jtis across restarts", async () => {
+			const first = await client.call("addCurrency", { userId: ids.alice, currency: 10, reason: "Test" }, { jti: "once" });
+			await instance.close();
+			instance = await startServer(fixture);
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password });
+			assert.deepStrictEqual(await client.call("addCurrency", { userId: ids.alice, currency: 10, reason: "Test" }, { jti: "once" }), first);
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 510);
+		});
+
+		it("rejects disabled endpoints", async () => {
+			await instance.close();
+			instance = await startServer(fixture, { disabledEndpoints: ["getCurrency"] });
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password });
+			await rejectsWith(client.getCurrency(ids.alice), PermissionError, "ENDPOINT_DISABLED");
+		});
+
+		it("rejects write endpoints when read-only", async () => {
+			await instance.close();
+			instance = await startServer(fixture, { readOnly: true });
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password });
+			await rejectsWith(client.addCurrency(ids.alice, 1, "Test"), PermissionError, "ENDPOINT_DISABLED");
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 500);
+		});
+	});
+
+	describe("audit log", () => {
+		it("records write requests with their claims, parameters and state", async () => {
+			await client.getCurrency(ids.alice);
+			await client.addCurrency(ids.alice, 10, "Prize");
+			await rejectsWith(client.subtractCurrency(ids.carol, 1, "Fine"), InsufficientFundsError);
+			const [failed, succeeded, ...rest] = await client.getAuditLog();
+			assert.deepStrictEqual(rest, []);
+			assert.deepStrictEqual(Object.keys(succeeded.claims).sort(), ["exp", "iat", "jti", "sub"]);
+			assert.strictEqual(succeeded.claims.sub, "tests");
+			assert.deepStrictEqual(succeeded.params, { userId: ids.alice, currency: 10, reason: "Prize" });
+			assert.deepStrictEqual([succeeded.before.currency[ids.alice], succeeded.after.currency[ids.alice]], [500, 510]);
+			assert.deepStrictEqual([failed.endpoint, failed.outcome, failed.error], ["subtractCurrency", "error", "User does not have the specified currency."]);
+			assert.deepStrictEqual(failed.after, failed.before);
+		});
+
+		it("filters entries by user and endpoint", async () => {
+			await client.addCurrency(ids.alice, 10, "Prize");
+			await client.addCurrency(ids.bob, 10, "Prize");
+			await client.setGuildXp(ids.alice, ids.guild, 100, 0);
+			assert.deepStrictEqual((await client.getAuditLog({ userId: ids.alice })).map(entry => entry.endpoint), ["setGuildXp", "addCurrency"]);
+			assert.deepStrictEqual((await client.getAuditLog({ endpoint: "addCurrency" })).map(entry => entry.params.userId), [ids.bob, ids.alice]);
+		});
+	});
+
+	describe("scopes", () => {
+		const scoped = scope => new Client({ url: `http://127.0.0.1:${instance.port}`, password, scope });
+
+		it("restricts endpoints", async () => {
+			const scopedClient = scoped({ endpoints: ["getCurrency"] });
+			assert.strictEqual((await scopedClient.getCurrency(ids.alice)).currency, 500);
+			await rejectsWith(scopedClient.getGlobalXp(ids.alice), PermissionError, "SCOPE_DENIED");
+		});
+
+		it("restricts guilds and users", async () => {
+			await rejectsWith(scoped({ guilds: [ids.otherGuild] }).getGuildXp(ids.bob, ids.guild), PermissionError);
+			await rejectsWith(scoped({ guilds: [ids.guild] }).getCurrency(ids.alice), PermissionError);
+			await rejectsWith(scoped({ users: [ids.bob] }).transferCurrency(ids.alice, ids.bob, 1, "Test"), PermissionError);
+			assert.strictEqual((await scoped({ guilds: [ids.guild], users: [ids.bob] }).getGuildXp(ids.bob, ids.guild)).totalXp, 120);
+		});
+
+		it("restricts currency amounts and writes", async () => {
+			await rejectsWith(scoped({ maxCurrency: 5 }).addCurrency(ids.alice, 10, "Test"), PermissionError);
+			await rejectsWith(scoped({ readOnly: true }).addCurrency(ids.alice, 1, "Test"), PermissionError);
+			await rejectsWith(scoped({ maxCurrency: -1 }).getCurrency(ids.alice), ValidationError, "INVALID_SCOPE");
+		});
+
+		it("restricts the currency a set actually changes", async () => {
+			await rejectsWith(scoped({ maxCurrency: 10 }).setCurrency(ids.alice, 0), PermissionError, "SCOPE_DENIED");
+			await rejectsWith(scoped({ maxCurrency: 10 }).setCurrency(ids.alice, 10), PermissionError, "SCOPE_DENIED");
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 500);
+			assert.strictEqual((await scoped({ maxCurrency: 10 }).setCurrency(ids.alice, 490)).currency, 490);
+		});
+
+		it("restricts the price of waifu gifts", async () => {
+			await rejectsWith(scoped({ maxCurrency: 10 }).giftWaifuItem(ids.bob, ids.carol, "Rose"), PermissionError, "SCOPE_DENIED");
+			assert.strictEqual((await client.getCurrency(ids.bob)).currency, 50);
+			assert.strictEqual((await scoped({ maxCurrency: 50 }).giftWaifuItem(ids.bob, ids.carol, "Rose")).currency, 0);
+		});
+
+		it("restricts the price of shop purchases", async () => {
+			await rejectsWith(scoped({ maxCurrency: 10 }).buyShopEntry(ids.guild, 0, ids.alice), PermissionError, "SCOPE_DENIED");
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 500);
+			assert.strictEqual((await scoped({ maxCurrency: 100 }).buyShopEntry(ids.guild, 0, ids.alice)).currency, 400);
+		});
+
+		it("denies endpoints whose currency changes are not measured to tokens with a maxCurrency", async () => {
+			const limited = scoped({ maxCurrency: 5 });
+			await rejectsWith(limited.execSql("update DiscordUser set CurrencyAmount = 1000000", {}, "run"), PermissionError, "SCOPE_DENIED");
+			await rejectsWith(limited.createTransaction(ids.alice, 1000000, "Test"), PermissionError, "SCOPE_DENIED");
+			await rejectsWith(limited.batch([{ endpoint: "execSql", params: { command: "select 1" } }]), PermissionError, "SCOPE_DENIED");
+			const response = await request(instance, "GET", `/execsql/${sign({ command: "select 1", jti: "sql", scope: { maxCurrency: 5 } })}`);
+			assert.deepStrictEqual([response.status, response.body.code], [403, "SCOPE_DENIED"]);
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 500);
+		});
+
+		it("does not count currency rewards as currency moved", async () => {
+			assert.strictEqual((await scoped({ maxCurrency: 10 }).setGuildXpCurrencyReward(ids.guild, 20, 50)).amount, 50);
+		});
+
+		it("restricts the currency of each call of a batch", async () => {
+			const calls = [{ endpoint: "addCurrency", params: { userId: ids.alice, currency: 10, reason: "Test" } }, { endpoint: "setCurrency", params: { userId: ids.bob, currency: 0 } }];
+			await rejectsWith(scoped({ maxCurrency: 10 }).batch(calls), PermissionError, "SCOPE_DENIED");
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 500);
+		});
+
+		it("checks every call of a batch", async () => {
+			const calls = [{ endpoint: "addGuildXp", params: { userId: ids.bob, guildId: ids.guild, xp: 1 } }, { endpoint: "getCurrency", params: { userId: ids.bob } }];
+			await rejectsWith(scoped({ guilds: [ids.guild] }).batch(calls), PermissionError);
+			assert.strictEqual((await scoped({ guilds: [ids.guild] }).batch(calls.slice(0, 1)))[0].result.awardedXp, 21);
+		});
+	});
+
+	describe("rate limits", () => {
+		it("limits requests per subject and reports when to retry", async () => {
+			await instance.close();
+			instance = await startServer(fixture, { rateLimits: { requests: { capacity: 1, refillRate: 0.1 } } });
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password, subject: "tests" });
+			await client.getCurrency(ids.alice);
+			await assert.rejects(client.getCurrency(ids.alice), error => error instanceof RateLimitError && error.code === "RATE_LIMITED" && error.retryAfter === 10);
+		});
+
+		it("limits currency changed within a window", async () => {
+			await instance.close();
+			instance = await startServer(fixture, { rateLimits: { quotas: { currency: { limit: 100, window: 60 } } } });
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password, subject: "tests" });
+			await client.addCurrency(ids.alice, 60, "Test");
+			await rejectsWith(client.addCurrency(ids.alice, 60, "Test"), RateLimitError, "QUOTA_EXCEEDED");
+			await client.addCurrency(ids.alice, 40, "Test");
+		});
+
+		it("counts the currency a set actually changes against quotas", async () => {
+			await instance.close();
+			instance = await startServer(fixture, { rateLimits: { quotas: { currency: { limit: 100, window: 60 } } } });
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password, subject: "tests" });
+			await rejectsWith(client.setCurrency(ids.alice, 0), RateLimitError, "QUOTA_EXCEEDED");
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 500);
+			await client.setCurrency(ids.alice, 440);
+			await client.setCurrency(ids.alice, 480);
+			await rejectsWith(client.setCurrency(ids.alice, 481), RateLimitError, "QUOTA_EXCEEDED");
+		});
+
+		it("counts the price of waifu gifts against quotas", async () => {
+			await instance.close();
+			instance = await startServer(fixture, { rateLimits: { quotas: { currency: { limit: 100, window: 60 } } } });
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password, subject: "tests" });
+			await client.giftWaifuItem(ids.alice, ids.carol, "Rose");
+			await client.giftWaifuItem(ids.alice, ids.carol, "Rose");
+			await rejectsWith(client.giftWaifuItem(ids.alice, ids.carol, "Rose"), RateLimitError, "QUOTA_EXCEEDED");
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 400);
+		});
+
+		it("counts the price of shop purchases against quotas", async () => {
+			await instance.close();
+			instance = await startServer(fixture, { rateLimits: { quotas: { currency: { limit: 100, window: 60 } } } });
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password, subject: "tests" });
+			await client.buyShopEntry(ids.guild, 1, ids.alice);
+			await rejectsWith(client.buyShopEntry(ids.guild, 0, ids.alice), RateLimitError, "QUOTA_EXCEEDED");
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 470);
+			assert.strictEqual((await client.buyShopEntry(ids.guild, 1, ids.alice)).currency, 440);
+		});
+
+		it("does not count currency rewards against quotas", async () => {
+			await instance.close();
+			instance = await startServer(fixture, { rateLimits: { quotas: { currency: { limit: 10, window: 60 } } } });
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password, subject: "tests" });
+			await client.setGuildXpCurrencyReward(ids.guild, 20, 50);
+			await client.addCurrency(ids.alice, 10, "Test");
+		});
+
+		it("counts the XP a set actually changes against quotas", async () => {
+			await instance.close();
+			instance = await startServer(fixture, { rateLimits: { quotas: { xp: { limit: 50, window: 60 } } } });
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password, subject: "tests" });
+			await rejectsWith(client.setGuildXp(ids.bob, ids.guild, 0, 0), RateLimitError, "QUOTA_EXCEEDED");
+			await client.setGuildXp(ids.bob, ids.guild, 100, 0);
+			await rejectsWith(client.addGuildXp(ids.bob, ids.guild, 31), RateLimitError, "QUOTA_EXCEEDED");
+			assert.strictEqual((await client.getGuildXp(ids.bob, ids.guild)).totalXp, 100);
+		});
+	});
+
+	describe("events", () => {
+		it("streams change events within the token's scope", async () => {
+			const token = sign({ scope: { users: [ids.alice] } });
+			const events = await new Promise((resolve, reject) => {
+				const stream = http.get({ host: "127.0.0.1", port: instance.port, path: `/stream/${token}` }, response => {
+					let data = "";
+					response.setEncoding("utf8");
+					response.on("data", chunk => {
+						data += chunk;
+						if (!data.includes("currency.changed")) return;
+						stream.destroy();
+						resolve(data);
+					});
+					client.addCurrency(ids.bob, 1, "Test").then(() => client.addCurrency(ids.alice, 1, "Test")).catch(reject);
+				});
+				stream.on("error", reject);
+			});
+			assert.ok(!events.includes(`"userId":"${ids.bob}"`));
+			assert.ok(events.includes(`"userId":"${ids.alice}"`));
+		});
+
+		it("keeps streams open until tokens expiring far ahead expire", async () => {
+			const ended = await new Promise((resolve, reject) => {
+				const stream = http.get({ host: "127.0.0.1", port: instance.port, path: `/stream/${sign({}, { expiresIn: "30d" })}` }, response => {
+					let ended = false;
+					response.on("end", () => ended = true);
+					response.resume();
+					setTimeout(() => {
+						stream.destroy();
+						resolve(ended);
+					}, 100);
+				});
+				stream.on("error", reject);
+			});
+			assert.strictEqual(ended, false);
+		});
+
+		it("ends streams when their token expires", async () => {
+			await new Promise((resolve, reject) => {
+				const stream = http.get({ host: "127.0.0.1", port: instance.port, path: `/stream/${sign({ exp: Math.floor(Date.now() / 1000) + 1 })}` }, response => {
+					response.on("end", resolve);
+					response.resume();
+				});
+				stream.on("error", reject);
+			});
+		});
+
+		it("rejects streams beyond the maximum until one closes", async () => {
+			await instance.close();
+			instance = await startServer(fixture, { maxStreams: 1 });
+			const stream = await new Promise((resolve, reject) => {
+				const opened = http.get({ host: "127.0.0.1", port: instance.port, path: `/stream/${sign({})}` }, () => resolve(opened));
+				opened.on("error", reject);
+			});
+			const rejected = await request(instance, "GET", `/stream/${sign({})}`);
+			assert.deepStrictEqual([rejected.status, rejected.body.code], [503, "TOO_MANY_STREAMS"]);
+			stream.destroy();
+			while (instance.streams) await new Promise(resolve => setTimeout(resolve, 10));
+			await new Promise((resolve, reject) => {
+				const reopened = http.get({ host: "127.0.0.1", port: instance.port, path: `/stream/${sign({})}` }, response => {
+					assert.strictEqual(response.statusCode, 200);
+					reopened.destroy();
+					resolve();
+				});
+				reopened.on("error", reject);
+			});
+		});
+
+		it("delivers signed webhooks", async () => {
+			let target;
+			const delivery = new Promise(resolve => {
+				target = http.createServer((incoming, response) => {
+					let body = "";
+					incoming.on("data", chunk => body += chunk);
+					incoming.on("end", () => {
+						response.end();
+						resolve({ headers: incoming.headers, body });
+					});
+				});
+			});
+			const port = await getPort();
+			await new Promise(resolve => target.listen(port, resolve));
+			await instance.close();
+			instance = await startServer(fixture, { webhooks: [{ url: `http://127.0.0.1:${port}/hook`, events: ["currency.changed"] }] });
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password });
+			await client.setCurrency(ids.carol, 7);
+			const { headers, body } = await delivery;
+			target.close();
+			assert.strictEqual(headers["x-nadekoconnector-event"], "currency.changed");
+			assert.strictEqual(headers["x-nadekoconnector-signature"], `sha256=${createHmac("sha256", password).update(body).digest("hex")}`);
+			assert.deepStrictEqual(JSON.parse(body).data, { userId: ids.carol, before: 0, after: 7, change: 7, reason: null });
+		});
+
+		it("leaves deliveries in flight queued when the server closes", async () => {
+			const rejections = [];
+			const onRejection = error => rejections.push(error);
+			let respond;
+			const target = http.createServer((incoming, response) => respond(response));
+			const received = new Promise(resolve => respond = resolve);
+			const port = await getPort();
+			await new Promise(resolve => target.listen(port, resolve));
+			await instance.close();
+			instance = await startServer(fixture, { webhooks: [{ url: `http://127.0.0.1:${port}/hook` }] });
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password });
+			process.on("unhandledRejection", onRejection);
+			await client.setCurrency(ids.carol, 7);
+			const response = await received;
+			await instance.close();
+			response.end();
+			await new Promise(resolve => setTimeout(resolve, 100));
+			process.off("unhandledRejection", onRejection);
+			await new Promise(resolve => target.close(resolve));
+			assert.deepStrictEqual(rejections, []);
+			const store = new Store(fixture.dataPath);
+			assert.strictEqual(store.getDueWebhooks(10).length, 1);
+			store.close();
+		});
+	});
+
+	describe("monitoring", () => {
+		it("reports health", async () => {
+			const response = await request(instance, "GET", "/health");
+			assert.strictEqual(response.status, 200);
+			assert.strictEqual(response.body.status, "ok");
+			assert.strictEqual(response.body.schemaVersion, 2);
+		});
+
+		it("reports metrics", async () => {
+			await client.getCurrency(ids.alice);
+			await rejectsWith(client.getCurrency("999999999999999999"), NotFoundError);
+			const { body } = await request(instance, "GET", "/metrics");
+			assert.ok(body.includes(`nadekoconnector_requests_total{bot="${instance.port}",endpoint="getCurrency"} 2`));
+			assert.ok(body.includes(`nadekoconnector_request_errors_total{bot="${instance.port}",endpoint="getCurrency",code="USER_NOT_FOUND"} 1`));
+		});
+
+		it("reports currency moved and request durations", async () => {
+			await client.addCurrency(ids.alice, 10, "Prize");
+			await client.subtractCurrency(ids.bob, 5, "Fine");
+			await client.transferCurrency(ids.alice, ids.bob, 3, "Gift");
+			const { body } = await request(instance, "GET", "/metrics");
+			const bot = `bot="${instance.port}"`;
+			assert.ok(body.includes(`nadekoconnector_currency_added_total{${bot}} 13`), body);
+			assert.ok(body.includes(`nadekoconnector_currency_removed_total{${bot}} 8`), body);
+			assert.ok(body.includes(`nadekoconnector_request_duration_seconds_bucket{${bot},endpoint="addCurrency",le="+Inf"} 1`));
+			assert.ok(body.includes(`nadekoconnector_request_duration_seconds_count{${bot},endpoint="addCurrency"} 1`));
+		});
+
+		it("reports an unavailable database", async () => {
+			renameSync(fixture.databasePath, `${fixture.databasePath}.moved`);
+			try {
+				const response = await request(instance, "GET", "/health");
+				assert.deepStrictEqual([response.status, response.body.status, response.body.database], [503, "unavailable", false]);
+			}
+			finally {
+				renameSync(`${fixture.databasePath}.moved`, fixture.databasePath);
+			}
+		});
+
+		it("disables the health check and metrics", async () => {
+			await instance.close();
+			instance = await startServer(fixture, { health: false, metrics: false });
+			assert.strictEqual((await request(instance, "GET", "/health")).status, 404);
+			assert.strictEqual((await request(instance, "GET", "/metrics")).status, 404);
+		});
+
+		it("serves an OpenAPI document of the enabled endpoints", async () => {
+			const { body } = await request(instance, "GET", "/openapi.json");
+			assert.strictEqual(body.openapi, "3.0.3");
+			for (const endpoint of Object.keys(endpoints))
+				assert.ok(body.paths[`/${endpoint.toLowerCase()}`], `${endpoint} is missing`);
+		});
+	});
+
+	describe("schema versions", () => {
+		it("responds with 501 to endpoints the schema version does not support", async () => {
+			await instance.close();
+			fixture.remove();
+			fixture = createFixture({ version: 3 });
+			instance = await startServer(fixture);
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password });
+			await rejectsWith(client.getBotInfo(), ConnectorError, "ENDPOINT_UNSUPPORTED");
+			const response = await request(instance, "POST", "/getbotinfo", { headers: { authorization: `Bearer ${sign({})}` } });
+			assert.strictEqual(response.status, 501);
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 500);
+			assert.ok(!(await request(instance, "GET", "/openapi.json")).body.paths["/getbotinfo"]);
+		});
+	});
+
+	describe("reloading", () => {
+		it("applies disabled endpoints, read-only flags and passwords without reopening the database", async () => {
+			const { db } = instance.connector;
+			const restart = instance.reload({ ...instance.settings, password: "new password", readOnly: true, disabledEndpoints: ["getBotInfo"], logRequests: true });
+			assert.deepStrictEqual(restart, ["logRequests"]);
+			assert.strictEqual(instance.connector.db, db);
+			await rejectsWith(client.getCurrency(ids.alice), AuthenticationError, "TOKEN_INVALID");
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password: "new password" });
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 500);
+			await rejectsWith(client.getBotInfo(), PermissionError, "ENDPOINT_DISABLED");
+			await rejectsWith(client.addCurrency(ids.alice, 1, "Test"), PermissionError, "ENDPOINT_DISABLED");
+			assert.ok(!(await request(instance, "GET", "/openapi.json")).body.paths["/getbotinfo"]);
+		});
+
+		it("reopens the database when a read-only bot becomes writable", async () => {
+			await instance.close();
+			instance = await startServer(fixture, { readOnly: true });
+			client = new Client({ url: `http://127.0.0.1:${instance.port}`, password });
+			assert.ok(instance.connector.db.readonly);
+			instance.reload({ ...instance.settings, readOnly: false });
+			assert.ok(!instance.connector.db.readonly);
+			assert.strictEqual((await client.addCurrency(ids.alice, 1, "Test")).currency, 501);
+		});
+
+		it("rejects invalid settings and keeps the current ones", async () => {
+			assert.throws(() => instance.reload({ ...instance.settings, password: "" }), /password must not be empty/);
+			assert.strictEqual((await client.getCurrency(ids.alice)).currency, 500);
+		});
+	});
+
+	describe("shared port", () => {
+		let host;
+
+		beforeEach(async () => {
+			const bot = { databasePath: fixture.databasePath, credentialsPath: fixture.credentialsPath, logRequests: false };
+			host = await new Host({
+				port: await getPort(),
+				bots: [
+					{ ...bot, name: "alpha", password, dataPath: `${fixture.dataPath}.alpha` },
+					{ ...bot, name: "beta", password: "beta password", readOnly: true, disabledEndpoints: ["getBotInfo"], dataPath: `${fixture.dataPath}.beta` }
+				]
+			}).initialize();
+		});
+
+		afterEach(() => host.close());
+
+		it("lists the bots and their endpoints", async () => {
+			const { status, body } = await request(host, "GET", "/bots");
+			assert.strictEqual(status, 200);
+			assert.deepStrictEqual(body.bots.map(bot => [bot.name, bot.path, bot.readOnly]), [["alpha", "/bots/alpha", false], ["beta", "/bots/beta", true]]);
+			assert.ok(body.bots[0].endpoints.includes("addCurrency"));
+			assert.ok(!body.bots[1].endpoints.includes("addCurrency"));
+			assert.ok(!body.bots[1].endpoints.includes("getBotInfo"));
+			assert.deepStrictEqual((await request(host, "GET", "/")).body, body);
+		});
+
+		it("routes requests to each bot with its own password and settings", async () => {
+			const alpha = new Client({ url: `http://127.0.0.1:${host.port}/bots/alpha`, password });
+			const beta = new Client({ url: `http://127.0.0.1:${host.port}/bots/beta`, password: "beta password" });
+			assert.strictEqual((await alpha.addCurrency(ids.alice, 10, "Test")).currency, 510);
+			assert.strictEqual((await beta.getCurrency(ids.alice)).currency, 510);
+			await rejectsWith(beta.addCurrency(ids.alice, 10, "Test"), PermissionError, "ENDPOINT_DISABLED");
+			await rejectsWith(beta.getBotInfo(), PermissionError, "ENDPOINT_DISABLED");
+			await rejectsWith(new Client({ url: `http://127.0.0.1:${host.port}/bots/beta`, password }).getCurrency(ids.alice), AuthenticationError, "TOKEN_INVALID");
+		});
+
+		it("serves each bot's monitoring routes under its path", async () => {
+			assert.strictEqual((await request(host, "GET", "/bots/beta/health")).body.bot, "beta");
+			assert.deepStrictEqual((await request(host, "GET", "/bots/alpha/openapi.json")).body.servers, [{ url: "/bots/alpha" }]);
+			assert.strictEqual((await request(host, "GET", "/bots/gamma/health")).body.code, "ROUTE_NOT_FOUND");
+			assert.strictEqual((await request(host, "GET", "/bots/alpha/nothing")).status, 404);
+		});
+
+		it("rejects bots without unique names", () => {
+			const bot = { password, databasePath: fixture.databasePath, credentialsPath: fixture.credentialsPath };
+			assert.throws(() => new Host({ port: 1, bots: [bot] }), /bots\[0\]\.name is required for bots served from a shared port/);
+			assert.throws(() => new Host({ port: 1, bots: [{ ...bot, name: "bots/alpha" }] }), /bots\[0\]\.name is required for bots served from a shared port/);
+			assert.throws(() => new Host({ port: 1, bots: [{ ...bot, name: "alpha" }, { ...bot, name: "alpha" }] }), /bots\[1\] has the same name as bots\[0\]: alpha/);
+		});
+	});
+
+	describe("client", () => {
+		it("rejects with authentication errors for the wrong password", async () => {
+			await rejectsWith(new Client({ url: `http://127.0.0.1:${instance.port}`, password: "wrong" }).getBotInfo(), AuthenticationError, "TOKEN_INVALID");
+		});
+
+		it("creates clients for several bots", async () => {
+			const clients = Client.forBots([{ name: "one", url: `http://127.0.0.1:${instance.port}`, password }, { name: "two", url: "http://127.0.0.1:1", password }]);
+			assert.strictEqual((await clients.one.getCurrency(ids.alice)).currency, 500);
+			await assert.rejects(clients.two.getCurrency(ids.alice));
+		});
+
+		it("rejects insufficient funds with a typed error", async () => {
+			await rejectsWith(client.transferCurrency(ids.bob, ids.alice, 1000, "Test"), InsufficientFundsError, "INSUFFICIENT_FUNDS");
+		});
+
+		it("ships typings generated from the current endpoint schemas", () => {
+			assert.strictEqual(readFileSync(join(__dirname, "../helpers/client.d.ts"), "utf8"), generateTypings(), "helpers/client.d.ts is out of date, run npm run typings");
+		});
+
+		it("types every endpoint method with its parameters and result", () => {
+			const typings = generateTypings();
+			assert.ok(typings.includes("getCurrency(userId: string): Promise<Client.Balance>;"));
+			assert.ok(typings.includes("getTransactions(userId: string, startPosition?: number, items?: number): Promise<Client.Transaction[]>;"));
+			assert.ok(typings.includes("execSql(command: string, params?: Record<string, unknown>, mode?: \"query\" | \"run\"): Promise<Client.SqlRows | Client.SqlChanges>;"));
+			for (const endpoint of Object.keys(endpoints))
+				assert.ok(typings.includes(`\t${endpoint}(`), `${endpoint} is missing`);
+		});
+	});
+});
\ No newline at end of file
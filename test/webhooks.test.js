@@ -0,0 +1,104 @@
+const assert = require("assert");
+const { mkdtempSync, rmSync } = require("fs");
+const http = require("http");
+const { tmpdir } = require("os");
+const { join } = require("path");
+
+const Store = require("../helpers/store.js");
+const Webhooks = require("../helpers/webhooks.js");
+
+/**
+ * Wait until a condition holds.
+ * @param {Function} condition Returns whether the condition holds.
+ * @param {Number} [timeout=2000] Time to wait in milliseconds.
+ * @returns {Promise} Resolves once the condition holds.
+ */
+const waitFor = async (condition, timeout = 2000) => {
+	const deadline = Date.now() + timeout;
+	while (!condition()) {
+		if (Date.now() > deadline) throw new Error("Timed out waiting for a condition.");
+		await new Promise(resolve => setTimeout(resolve, 10));
+	}
+};
+
+describe("webhooks", () => {
+	const secret = "test secret";
+	let directory, store, target, deliveries, statuses, url;
+
+	const queued = () => store.db.prepare("select Attempts as 'attempts', Failed as 'failed', LastError as 'lastError' from WebhookQueue").all();
+
+	beforeEach(async () => {
+		directory = mkdtempSync(join(tmpdir(), "nadekoconnector-webhooks-"));
+		store = new Store(join(directory, "store.db"));
+		deliveries = [];
+		statuses = [];
+		target = http.createServer((incoming, response) => {
+			let body = "";
+			incoming.on("data", chunk => body += chunk);
+			incoming.on("end", () => {
+				deliveries.push({ headers: incoming.headers, body: JSON.parse(body), time: Date.now() });
+				response.statusCode = statuses.length ? statuses.shift() : 200;
+				response.end();
+			});
+		});
+		await new Promise(resolve => target.listen(0, "127.0.0.1", resolve));
+		url = `http://127.0.0.1:${target.address().port}/hook`;
+	});
+
+	afterEach(async () => {
+		await new Promise(resolve => target.close(resolve));
+		store.close();
+		rmSync(directory, { recursive: true, force: true });
+	});
+
+	it("rejects invalid targets", () => {
+		assert.throws(() => new Webhooks(store, {}, secret), /must be an array/);
+		assert.throws(() => new Webhooks(store, [{ url: "ftp://example.com" }], secret), /http or https url/);
+		assert.throws(() => new Webhooks(store, [{ url, events: ["nothing"] }], secret), /Webhook events/);
+	});
+
+	it("delivers events only to targets subscribed to them", async () => {
+		const webhooks = new Webhooks(store, [{ url: `${url}/xp`, events: ["xp.changed"] }, { url: `${url}/all` }], secret);
+		webhooks.queue("currency.changed", { userId: "1" });
+		await waitFor(() => !queued().length);
+		webhooks.stop();
+		assert.deepStrictEqual(deliveries.map(({ body }) => body.event), ["currency.changed"]);
+		assert.deepStrictEqual(deliveries[0].body.data, { userId: "1" });
+	});
+
+	it("retries failed deliveries with exponential backoff", async () => {
+		statuses.push(500, 503);
+		const webhooks = new Webhooks(store, [{ url }], secret, { retryDelay: 50 });
+		webhooks.queue("currency.changed", { userId: "1" });
+		await waitFor(() => deliveries.length === 3 && !queued().length);
+		webhooks.stop();
+		assert.deepStrictEqual(deliveries.map(({ headers }) => headers["x-nadekoconnector-delivery"]), ["1", "1", "1"]);
+		assert.ok(deliveries[1].time - deliveries[0].time >= 45, "The first retry came too early.");
+		assert.ok(deliveries[2].time - deliveries[1].time >= 95, "The second retry did not back off.");
+	});
+
+	it("marks deliveries as failed after the maximum attempts", async () => {
+		statuses.push(500, 500, 500);
+		const webhooks = new Webhooks(store, [{ url }], secret, { retryDelay: 10, maxAttempts: 2 });
+		webhooks.queue("currency.changed", { userId: "1" });
+		await waitFor(() => queued().some(delivery => delivery.failed));
+		await new Promise(resolve => setTimeout(resolve, 50));
+		webhooks.stop();
+		assert.strictEqual(deliveries.length, 2);
+		assert.deepStrictEqual(queued(), [{ attempts: 2, failed: 1, lastError: "Webhook target responded with status 500." }]);
+		assert.strictEqual(store.getNextWebhookAttempt(), null);
+	});
+
+	it("delivers events queued before a restart", async () => {
+		const stopped = new Webhooks(store, [{ url }], secret);
+		stopped.stop();
+		stopped.queue("level.up", { userId: "1", level: 2 });
+		await new Promise(resolve => setTimeout(resolve, 50));
+		assert.strictEqual(deliveries.length, 0);
+		const restarted = new Webhooks(store, [{ url }], secret);
+		restarted.start();
+		await waitFor(() => !queued().length);
+		restarted.stop();
+		assert.deepStrictEqual(deliveries.map(({ body }) => body.event), ["level.up"]);
+	});
+});
\ No newline at end of file